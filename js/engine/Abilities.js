@@ -0,0 +1,38 @@
+/**
+ * Abilities
+ * ==========
+ * Moves the shepherd learns during the game, bought with golden wool on the
+ * level select screen. GameState keeps which ones are unlocked, and each
+ * attempt at a level hands them to the player (see Player.setAbilities).
+ * Levels can list the abilities they need or are easier with.
+ *
+ * Ability properties:
+ *   name        - Shown on the level select screen
+ *   icon        - Emoji for buttons and level badges
+ *   cost        - Golden wool it takes to unlock
+ *   description - What it does (button tooltip)
+ */
+
+export const ABILITIES = {
+    'double-jump': {
+        name: 'Double Jump',
+        icon: '🪶',
+        cost: 2,
+        description: 'Jump once more in mid-air'
+    },
+    'wall-jump': {
+        name: 'Wall Jump',
+        icon: '🧗',
+        cost: 3,
+        description: 'Push against a wall in mid-air to slide down it, and jump to kick off it'
+    },
+    sprint: {
+        name: 'Sprint',
+        icon: '💨',
+        cost: 2,
+        description: 'Hold Shift to run faster, using up energy'
+    }
+};
+
+// Ability ids, in the order they're shown
+export const ABILITY_IDS = Object.keys(ABILITIES);
@@ -0,0 +1,101 @@
+/**
+ * Animator
+ * =========
+ * Plays an entity's animations: which frame of which animation is showing.
+ *
+ * Animations come from the entity's table ({ name: { frames, fps, loop, tag } });
+ * `tag` names the sprite sheet animation to draw (default: the animation's name).
+ * Time only moves in update(dt), which runs with the game loop, so animations
+ * stop while the game is paused. Without a sheet the frame still advances, for
+ * entities that draw placeholder graphics.
+ */
+
+export class Animator {
+    /**
+     * @param {Object} animations - The entity's animation table
+     * @param {SpriteSheet} sheet - Sprite sheet to draw from (optional)
+     */
+    constructor(animations, sheet = null) {
+        this.animations = animations;
+        this.sheet = sheet;
+        
+        this.name = null;
+        this.animation = null;
+        this.frame = 0;
+        this.time = 0;
+    }
+    
+    /**
+     * Switch to an animation (restarts it unless it's already playing)
+     */
+    play(name) {
+        if (this.name === name) return;
+        
+        this.name = name;
+        this.animation = this.animations[name] || null;
+        this.frame = 0;
+        this.time = 0;
+    }
+    
+    /**
+     * Sheet frame indices of the current animation (null without a sheet)
+     */
+    get sheetFrames() {
+        if (!this.sheet || !this.animation) return null;
+        return this.sheet.getTag(this.animation.tag || this.name);
+    }
+    
+    /**
+     * Number of frames of the current animation
+     */
+    get frameCount() {
+        return this.sheetFrames?.length || this.animation?.frames || 1;
+    }
+    
+    /**
+     * Has a non-looping animation reached its last frame?
+     */
+    get isFinished() {
+        return !!this.animation && !this.animation.loop && this.frame >= this.frameCount - 1;
+    }
+    
+    /**
+     * Advance the animation
+     */
+    update(dt) {
+        if (!this.animation) return;
+        
+        this.time += dt;
+        const frameDuration = 1 / this.animation.fps;
+        
+        while (this.time >= frameDuration) {
+            this.time -= frameDuration;
+            
+            if (this.frame < this.frameCount - 1) {
+                this.frame++;
+            } else if (this.animation.loop) {
+                this.frame = 0;
+            }
+        }
+    }
+    
+    /**
+     * Draw the current frame from the sprite sheet, scaled to fit (width x height)
+     * and standing on its bottom edge
+     * @param {number} scale - Extra scale on top of fitting the box
+     * @returns {boolean} false if there is nothing to draw (no sheet or no such animation)
+     */
+    draw(ctx, x, y, width, height, scale = 1) {
+        const frames = this.sheetFrames;
+        if (!frames || !this.sheet.image) return false;
+        
+        const index = frames[Math.min(this.frame, frames.length - 1)];
+        const frame = this.sheet.frames[index];
+        const fit = Math.min(width / frame.sourceWidth, height / frame.sourceHeight) * scale;
+        const drawWidth = frame.sourceWidth * fit;
+        const drawHeight = frame.sourceHeight * fit;
+        
+        this.sheet.drawFrame(ctx, index, x + (width - drawWidth) / 2, y + height - drawHeight, drawWidth, drawHeight);
+        return true;
+    }
+}
@@ -4,10 +4,14 @@
  * Handles loading and caching of game assets
  */
 
+import { SpriteSheet } from './SpriteSheet.js';
+import { Tileset } from './Tileset.js';
+
 export class AssetLoader {
     constructor() {
         this.images = new Map();
-        this.animations = new Map(); // Store animated sprites
+        this.spriteSheets = new Map(); // Animated sprites (see SpriteSheet)
+        this.tilesets = new Map(); // Tile atlases with autotile rules (see Tileset)
         this.audio = new Map();
         this.json = new Map();
         this.loadedCount = 0;
@@ -34,7 +38,7 @@ export class AssetLoader {
     }
     
     /**
-     * Load a single image (handles GIFs with animation extraction)
+     * Load a single image
      */
     loadImage(key, src) {
         return new Promise((resolve, reject) => {
@@ -59,54 +63,89 @@ export class AssetLoader {
     }
     
     /**
-     * Load animated GIF as separate frames using offscreen rendering
-     * This extracts frames from a GIF by rendering it at different times
+     * Load multiple sprite sheets
      */
-    async loadAnimatedGif(key, src, frameCount, fps = 10) {
-        this.totalCount++;
+    async loadSpriteSheets(sheetMap) {
+        const entries = Object.entries(sheetMap);
+        this.totalCount += entries.length;
         
+        const promises = entries.map(([key, src]) => this.loadSpriteSheet(key, src));
+        await Promise.all(promises);
+    }
+    
+    /**
+     * Load a sprite sheet: JSON frame data exported by Aseprite or TexturePacker,
+     * plus the image it names in meta.image (relative to the JSON file)
+     */
+    async loadSpriteSheet(key, src) {
         try {
-            // Create an image element for the GIF
-            const gifImg = document.createElement('img');
-            gifImg.src = src;
-            
-            await new Promise((resolve, reject) => {
-                gifImg.onload = resolve;
-                gifImg.onerror = reject;
-            });
-            
-            // Store animation data
-            this.animations.set(key, {
-                image: gifImg,
-                frameCount: frameCount,
-                fps: fps,
-                frameWidth: gifImg.width,
-                frameHeight: gifImg.height
-            });
-            
-            this.loadedCount++;
-            this.reportProgress();
-            console.log(`✅ Loaded animated sprite: ${key} (${frameCount} frames)`);
-            
+            const json = await this.fetchAtlasJSON(src);
+            const image = await this.fetchAtlasImage(src, json.meta?.image);
+            this.spriteSheets.set(key, SpriteSheet.fromJSON(json, image));
         } catch (error) {
-            console.warn(`Failed to load animated GIF: ${src}`);
-            this.loadedCount++;
-            this.reportProgress();
+            console.warn(`Failed to load sprite sheet: ${src} (${error.message})`);
+        }
+        
+        this.loadedCount++;
+        this.reportProgress();
+        return this.spriteSheets.get(key) || null;
+    }
+    
+    /**
+     * Load multiple tilesets
+     */
+    async loadTilesets(tilesetMap) {
+        const entries = Object.entries(tilesetMap);
+        this.totalCount += entries.length;
+        
+        const promises = entries.map(([key, src]) => this.loadTileset(key, src));
+        await Promise.all(promises);
+    }
+    
+    /**
+     * Load a tileset: JSON tile rules plus the atlas image it names in "image"
+     * (relative to the JSON file)
+     */
+    async loadTileset(key, src) {
+        try {
+            const json = await this.fetchAtlasJSON(src);
+            const image = await this.fetchAtlasImage(src, json.image);
+            this.tilesets.set(key, Tileset.fromJSON(json, image));
+        } catch (error) {
+            console.warn(`Failed to load tileset: ${src} (${error.message})`);
         }
+        
+        this.loadedCount++;
+        this.reportProgress();
+        return this.tilesets.get(key) || null;
     }
     
     /**
-     * Get animation data
+     * Fetch the JSON half of a sprite sheet or tileset
      */
-    getAnimation(key) {
-        return this.animations.get(key);
+    async fetchAtlasJSON(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
     }
     
     /**
-     * Check if animation exists
+     * Load the image named by a sprite sheet or tileset, relative to its JSON file
      */
-    hasAnimation(key) {
-        return this.animations.has(key);
+    fetchAtlasImage(jsonSrc, imagePath) {
+        if (!imagePath) {
+            return Promise.reject(new Error('the image to use is missing'));
+        }
+        
+        const imageSrc = new URL(imagePath, new URL(jsonSrc, document.baseURI)).href;
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`failed to load ${imageSrc}`));
+            img.src = imageSrc;
+        });
     }
     
     /**
@@ -183,6 +222,20 @@ export class AssetLoader {
         return this.images.get(key);
     }
     
+    /**
+     * Get a sprite sheet by key
+     */
+    getSpriteSheet(key) {
+        return this.spriteSheets.get(key);
+    }
+    
+    /**
+     * Get a tileset by key
+     */
+    getTileset(key) {
+        return this.tilesets.get(key);
+    }
+    
     /**
      * Get audio by key
      */
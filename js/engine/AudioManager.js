@@ -143,6 +143,14 @@ export class AudioManager {
         this.playBeep(150, 0.15, 0.25);
     }
     
+    /**
+     * Play splash sound (falling into or jumping out of water)
+     */
+    playSplash() {
+        this.playBeep(120, 0.2, 0.2);
+        setTimeout(() => this.playBeep(90, 0.25, 0.15), 60);
+    }
+    
     /**
      * Play collect sound
      */
@@ -170,6 +178,21 @@ export class AudioManager {
         setTimeout(() => this.playBeep(150, 0.3, 0.3), 100);
     }
     
+    /**
+     * Play stomp sound (landing on an enemy)
+     */
+    playStomp() {
+        this.playBeep(180, 0.08, 0.35);
+        setTimeout(() => this.playBeep(520, 0.1, 0.25), 40);
+    }
+    
+    /**
+     * Play hit sound (the crook knocking an enemy back)
+     */
+    playHit() {
+        this.playBeep(140, 0.12, 0.35);
+    }
+    
     /**
      * Play music track
      */
@@ -12,6 +12,8 @@ import { Renderer } from './Renderer.js';
 import { Physics } from './Physics.js';
 import { Camera } from './Camera.js';
 import { GameState } from './GameState.js';
+import { DomHud } from '../ui/DomHud.js';
+import { enemies } from '../entities/Enemy.js';
 
 export class Game {
     constructor() {
@@ -28,6 +30,7 @@ export class Game {
         this.physics = new Physics();
         this.camera = new Camera(this);
         this.state = new GameState();
+        this.hud = new DomHud();
         
         // Game loop variables
         this.lastTime = 0;
@@ -112,20 +115,7 @@ export class Game {
         
         // Define assets to load
         const imagesToLoad = {
-            // Player sprites
-            'shepherd-idle': 'assets/sprites/shepherd/idle.gif',
-            'shepherd-run': 'assets/sprites/shepherd/run.gif',
-            'shepherd-jump': 'assets/sprites/shepherd/jump.png',
-            'shepherd-landing': 'assets/sprites/shepherd/landing.png',
-            'shepherd-midair': 'assets/sprites/shepherd/mid air.gif',
-            'shepherd-ledge': 'assets/sprites/shepherd/ledge grab.gif',
-            
-            // Sheep sprites
-            'sheep-idle': 'assets/sprites/sheep/idle.png',
-            'sheep-follow': 'assets/sprites/sheep/follow.png',
-            
             // Environment
-            'tileset-forest': 'assets/tilesets/forest.png',
             'bg-sky': 'assets/backgrounds/sky.png',
             'bg-mountains': 'assets/backgrounds/mountains.png',
             'bg-trees-far': 'assets/backgrounds/trees-far.png',
@@ -134,10 +124,19 @@ export class Game {
             // Collectibles
             'berry': 'assets/sprites/collectibles/berry.png',
             'golden-wool': 'assets/sprites/collectibles/golden-wool.png',
-            
-            // Enemies
-            'wolf': 'assets/sprites/enemies/wolf.png',
-            'boar': 'assets/sprites/enemies/boar.png',
+        };
+        
+        // Animated characters: sprite sheets with JSON frame data (Aseprite / TexturePacker),
+        // whose tags match the entities' animation tables. Sheep and enemies don't have
+        // sheets yet and draw placeholders; an enemy species names its sheet with `sprite`
+        const spriteSheetsToLoad = {
+            'shepherd': 'assets/sprites/shepherd/shepherd.json',
+            ...enemies.spriteSheets,
+        };
+        
+        // Tile atlases with autotile rules, named by each level's "tileset"
+        const tilesetsToLoad = {
+            'forest': 'assets/tilesets/forest.json',
         };
         
         const audioToLoad = {
@@ -155,6 +154,8 @@ export class Game {
         
         // Load the actual assets
         await this.assets.loadImages(imagesToLoad);
+        await this.assets.loadSpriteSheets(spriteSheetsToLoad);
+        await this.assets.loadTilesets(tilesetsToLoad);
         // await this.assets.loadAudio(audioToLoad);
         
         console.log('✅ Assets loaded');
@@ -246,9 +247,11 @@ export class Game {
      * Variable timestep update (animation, input)
      */
     update(dt, alpha) {
-        this.input.update();
         this.scenes.update(dt, alpha);
         this.camera.update(dt);
+        
+        // Clear single-frame input only after scenes have seen it
+        this.input.update();
     }
     
     /**
@@ -273,7 +276,7 @@ export class Game {
     renderDebug() {
         this.ctx.save();
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(10, 10, 200, 100);
+        this.ctx.fillRect(10, 10, 260, 115);
         
         this.ctx.fillStyle = '#0f0';
         this.ctx.font = '12px monospace';
@@ -282,6 +285,7 @@ export class Game {
         this.ctx.fillText(`Scene: ${this.scenes.currentSceneName}`, 20, 60);
         this.ctx.fillText(`Entities: ${this.scenes.currentScene?.entities?.length || 0}`, 20, 75);
         this.ctx.fillText(`Camera: ${Math.round(this.camera.x)}, ${Math.round(this.camera.y)}`, 20, 90);
+        this.ctx.fillText(`Replay: ${this.scenes.currentScene?.getReplayStatus?.() || '-'}`, 20, 105);
         
         this.ctx.restore();
     }
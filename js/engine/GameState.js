@@ -4,10 +4,20 @@
  * Manages persistent game data and progress
  */
 
+import { ABILITIES } from './Abilities.js';
+
 export class GameState {
-    constructor() {
+    /**
+     * @param {Storage} storage - Where progress is kept (an in-memory store when running headless)
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
         this.storageKey = 'shepherd-forest-rescue';
         
+        // Replays and ghost runs are kept apart from progress (they can be large)
+        this.replayStorageKey = 'shepherd-forest-rescue-replays';
+        this.ghostStorageKey = 'shepherd-forest-rescue-ghosts';
+        
         // Default state
         this.defaultState = {
             // Progress
@@ -16,11 +26,11 @@ export class GameState {
             
             // Per-level data
             levelData: {
-                1: { completed: false, sheepRescued: 0, totalSheep: 3, collectibles: 0, goldenWool: 0 },
-                2: { completed: false, sheepRescued: 0, totalSheep: 4, collectibles: 0, goldenWool: 0 },
-                3: { completed: false, sheepRescued: 0, totalSheep: 4, collectibles: 0, goldenWool: 0 },
-                4: { completed: false, sheepRescued: 0, totalSheep: 5, collectibles: 0, goldenWool: 0 },
-                5: { completed: false, sheepRescued: 0, totalSheep: 6, collectibles: 0, goldenWool: 0 },
+                1: { completed: false, sheepRescued: 0, totalSheep: 3, collectibles: 0, goldenWool: 0, bestTime: null },
+                2: { completed: false, sheepRescued: 0, totalSheep: 4, collectibles: 0, goldenWool: 0, bestTime: null },
+                3: { completed: false, sheepRescued: 0, totalSheep: 4, collectibles: 0, goldenWool: 0, bestTime: null },
+                4: { completed: false, sheepRescued: 0, totalSheep: 5, collectibles: 0, goldenWool: 0, bestTime: null },
+                5: { completed: false, sheepRescued: 0, totalSheep: 6, collectibles: 0, goldenWool: 0, bestTime: null },
             },
             
             // Stats
@@ -29,6 +39,10 @@ export class GameState {
             totalGoldenWool: 0,
             playTime: 0,
             
+            // Abilities (see Abilities.js), and the golden wool spent on them
+            unlockedAbilities: [],
+            spentGoldenWool: 0,
+            
             // Settings
             settings: {
                 musicVolume: 70,
@@ -48,11 +62,11 @@ export class GameState {
     }
     
     /**
-     * Load state from localStorage
+     * Load state from storage
      */
     load() {
         try {
-            const saved = localStorage.getItem(this.storageKey);
+            const saved = this.storage.getItem(this.storageKey);
             if (saved) {
                 const parsed = JSON.parse(saved);
                 // Merge with defaults to handle new properties
@@ -62,6 +76,9 @@ export class GameState {
                 if (!Array.isArray(this.data.unlockedLevels)) {
                     this.data.unlockedLevels = [1];
                 }
+                if (!Array.isArray(this.data.unlockedAbilities)) {
+                    this.data.unlockedAbilities = [];
+                }
                 
                 console.log('💾 Game state loaded. Unlocked levels:', this.data.unlockedLevels);
             } else {
@@ -75,11 +92,11 @@ export class GameState {
     }
     
     /**
-     * Save state to localStorage
+     * Save state to storage
      */
     save() {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
             console.log('💾 Game state saved');
         } catch (e) {
             console.warn('Failed to save game state');
@@ -156,6 +173,45 @@ export class GameState {
         return this.data.levelData[levelNum];
     }
     
+    /**
+     * Golden wool found and not yet spent on abilities
+     */
+    getGoldenWoolBalance() {
+        return this.data.totalGoldenWool - this.data.spentGoldenWool;
+    }
+    
+    /**
+     * Check if an ability is unlocked
+     */
+    hasAbility(id) {
+        return this.data.unlockedAbilities.includes(id);
+    }
+    
+    /**
+     * Get the unlocked abilities
+     */
+    getUnlockedAbilities() {
+        return [...this.data.unlockedAbilities];
+    }
+    
+    /**
+     * Unlock an ability with golden wool
+     * @returns {boolean} false if it's unknown, already unlocked or not affordable
+     */
+    unlockAbility(id) {
+        const ability = ABILITIES[id];
+        if (!ability || this.hasAbility(id) || this.getGoldenWoolBalance() < ability.cost) {
+            return false;
+        }
+        
+        this.data.unlockedAbilities.push(id);
+        this.data.spentGoldenWool += ability.cost;
+        this.save();
+        
+        console.log(`🔓 Unlocked ability: ${ability.name}`);
+        return true;
+    }
+    
     /**
      * Update settings
      */
@@ -179,6 +235,76 @@ export class GameState {
                Object.values(this.data.levelData).some(l => l.completed);
     }
     
+    /**
+     * Keep a replay as the saved replay of its level
+     */
+    saveReplay(replay) {
+        try {
+            const replays = this.loadStored(this.replayStorageKey);
+            replays[replay.level] = replay;
+            this.storage.setItem(this.replayStorageKey, JSON.stringify(replays));
+            console.log(`💾 Replay saved for level ${replay.level} (${replay.frames} frames, seed ${replay.seed})`);
+            return true;
+        } catch (e) {
+            console.warn('Failed to save replay');
+            return false;
+        }
+    }
+    
+    /**
+     * Get the saved replay of a level
+     */
+    getReplay(levelNum) {
+        return this.loadStored(this.replayStorageKey)[levelNum] || null;
+    }
+    
+    /**
+     * Record a completed run; keeps its time and position trace if it is the level's best
+     * @param {number} time - Completion time in seconds
+     * @param {Object} trace - Player positions over the run (see Ghost)
+     * @returns {boolean} true if this is a new best time
+     */
+    recordRun(levelNum, time, trace) {
+        const levelData = this.data.levelData[levelNum];
+        if (!levelData) return false;
+        
+        if (levelData.bestTime !== null && levelData.bestTime <= time) {
+            return false;
+        }
+        
+        levelData.bestTime = time;
+        this.save();
+        
+        try {
+            const ghosts = this.loadStored(this.ghostStorageKey);
+            ghosts[levelNum] = trace;
+            this.storage.setItem(this.ghostStorageKey, JSON.stringify(ghosts));
+        } catch (e) {
+            console.warn('Failed to save ghost run');
+        }
+        
+        console.log(`⏱️ New best time for level ${levelNum}: ${time.toFixed(2)}s`);
+        return true;
+    }
+    
+    /**
+     * Get the position trace of a level's best run
+     */
+    getGhost(levelNum) {
+        return this.loadStored(this.ghostStorageKey)[levelNum] || null;
+    }
+    
+    /**
+     * Read a stored object keyed by level number (replays, ghosts)
+     */
+    loadStored(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
     /**
      * Deep merge objects
      */
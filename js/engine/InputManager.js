@@ -15,6 +15,7 @@ export class InputManager {
         this.mouse = {
             x: 0,
             y: 0,
+            overCanvas: false, // False while hovering UI on top of the canvas
             buttons: {},
             buttonsPressed: {},
             buttonsReleased: {}
@@ -36,8 +37,12 @@ export class InputManager {
             jump: ['Space', 'ArrowUp', 'KeyW'],
             action: ['KeyE', 'Enter'],
             crouch: ['ArrowDown', 'KeyS', 'ControlLeft'],
+            sprint: ['ShiftLeft', 'ShiftRight'],
             pause: ['Escape', 'KeyP'],
-            debug: ['F3']
+            playtest: ['KeyT'],
+            debug: ['F3'],
+            replaySave: ['F6'], // Debug mode: save & download the current attempt
+            replayPlay: ['F7']  // Debug mode: watch the level's saved replay
         };
         
         // Touch control visibility
@@ -219,6 +224,9 @@ export class InputManager {
     onKeyDown(e) {
         const code = e.code;
         
+        // Let text fields (e.g. the level editor toolbar) receive their keys
+        if (this.isTextField(e.target)) return;
+        
         // Prevent default for game keys
         if (this.isGameKey(code)) {
             e.preventDefault();
@@ -241,6 +249,15 @@ export class InputManager {
         this.keysReleased[code] = true;
     }
     
+    /**
+     * Check if an element accepts typed text
+     */
+    isTextField(element) {
+        if (!element) return false;
+        return element.tagName === 'TEXTAREA' ||
+               (element.tagName === 'INPUT' && !['checkbox', 'range', 'button', 'file'].includes(element.type));
+    }
+    
     /**
      * Check if key is a game key
      */
@@ -259,6 +276,7 @@ export class InputManager {
         const rect = canvas.getBoundingClientRect();
         this.mouse.x = e.clientX - rect.left;
         this.mouse.y = e.clientY - rect.top;
+        this.mouse.overCanvas = e.target === canvas;
     }
     
     /**
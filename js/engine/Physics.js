@@ -4,17 +4,34 @@
  * Handles collision detection and physics calculations
  */
 
+import { tiles } from './TileRegistry.js';
+
 export class Physics {
-    constructor() {
+    /**
+     * @param {TileRegistry} tileTypes - What each tile id does (which tiles are solid)
+     */
+    constructor(tileTypes = tiles) {
+        this.tiles = tileTypes;
         this.gravity = 900; // pixels per second squared (reduced for floatier jumps)
         this.maxFallSpeed = 450;
         this.fallGravityMultiplier = 1.3; // Fall faster than rise for better game feel
+        
+        // Water: buoyancy is this many times gravity when fully under, so
+        // swimmers float with their head out (see applyBuoyancy)
+        this.buoyancy = 1.4;
+        this.liquidDrag = 3; // Share of vertical speed lost per second fully under water
+        this.maxSinkSpeed = 150;
     }
     
     /**
      * Apply gravity to an entity with smooth falling
      */
     applyGravity(entity, dt) {
+        if (entity.submersion > 0) {
+            this.applyBuoyancy(entity, dt);
+            return;
+        }
+        
         if (!entity.isGrounded && !entity.isOnPlatform) {
             // Apply stronger gravity when falling for snappier feel
             const gravityMultiplier = entity.velocityY > 0 ? this.fallGravityMultiplier : 1.0;
@@ -23,6 +40,43 @@ export class Physics {
         }
     }
     
+    /**
+     * Gravity in water: buoyancy pushes back in proportion to how much of the
+     * entity is under, and drag slows it down. Deep water lifts entities off
+     * the bottom; in shallow water they keep standing (wading).
+     */
+    applyBuoyancy(entity, dt) {
+        const acceleration = this.gravity * (1 - this.buoyancy * entity.submersion);
+        if ((entity.isGrounded || entity.isOnPlatform) && acceleration >= 0) return;
+        
+        entity.velocityY += acceleration * dt;
+        entity.velocityY -= entity.velocityY * Math.min(1, this.liquidDrag * entity.submersion * dt);
+        entity.velocityY = Math.min(entity.velocityY, this.maxSinkSpeed);
+    }
+    
+    /**
+     * How much of an entity's hitbox is in liquid, from 0 (dry) to 1 (all the
+     * way under), measured down the middle of the hitbox
+     */
+    getSubmersion(entity, tilemap) {
+        const bounds = this.getBounds(entity);
+        const tileSize = tilemap.tileSize;
+        const col = Math.floor((bounds.x + bounds.width / 2) / tileSize);
+        if (col < 0 || col >= tilemap.width) return 0;
+        
+        const bottom = bounds.y + bounds.height;
+        const top = Math.max(0, Math.floor(bounds.y / tileSize));
+        const last = Math.min(tilemap.height - 1, Math.floor((bottom - 1) / tileSize));
+        
+        let depth = 0;
+        for (let row = top; row <= last; row++) {
+            if (this.tiles.isLiquid(tilemap.data[row * tilemap.width + col])) {
+                depth += Math.min(bottom, (row + 1) * tileSize) - Math.max(bounds.y, row * tileSize);
+            }
+        }
+        return depth / bounds.height;
+    }
+    
     /**
      * Update entity position based on velocity
      */
@@ -58,7 +112,7 @@ export class Physics {
     /**
      * Check collision with tilemap
      */
-    checkTilemapCollision(entity, tilemap, solidTiles = [1, 2, 3, 4, 5]) {
+    checkTilemapCollision(entity, tilemap) {
         const bounds = this.getBounds(entity);
         const tileSize = tilemap.tileSize;
         
@@ -78,7 +132,7 @@ export class Physics {
                 
                 const tileId = tilemap.data[row * tilemap.width + col];
                 
-                if (solidTiles.includes(tileId)) {
+                if (this.tiles.isSolid(tileId)) {
                     collisions.push({
                         x: col * tileSize,
                         y: row * tileSize,
@@ -98,28 +152,36 @@ export class Physics {
     /**
      * Resolve collision between entity and tilemap
      */
-    resolveTilemapCollision(entity, tilemap, solidTiles) {
+    resolveTilemapCollision(entity, tilemap) {
         const tileSize = tilemap.tileSize;
         
         // Store previous ground state for stability
         const wasGrounded = entity.isGrounded;
+        const wasOnSlope = wasGrounded && entity.groundTile?.slope != null;
         
         // Reset ground state
         entity.isGrounded = false;
         entity.isOnPlatform = false;
+        entity.groundTile = null;
+        entity.wallContact = 0;
         
         // Resolve horizontal collision first (walls)
-        this.resolveHorizontalCollision(entity, tilemap, solidTiles, tileSize);
+        this.resolveHorizontalCollision(entity, tilemap, tileSize, wasOnSlope);
         
         // Then resolve vertical collision (landing/ceiling)
-        this.resolveVerticalCollision(entity, tilemap, solidTiles, tileSize, wasGrounded);
+        this.resolveVerticalCollision(entity, tilemap, tileSize, wasGrounded, wasOnSlope);
     }
     
     /**
      * Resolve horizontal collision (walls only)
+     * @param {boolean} onSlope - Walking a slope: the ground it leads onto isn't
+     *   a wall, even though the feet are still below that ground's top
      */
-    resolveHorizontalCollision(entity, tilemap, solidTiles, tileSize) {
+    resolveHorizontalCollision(entity, tilemap, tileSize, onSlope = false) {
         const bounds = this.getBounds(entity);
+        const slope = onSlope
+            ? this.findSlope(tilemap, bounds.x + bounds.width / 2, bounds.y + bounds.height, tileSize / 2)
+            : null;
         
         const left = Math.floor(bounds.x / tileSize);
         const right = Math.floor((bounds.x + bounds.width - 1) / tileSize);
@@ -135,10 +197,13 @@ export class Physics {
                 
                 const tileId = tilemap.data[row * tilemap.width + col];
                 
-                if (solidTiles.includes(tileId)) {
+                if (this.tiles.isSolid(tileId)) {
                     const tileX = col * tileSize;
                     const tileY = row * tileSize;
                     
+                    // Ground level with the slope's surface line: walk on up onto it
+                    if (slope && tileY >= this.getSlopeSurface(slope, tileSize, tileX + tileSize / 2) - 1) continue;
+                    
                     if (this.checkAABB(bounds, { x: tileX, y: tileY, width: tileSize, height: tileSize })) {
                         // Resolve based on which side we're hitting
                         const entityCenterX = bounds.x + bounds.width / 2;
@@ -147,9 +212,11 @@ export class Physics {
                         if (entityCenterX < tileCenterX) {
                             // Entity is to the left of tile, push left
                             entity.x = tileX - (entity.hitboxWidth || entity.width) - (entity.hitboxOffsetX || 0);
+                            entity.wallContact = 1;
                         } else {
                             // Entity is to the right of tile, push right
                             entity.x = tileX + tileSize - (entity.hitboxOffsetX || 0);
+                            entity.wallContact = -1;
                         }
                         entity.velocityX = 0;
                     }
@@ -161,7 +228,7 @@ export class Physics {
     /**
      * Resolve vertical collision (ground/ceiling)
      */
-    resolveVerticalCollision(entity, tilemap, solidTiles, tileSize, wasGrounded) {
+    resolveVerticalCollision(entity, tilemap, tileSize, wasGrounded, wasOnSlope = false) {
         const bounds = this.getBounds(entity);
         
         // Shrink horizontal check slightly to avoid corner catching
@@ -170,24 +237,38 @@ export class Physics {
         const top = Math.floor(bounds.y / tileSize);
         const bottom = Math.floor((bounds.y + bounds.height - 1) / tileSize);
         
+        // Slopes are stood on at the middle of the feet, before any square ground
+        if (entity.velocityY >= 0 && this.resolveSlopeCollision(entity, tilemap, tileSize, wasGrounded)) {
+            return;
+        }
+        
         // Check ground below first if we were grounded or falling
         if (wasGrounded || entity.velocityY >= 0) {
-            const groundRow = Math.floor((bounds.y + bounds.height) / tileSize);
+            let feetY = bounds.y + bounds.height;
+            
+            // Walking off the foot of a slope leaves the feet a few pixels above
+            // the ground it meets: reach down onto it
+            const nextTileTop = Math.ceil(feetY / tileSize) * tileSize;
+            if (wasOnSlope && nextTileTop - feetY < tileSize / 2) {
+                feetY = nextTileTop;
+            }
+            
+            const groundRow = Math.floor(feetY / tileSize);
             for (let col = left; col <= right; col++) {
                 if (groundRow < 0 || groundRow >= tilemap.height || col < 0 || col >= tilemap.width) {
                     continue;
                 }
                 
                 const tileId = tilemap.data[groundRow * tilemap.width + col];
-                if (solidTiles.includes(tileId)) {
+                if (this.tiles.isSolid(tileId) || this.tiles.isOneWay(tileId)) {
                     const tileY = groundRow * tileSize;
-                    const feetY = bounds.y + bounds.height;
                     
                     // If feet are at or below tile top, snap to ground
-                    if (feetY >= tileY && feetY < tileY + 8) {
+                    if (this.canLandOn(entity, tileId, tileY, feetY)) {
                         entity.y = tileY - (entity.hitboxHeight || entity.height) - (entity.hitboxOffsetY || 0);
                         entity.velocityY = 0;
                         entity.isGrounded = true;
+                        entity.groundTile = this.tiles.get(tileId);
                         return; // Done with vertical collision
                     }
                 }
@@ -203,7 +284,7 @@ export class Physics {
                 
                 const tileId = tilemap.data[row * tilemap.width + col];
                 
-                if (solidTiles.includes(tileId)) {
+                if (this.tiles.isSolid(tileId)) {
                     const tileX = col * tileSize;
                     const tileY = row * tileSize;
                     
@@ -216,8 +297,10 @@ export class Physics {
                             entity.y = tileY - (entity.hitboxHeight || entity.height) - (entity.hitboxOffsetY || 0);
                             entity.velocityY = 0;
                             entity.isGrounded = true;
-                        } else if (entity.velocityY < 0) {
-                            // Jumping and hit ceiling
+                            entity.groundTile = this.tiles.get(tileId);
+                        } else if (entity.velocityY < 0 && tileY < newBounds.y + newBounds.height / 2) {
+                            // Jumping and hit ceiling (not the corner of a ledge
+                            // the feet are rising past)
                             entity.y = tileY + tileSize - (entity.hitboxOffsetY || 0);
                             entity.velocityY = 0;
                         }
@@ -227,6 +310,168 @@ export class Physics {
         }
     }
     
+    /**
+     * Stand an entity on the slope under the middle of its feet, if there is one.
+     * Entities that were grounded stick to a slope up to half a tile below them,
+     * so walking downhill stays grounded instead of falling a little each step.
+     * @returns {boolean} Whether the entity is now standing on a slope
+     */
+    resolveSlopeCollision(entity, tilemap, tileSize, wasGrounded) {
+        const bounds = this.getBounds(entity);
+        const slope = this.findSlope(tilemap, bounds.x + bounds.width / 2, bounds.y + bounds.height,
+            wasGrounded ? tileSize / 2 : 0);
+        if (!slope) return false;
+        
+        entity.y = slope.surfaceY - (entity.hitboxHeight || entity.height) - (entity.hitboxOffsetY || 0);
+        entity.velocityY = 0;
+        entity.isGrounded = true;
+        entity.groundTile = this.tiles.get(slope.tileId);
+        return true;
+    }
+    
+    /**
+     * Find the slope tile whose surface is near a point: at most `snap` below
+     * it, and not so far above it that the point has walked in under the slope
+     * @returns {{tileId, col, row, surfaceY}|null}
+     */
+    findSlope(tilemap, x, feetY, snap) {
+        const tileSize = tilemap.tileSize;
+        const col = Math.floor(x / tileSize);
+        if (col < 0 || col >= tilemap.width) return null;
+        
+        const top = Math.max(0, Math.floor((feetY - tileSize / 2) / tileSize));
+        const bottom = Math.min(tilemap.height - 1, Math.floor((feetY + snap) / tileSize));
+        
+        for (let row = top; row <= bottom; row++) {
+            const tileId = tilemap.data[row * tilemap.width + col];
+            if (!this.tiles.isSlope(tileId)) continue;
+            
+            const slope = { tileId, col, row };
+            slope.surfaceY = this.getSlopeSurface(slope, tileSize, x);
+            if (feetY >= slope.surfaceY - snap && feetY <= slope.surfaceY + tileSize / 2) {
+                return slope;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Y of a slope tile's surface line at world x (held level past its edges)
+     */
+    getSlopeSurface({ tileId, col, row }, tileSize, x) {
+        const [left, right] = this.tiles.get(tileId).slope;
+        const t = this.clamp((x - col * tileSize) / tileSize, 0, 1);
+        return (row + 1 - this.lerp(left, right, t)) * tileSize;
+    }
+    
+    /**
+     * Land an entity on a moving platform (see MovingPlatform). They're one-way
+     * like platform tiles: only entities whose feet were above the platform's
+     * top before this step land on it.
+     * @returns {MovingPlatform|null} the platform the entity is standing on
+     */
+    resolvePlatformCollision(entity, platforms) {
+        entity.platform = null;
+        if (entity.velocityY < 0) return null;
+        
+        const bounds = this.getBounds(entity);
+        const feetY = bounds.y + bounds.height;
+        const prevY = entity.prevY ?? entity.y;
+        const prevFeetY = prevY + (entity.hitboxOffsetY || 0) + (entity.hitboxHeight || entity.height);
+        
+        for (const platform of platforms) {
+            if (!platform.isSolid) continue;
+            if (bounds.x + bounds.width <= platform.x || bounds.x >= platform.x + platform.width) continue;
+            
+            // A platform rising into the feet this step still catches them
+            const top = platform.y;
+            if (feetY >= top && prevFeetY <= Math.max(top, platform.prevY) + 1) {
+                entity.y = top - (entity.hitboxHeight || entity.height) - (entity.hitboxOffsetY || 0);
+                entity.velocityY = 0;
+                entity.isGrounded = true;
+                entity.isOnPlatform = true;
+                entity.platform = platform;
+                return platform;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Can an entity with its feet at feetY land on a tile whose top is at tileY?
+     * Solid tiles catch feet up to 8px into them. One-way tiles (see TileRegistry)
+     * only catch entities whose feet were above them before this step, and never
+     * while the entity is dropping through.
+     */
+    canLandOn(entity, tileId, tileY, feetY) {
+        if (feetY < tileY) return false;
+        if (this.tiles.isSolid(tileId)) return feetY < tileY + 8;
+        if (!this.tiles.isOneWay(tileId) || entity.dropThroughTimer > 0) return false;
+        
+        const prevY = entity.prevY ?? entity.y;
+        const prevFeetY = prevY + (entity.hitboxOffsetY || 0) + (entity.hitboxHeight || entity.height);
+        return prevFeetY <= tileY + 1;
+    }
+    
+    /**
+     * Find a ledge an entity's hands can catch: the top corner of a solid or
+     * one-way tile just beside the hitbox (on side `dir`), `reach` px above it,
+     * with room above the tile to stand up. The hands catch it up to 8px below
+     * its top, about one step of falling at full speed.
+     * @returns {{col, row, y, dir, standX}|null} the tile held, the y of its top
+     * and where the hitbox's left edge goes when climbing onto it
+     */
+    findLedge(entity, tilemap, dir, reach) {
+        const tileSize = tilemap.tileSize;
+        const bounds = this.getBounds(entity);
+        const handX = dir > 0 ? bounds.x + bounds.width + 2 : bounds.x - 2;
+        const handY = bounds.y - reach;
+        
+        const col = Math.floor(handX / tileSize);
+        const row = Math.floor(handY / tileSize);
+        if (col < 0 || col >= tilemap.width || row < 1 || row >= tilemap.height) return null;
+        if (handY - row * tileSize >= 8) return null;
+        
+        const tileId = tilemap.data[row * tilemap.width + col];
+        if (!this.tiles.isSolid(tileId) && !this.tiles.isOneWay(tileId)) return null;
+        
+        // Standing spot on top, a little way in from the corner
+        const y = row * tileSize;
+        const standX = dir > 0 ? col * tileSize + 4 : (col + 1) * tileSize - 4 - bounds.width;
+        const left = Math.max(0, Math.floor(standX / tileSize));
+        const right = Math.min(tilemap.width - 1, Math.floor((standX + bounds.width - 1) / tileSize));
+        const top = Math.max(0, Math.floor((y - bounds.height) / tileSize));
+        
+        for (let r = top; r < row; r++) {
+            for (let c = left; c <= right; c++) {
+                const aboveId = tilemap.data[r * tilemap.width + c];
+                if (this.tiles.isSolid(aboveId) || this.tiles.isSlope(aboveId)) return null;
+            }
+        }
+        
+        return { col, row, y, dir, standX };
+    }
+    
+    /**
+     * Can one point be seen from another? (Only solid tiles block the view:
+     * the line is sampled every quarter tile.)
+     */
+    hasLineOfSight(tilemap, x1, y1, x2, y2) {
+        const tileSize = tilemap.tileSize;
+        const steps = Math.ceil(this.distance(x1, y1, x2, y2) / (tileSize / 4));
+        
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const col = Math.floor(this.lerp(x1, x2, t) / tileSize);
+            const row = Math.floor(this.lerp(y1, y2, t) / tileSize);
+            if (col < 0 || col >= tilemap.width || row < 0 || row >= tilemap.height) continue;
+            if (this.tiles.isSolid(tilemap.data[row * tilemap.width + col])) return false;
+        }
+        return true;
+    }
+    
     /**
      * Check if point is inside rectangle
      */
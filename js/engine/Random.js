@@ -0,0 +1,62 @@
+/**
+ * Random
+ * =======
+ * Seeded pseudo-random numbers (mulberry32), so a level played with the
+ * same seed and the same input always plays out the same way.
+ */
+
+export class Random {
+    constructor(seed = Random.createSeed()) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Make a new seed from the clock and Math.random
+     */
+    static createSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    /**
+     * Random element of an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
+
+// Shared generator for gameplay; GameScene seeds it when a level starts
+export const random = new Random();
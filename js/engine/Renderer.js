@@ -4,6 +4,8 @@
  * Handles all rendering operations
  */
 
+import { tiles } from './TileRegistry.js';
+
 export class Renderer {
     constructor(game) {
         this.game = game;
@@ -158,8 +160,10 @@ export class Renderer {
     
     /**
      * Render a tilemap layer
+     * @param {Tileset} tileset - Tile atlas and autotile rules (null: placeholder tiles)
+     * @param {number} time - Seconds, for animated tiles
      */
-    renderTilemap(ctx, tilemap, tileset, camera) {
+    renderTilemap(ctx, tilemap, tileset, camera, time = 0) {
         const tileSize = tilemap.tileSize;
         const cols = tilemap.width;
         const rows = tilemap.height;
@@ -179,19 +183,11 @@ export class Renderer {
                     const tileX = col * tileSize;
                     const tileY = row * tileSize;
                     
-                    if (tileset) {
-                        // Render from tileset image
-                        const tilesPerRow = Math.floor(tileset.width / tileSize);
-                        const srcX = ((tileId - 1) % tilesPerRow) * tileSize;
-                        const srcY = Math.floor((tileId - 1) / tilesPerRow) * tileSize;
-                        
-                        ctx.drawImage(
-                            tileset,
-                            srcX, srcY, tileSize, tileSize,
-                            tileX, tileY, tileSize, tileSize
-                        );
+                    // Tileset tile (autotiled / animated), or a placeholder for ids it doesn't cover
+                    const index = tileset ? tileset.getTileIndex(tilemap, col, row, time) : -1;
+                    if (index >= 0) {
+                        tileset.drawTile(ctx, index, tileX, tileY, tileSize);
                     } else {
-                        // Render placeholder
                         this.renderPlaceholderTile(ctx, tileId, tileX, tileY, tileSize);
                     }
                 }
@@ -200,28 +196,44 @@ export class Renderer {
     }
     
     /**
-     * Render placeholder tile
+     * Render placeholder tile (colour and style from the tile registry)
      */
     renderPlaceholderTile(ctx, tileId, x, y, size) {
-        const colors = {
-            1: '#654321', // Ground
-            2: '#8B4513', // Dirt
-            3: '#228B22', // Grass
-            4: '#808080', // Stone
-            5: '#4a3728', // Platform
-            6: '#4A90D9', // Water
-            7: '#505050', // Rock barrier
-        };
-        
-        const color = colors[tileId] || '#666';
+        const tile = tiles.has(tileId) ? tiles.get(tileId) : null;
+        
+        ctx.fillStyle = tile?.color || '#666';
+        
+        // Slopes fill only below their surface line
+        if (tile?.style === 'slope') {
+            const [left, right] = tile.slope;
+            ctx.beginPath();
+            ctx.moveTo(x, y + size);
+            ctx.lineTo(x, y + size * (1 - left));
+            ctx.lineTo(x + size, y + size * (1 - right));
+            ctx.lineTo(x + size, y + size);
+            ctx.closePath();
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0,0,0,0.2)';
+            ctx.stroke();
+            return;
+        }
+        
+        // Bushes are a clump of leaves, not a block
+        if (tile?.style === 'bush') {
+            ctx.beginPath();
+            ctx.arc(x + size * 0.25, y + size * 0.65, size * 0.3, 0, Math.PI * 2);
+            ctx.arc(x + size * 0.75, y + size * 0.65, size * 0.3, 0, Math.PI * 2);
+            ctx.arc(x + size * 0.5, y + size * 0.4, size * 0.35, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillRect(x, y + size * 0.65, size, size * 0.35);
+            return;
+        }
         
-        ctx.fillStyle = color;
         ctx.fillRect(x, y, size, size);
         
         // Add water wave effect
-        if (tileId === 6) {
+        if (tile?.style === 'waves') {
             ctx.fillStyle = 'rgba(255,255,255,0.3)';
-            const waveOffset = (Date.now() / 500) % 1;
             ctx.fillRect(x, y + size * 0.3, size, 3);
             ctx.fillRect(x, y + size * 0.6, size, 2);
         }
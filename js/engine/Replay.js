@@ -0,0 +1,195 @@
+/**
+ * Input Replay
+ * =============
+ * Records the player's input once per fixed step and plays it back.
+ *
+ * Each step is stored as a bitmask of the actions Player.handleInput reads
+ * (held, just pressed, just released), run-length encoded. Together with
+ * the level number, the random seed and the abilities the player had, this
+ * reproduces a run frame-exactly.
+ */
+
+export const REPLAY_FORMAT = 'shepherd-replay';
+export const REPLAY_FORMAT_VERSION = 2;
+
+// Recorded actions, in bit order
+const REPLAY_ACTIONS = ['left', 'right', 'jump', 'action', 'crouch', 'sprint'];
+
+// Bit offsets of the held / pressed / released groups
+const DOWN_SHIFT = 0;
+const PRESSED_SHIFT = REPLAY_ACTIONS.length;
+const RELEASED_SHIFT = REPLAY_ACTIONS.length * 2;
+
+/**
+ * Input state of a single step, with the same query methods as InputManager
+ */
+export class InputFrame {
+    constructor(mask = 0) {
+        this.mask = mask;
+    }
+    
+    /**
+     * Capture the recorded actions from a live input source
+     */
+    static capture(input) {
+        let mask = 0;
+        REPLAY_ACTIONS.forEach((action, bit) => {
+            if (input.isDown(action)) mask |= 1 << (DOWN_SHIFT + bit);
+            if (input.isPressed(action)) mask |= 1 << (PRESSED_SHIFT + bit);
+            if (input.isReleased(action)) mask |= 1 << (RELEASED_SHIFT + bit);
+        });
+        return new InputFrame(mask);
+    }
+    
+    hasBit(action, shift) {
+        const bit = REPLAY_ACTIONS.indexOf(action);
+        return bit >= 0 && (this.mask & (1 << (shift + bit))) !== 0;
+    }
+    
+    isDown(action) {
+        return this.hasBit(action, DOWN_SHIFT);
+    }
+    
+    isPressed(action) {
+        return this.hasBit(action, PRESSED_SHIFT);
+    }
+    
+    isReleased(action) {
+        return this.hasBit(action, RELEASED_SHIFT);
+    }
+    
+    getHorizontalAxis() {
+        let axis = 0;
+        if (this.isDown('left')) axis -= 1;
+        if (this.isDown('right')) axis += 1;
+        return axis;
+    }
+}
+
+/**
+ * Samples an input source once per fixed step
+ */
+export class InputRecorder {
+    constructor(input) {
+        this.input = input;
+        this.masks = [];
+    }
+    
+    /**
+     * Number of steps recorded so far
+     */
+    get frames() {
+        return this.masks.length;
+    }
+    
+    /**
+     * Record the current step and return it for the player to read
+     * (reading the live input once per step keeps touch jump queues intact)
+     */
+    sample() {
+        const frame = InputFrame.capture(this.input);
+        this.masks.push(frame.mask);
+        return frame;
+    }
+    
+    /**
+     * Build a replay of everything recorded so far
+     * @param {string[]} abilities - Abilities the player had (see Abilities.js)
+     */
+    toReplay(level, seed, abilities = []) {
+        const input = [];
+        this.masks.forEach(mask => {
+            const last = input[input.length - 1];
+            if (last && last[0] === mask) {
+                last[1]++;
+            } else {
+                input.push([mask, 1]);
+            }
+        });
+        
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_FORMAT_VERSION,
+            level,
+            seed,
+            abilities: [...abilities],
+            frames: this.masks.length,
+            recordedAt: new Date().toISOString(),
+            input
+        };
+    }
+}
+
+/**
+ * Feeds a recorded replay back one step at a time
+ */
+export class InputPlayback {
+    /**
+     * @throws {Error} if the replay is not a valid replay file
+     */
+    constructor(replay) {
+        const errors = InputPlayback.validate(replay);
+        if (errors.length > 0) {
+            throw new Error(`Invalid replay: ${errors.join('; ')}`);
+        }
+        
+        this.replay = replay;
+        this.masks = [];
+        replay.input.forEach(([mask, count]) => {
+            for (let i = 0; i < count; i++) this.masks.push(mask);
+        });
+        this.frame = 0;
+    }
+    
+    /**
+     * Check a replay object
+     * @returns {string[]} list of problems (empty if the replay is valid)
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            return ['replay is not a JSON object'];
+        }
+        
+        const errors = [];
+        if (replay.format !== REPLAY_FORMAT) {
+            errors.push(`"format" must be "${REPLAY_FORMAT}"`);
+        }
+        if (replay.version !== REPLAY_FORMAT_VERSION) {
+            errors.push(`unsupported replay version ${JSON.stringify(replay.version)}`);
+        }
+        if (!Number.isInteger(replay.level)) {
+            errors.push('"level" must be a level number');
+        }
+        if (!Number.isInteger(replay.seed)) {
+            errors.push('"seed" must be an integer');
+        }
+        if (!Array.isArray(replay.abilities) || !replay.abilities.every(id => typeof id === 'string')) {
+            errors.push('"abilities" must be a list of ability ids');
+        }
+        if (!Array.isArray(replay.input) ||
+            !replay.input.every(run => Array.isArray(run) && Number.isInteger(run[0]) && Number.isInteger(run[1]) && run[1] > 0)) {
+            errors.push('"input" must be a list of [mask, count] pairs');
+        }
+        return errors;
+    }
+    
+    /**
+     * Total number of recorded steps
+     */
+    get frames() {
+        return this.masks.length;
+    }
+    
+    get isFinished() {
+        return this.frame >= this.masks.length;
+    }
+    
+    /**
+     * Input for the next step (nothing held once the recording runs out)
+     */
+    next() {
+        const mask = this.isFinished ? 0 : this.masks[this.frame];
+        this.frame++;
+        return new InputFrame(mask);
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { GameScene } from '../scenes/GameScene.js';
+import { EditorScene } from '../scenes/EditorScene.js';
 
 export class SceneManager {
     constructor(game) {
@@ -21,6 +22,7 @@ export class SceneManager {
     init() {
         // Register all scenes
         this.register('game', new GameScene(this.game));
+        this.register('editor', new EditorScene(this.game));
         
         console.log('🎬 Scene manager initialized');
     }
@@ -35,32 +37,42 @@ export class SceneManager {
     
     /**
      * Switch to a scene
+     * @returns {boolean} false if the scene couldn't be entered (e.g. an invalid level
+     *   file): no scene is current then, and the error is shown through game.hud
      */
     async switchTo(name, data = {}) {
-        if (this.isTransitioning) return;
+        if (this.isTransitioning) return false;
         
         const nextScene = this.scenes.get(name);
         if (!nextScene) {
             console.error(`Scene not found: ${name}`);
-            return;
+            return false;
         }
         
         this.isTransitioning = true;
         
-        // Exit current scene
-        if (this.currentScene) {
-            await this.currentScene.exit();
+        try {
+            // Exit current scene
+            if (this.currentScene) {
+                await this.currentScene.exit();
+                this.currentScene = null;
+                this.currentSceneName = null;
+            }
+            
+            // Enter new scene, and only make it current once it's ready
+            await nextScene.enter(data);
+            this.currentScene = nextScene;
+            this.currentSceneName = name;
+            
+            console.log(`🎬 Switched to scene: ${name}`);
+            return true;
+        } catch (error) {
+            console.error(`Failed to enter scene: ${name}`, error);
+            this.game.hud?.showError(error.message);
+            return false;
+        } finally {
+            this.isTransitioning = false;
         }
-        
-        // Enter new scene
-        this.currentScene = nextScene;
-        this.currentSceneName = name;
-        
-        await this.currentScene.enter(data);
-        
-        this.isTransitioning = false;
-        
-        console.log(`🎬 Switched to scene: ${name}`);
     }
     
     /**
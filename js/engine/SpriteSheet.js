@@ -0,0 +1,123 @@
+/**
+ * Sprite Sheet
+ * =============
+ * One image holding many animation frames, described by a JSON file as
+ * exported by Aseprite or TexturePacker ("hash" or "array" frames).
+ *
+ * Animations are named frame ranges ("tags"): Aseprite's meta.frameTags,
+ * or, without those, frame names grouped by prefix ("run_0.png", "run_1.png"
+ * or "run 0", "run 1" all become the tag "run"). Frame durations in the file
+ * are ignored: animation speed comes from the entity's animation table.
+ */
+
+export class SpriteSheet {
+    /**
+     * @param {HTMLImageElement} image - The sheet image
+     * @param {Object[]} frames - { x, y, width, height, offsetX, offsetY, sourceWidth, sourceHeight }
+     * @param {Object} tags - Tag name -> frame indices, in play order
+     */
+    constructor(image, frames, tags = {}) {
+        this.image = image;
+        this.frames = frames;
+        this.tags = tags;
+    }
+    
+    /**
+     * Build a sprite sheet from exported JSON
+     * @throws {Error} if the JSON isn't a sprite sheet
+     */
+    static fromJSON(json, image) {
+        if (!json || typeof json.frames !== 'object' || json.frames === null) {
+            throw new Error('sprite sheet JSON must have "frames"');
+        }
+        
+        // "array" exports list frames, "hash" exports key them by name
+        const entries = Array.isArray(json.frames)
+            ? json.frames.map(frame => [frame.filename, frame])
+            : Object.entries(json.frames);
+        
+        const frames = entries.map(([name, data]) => {
+            if (data.rotated) {
+                throw new Error(`frame "${name}" is rotated; export the sheet without rotation`);
+            }
+            const source = data.spriteSourceSize || { x: 0, y: 0 };
+            const size = data.sourceSize || { w: data.frame.w, h: data.frame.h };
+            return {
+                name,
+                x: data.frame.x,
+                y: data.frame.y,
+                width: data.frame.w,
+                height: data.frame.h,
+                offsetX: source.x,
+                offsetY: source.y,
+                sourceWidth: size.w,
+                sourceHeight: size.h
+            };
+        });
+        
+        const frameTags = json.meta?.frameTags || [];
+        const tags = frameTags.length > 0
+            ? SpriteSheet.readFrameTags(frameTags)
+            : SpriteSheet.groupFramesByName(frames);
+        
+        return new SpriteSheet(image, frames, tags);
+    }
+    
+    /**
+     * Aseprite frame tags ({ name, from, to, direction })
+     */
+    static readFrameTags(frameTags) {
+        const tags = {};
+        frameTags.forEach(({ name, from, to, direction = 'forward' }) => {
+            const forward = [];
+            for (let i = from; i <= to; i++) forward.push(i);
+            
+            if (direction === 'reverse') {
+                tags[name] = forward.reverse();
+            } else if (direction === 'pingpong') {
+                tags[name] = [...forward, ...forward.slice(1, -1).reverse()];
+            } else {
+                tags[name] = forward;
+            }
+        });
+        return tags;
+    }
+    
+    /**
+     * Tags from frame names: "run_0.png", "run/01", "run 2" -> "run"
+     */
+    static groupFramesByName(frames) {
+        const tags = {};
+        frames.forEach((frame, index) => {
+            const name = String(frame.name)
+                .replace(/\.[a-z]+$/i, '')
+                .replace(/[\s_\-/]*\d+$/, '') || 'default';
+            (tags[name] = tags[name] || []).push(index);
+        });
+        return tags;
+    }
+    
+    /**
+     * Frame indices of a tag (null if the sheet doesn't have it)
+     */
+    getTag(name) {
+        return this.tags[name] || null;
+    }
+    
+    /**
+     * Draw a frame so its untrimmed source rectangle fills (x, y, width, height)
+     */
+    drawFrame(ctx, index, x, y, width, height) {
+        const frame = this.frames[index];
+        if (!frame) return;
+        
+        const scaleX = width / frame.sourceWidth;
+        const scaleY = height / frame.sourceHeight;
+        ctx.drawImage(
+            this.image,
+            frame.x, frame.y, frame.width, frame.height,
+            x + frame.offsetX * scaleX, y + frame.offsetY * scaleY,
+            frame.width * scaleX, frame.height * scaleY
+        );
+    }
+}
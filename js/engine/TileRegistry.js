@@ -0,0 +1,158 @@
+/**
+ * Tile Registry
+ * ==============
+ * What every tile id means: how it collides, whether it hurts, and how it's
+ * drawn without a tileset. Physics, GameScene, Renderer and the level tools
+ * all ask the shared registry (`tiles`), so a new tile type only needs an
+ * entry here (and a tileset entry to draw it with art).
+ *
+ * Tile properties:
+ *   name      - Shown in level errors and tools
+ *   solid     - Blocks movement from every side
+ *   oneWay    - Can only be landed on from above: jumped through from below,
+ *               dropped through with down + jump (see Entity.dropThrough)
+ *   hazard    - Hurts the player (and bounces rescued sheep out) when stood in
+ *   liquid    - Water-like tile: entities float and swim in it (see
+ *               Physics.applyBuoyancy), and the player needs to come up for air
+ *   slope     - [left, right] height of the walkable surface at the tile's
+ *               left and right edges, as a fraction of the tile (0 = bottom,
+ *               1 = top). Entities stand on the line between them; slopes are
+ *               entered from the side and landed on from above
+ *   friction  - Grip for running on it (1 = normal, lower = slippery)
+ *   cover     - Hides the player from enemies when they crouch in it, and
+ *               makes them harder to spot standing in it (see Perception)
+ *   grass     - Grassy on top: snakes lie hidden on it (see Snake)
+ *   damage    - Hearts lost to a hazard
+ *   color     - Placeholder colour
+ *   style     - Placeholder look: 'block', 'waves', 'slope' or 'bush'
+ */
+
+// Properties of a tile that doesn't declare them
+const TILE_DEFAULTS = {
+    name: 'tile',
+    solid: false,
+    oneWay: false,
+    hazard: false,
+    liquid: false,
+    slope: null,
+    friction: 1,
+    cover: false,
+    grass: false,
+    damage: 0,
+    color: '#666',
+    style: 'block'
+};
+
+// Built-in tiles (ids used by the level files)
+const TILE_DEFINITIONS = {
+    0: { name: 'empty', color: null },
+    1: { name: 'ground', solid: true, color: '#654321' },
+    2: { name: 'dirt', solid: true, color: '#8B4513' },
+    3: { name: 'grass', solid: true, grass: true, color: '#228B22' },
+    4: { name: 'stone', solid: true, color: '#808080' },
+    5: { name: 'platform', oneWay: true, color: '#4a3728' },
+    6: { name: 'water', liquid: true, color: '#4A90D9', style: 'waves' },
+    7: { name: 'rock', solid: true, color: '#505050' },
+    
+    // Ramps: 45° rising to the right / left, then 22.5° ramps made of a low
+    // and a high half that are placed side by side
+    8: { name: 'slope-up', slope: [0, 1], grass: true, color: '#228B22', style: 'slope' },
+    9: { name: 'slope-down', slope: [1, 0], grass: true, color: '#228B22', style: 'slope' },
+    10: { name: 'ramp-up-low', slope: [0, 0.5], grass: true, color: '#228B22', style: 'slope' },
+    11: { name: 'ramp-up-high', slope: [0.5, 1], grass: true, color: '#228B22', style: 'slope' },
+    12: { name: 'ramp-down-high', slope: [1, 0.5], grass: true, color: '#228B22', style: 'slope' },
+    13: { name: 'ramp-down-low', slope: [0.5, 0], grass: true, color: '#228B22', style: 'slope' },
+    
+    // Undergrowth to hide in (walked through, not stood on)
+    14: { name: 'bush', cover: true, grass: true, color: '#2E6B34', style: 'bush' }
+};
+
+export class TileRegistry {
+    /**
+     * @param {Object} definitions - Tile id -> properties (see above)
+     */
+    constructor(definitions = TILE_DEFINITIONS) {
+        this.definitions = new Map();
+        Object.entries(definitions).forEach(([id, definition]) => this.register(Number(id), definition));
+    }
+    
+    /**
+     * Add or replace a tile type
+     */
+    register(id, definition) {
+        this.definitions.set(id, Object.freeze({ ...TILE_DEFAULTS, ...definition, id }));
+    }
+    
+    /**
+     * Properties of a tile id (unknown ids act as empty space)
+     */
+    get(id) {
+        return this.definitions.get(id) || this.definitions.get(0);
+    }
+    
+    /**
+     * Is this a registered tile id?
+     */
+    has(id) {
+        return this.definitions.has(id);
+    }
+    
+    /**
+     * All registered tile ids
+     */
+    get ids() {
+        return [...this.definitions.keys()];
+    }
+    
+    /**
+     * Does the tile block movement?
+     */
+    isSolid(id) {
+        return this.get(id).solid;
+    }
+    
+    /**
+     * Can the tile only be landed on from above?
+     */
+    isOneWay(id) {
+        return this.get(id).oneWay;
+    }
+    
+    /**
+     * Does the tile hurt?
+     */
+    isHazard(id) {
+        return this.get(id).hazard;
+    }
+    
+    /**
+     * Is the tile water-like?
+     */
+    isLiquid(id) {
+        return this.get(id).liquid;
+    }
+    
+    /**
+     * Is the tile a slope?
+     */
+    isSlope(id) {
+        return this.get(id).slope !== null;
+    }
+    
+    /**
+     * Can the player hide in the tile?
+     */
+    isCover(id) {
+        return this.get(id).cover;
+    }
+    
+    /**
+     * Is the tile grassy (for snakes to hide in)?
+     */
+    isGrass(id) {
+        return this.get(id).grass;
+    }
+}
+
+// Shared registry used by the game
+export const tiles = new TileRegistry();
@@ -0,0 +1,182 @@
+/**
+ * Tileset
+ * ========
+ * A tile atlas image plus the rules that pick which of its tiles draws each
+ * tile id of a level (see assets/tilesets/).
+ *
+ * A tile id draws either a fixed atlas tile ({ "tile": 9 }), an animation
+ * ({ "animation": [{ "tile": 40, "duration": 250 }, ...] }, durations in ms),
+ * or an autotile ({ "autotile": "earth" }). Autotiles pick from an ordered
+ * list of rules by looking at the 8 neighbouring tiles: the first rule whose
+ * "when" matches wins. A neighbour is "true" if its tile id is one the
+ * autotile connects to; outside the map always counts as connected, so
+ * terrain runs cleanly off the edges of the level.
+ *
+ *   "earth": {
+ *       "connects": [1, 2, 3],
+ *       "rules": [
+ *           { "when": { "n": false, "w": false }, "tile": 8 },
+ *           { "when": { "n": false }, "tile": 9 },
+ *           { "tile": 17 }
+ *       ]
+ *   }
+ */
+
+export const TILESET_FORMAT = 'shepherd-tileset';
+export const TILESET_FORMAT_VERSION = 1;
+
+// Neighbour offsets ([col, row]) by compass direction
+const NEIGHBOURS = {
+    n: [0, -1], ne: [1, -1], e: [1, 0], se: [1, 1],
+    s: [0, 1], sw: [-1, 1], w: [-1, 0], nw: [-1, -1]
+};
+
+export class Tileset {
+    /**
+     * @param {HTMLImageElement} image - The atlas image
+     * @param {Object} options - { tileSize, columns, tiles: id -> tile spec, autotiles: name -> { connects, rules } }
+     */
+    constructor(image, { tileSize, columns, tiles, autotiles = {} }) {
+        this.image = image;
+        this.tileSize = tileSize;
+        this.columns = columns;
+        this.tiles = tiles;
+        this.autotiles = autotiles;
+    }
+    
+    /**
+     * Build a tileset from its JSON description
+     * @throws {Error} listing every problem found in the file
+     */
+    static fromJSON(json, image) {
+        const errors = [];
+        
+        if (!json || typeof json !== 'object') {
+            throw new Error('tileset file is not a JSON object');
+        }
+        if (json.format !== TILESET_FORMAT) {
+            errors.push(`"format" must be "${TILESET_FORMAT}" (got ${JSON.stringify(json.format)})`);
+        }
+        if (json.version !== TILESET_FORMAT_VERSION) {
+            errors.push(`unsupported tileset version ${JSON.stringify(json.version)} (expected ${TILESET_FORMAT_VERSION})`);
+        }
+        if (!Number.isInteger(json.tileSize) || json.tileSize <= 0) {
+            errors.push(`"tileSize" must be a positive integer (got ${json.tileSize})`);
+        }
+        if (!Number.isInteger(json.columns) || json.columns <= 0) {
+            errors.push(`"columns" must be a positive integer (got ${json.columns})`);
+        }
+        
+        const autotiles = {};
+        Object.entries(json.autotiles || {}).forEach(([name, autotile]) => {
+            if (!Array.isArray(autotile.connects) || !Array.isArray(autotile.rules) || autotile.rules.length === 0) {
+                errors.push(`autotile "${name}" needs "connects" and a non-empty "rules" array`);
+                return;
+            }
+            autotiles[name] = {
+                connects: autotile.connects,
+                rules: autotile.rules.map((rule, i) => ({
+                    when: Tileset.readConditions(rule.when, `autotile "${name}" rule ${i}`, errors),
+                    ...Tileset.readSpec(rule, `autotile "${name}" rule ${i}`, errors)
+                }))
+            };
+        });
+        
+        const tiles = {};
+        Object.entries(json.tiles || {}).forEach(([tileId, tile]) => {
+            if (tile.autotile !== undefined) {
+                if (!autotiles[tile.autotile]) {
+                    errors.push(`tile ${tileId} uses unknown autotile ${JSON.stringify(tile.autotile)}`);
+                    return;
+                }
+                tiles[tileId] = { autotile: autotiles[tile.autotile] };
+            } else {
+                tiles[tileId] = Tileset.readSpec(tile, `tile ${tileId}`, errors);
+            }
+        });
+        
+        if (errors.length > 0) {
+            throw new Error(`invalid tileset:\n  - ${errors.join('\n  - ')}`);
+        }
+        
+        return new Tileset(image, { tileSize: json.tileSize, columns: json.columns, tiles, autotiles });
+    }
+    
+    /**
+     * A fixed tile or an animation: { tile } or { frames: [{ tile, duration }], duration }
+     */
+    static readSpec(spec, label, errors) {
+        if (Array.isArray(spec.animation)) {
+            const frames = spec.animation.map(frame => ({ tile: frame.tile, duration: frame.duration }));
+            if (frames.length === 0 || frames.some(frame => !Number.isInteger(frame.tile) || !(frame.duration > 0))) {
+                errors.push(`${label}: animation frames need a tile index and a positive duration`);
+            }
+            return { frames, duration: frames.reduce((total, frame) => total + frame.duration, 0) };
+        }
+        if (!Number.isInteger(spec.tile) || spec.tile < 0) {
+            errors.push(`${label} needs a "tile" index or an "animation"`);
+        }
+        return { tile: spec.tile };
+    }
+    
+    /**
+     * Neighbour conditions of an autotile rule ({ n: false, nw: true, ... })
+     */
+    static readConditions(when = {}, label, errors) {
+        const conditions = Object.entries(when);
+        conditions.forEach(([direction, connected]) => {
+            if (!NEIGHBOURS[direction] || typeof connected !== 'boolean') {
+                errors.push(`${label}: "${direction}" must be one of ${Object.keys(NEIGHBOURS).join(', ')} with true or false`);
+            }
+        });
+        return conditions;
+    }
+    
+    /**
+     * Atlas tile to draw at a map position (-1 if this tileset has no tile for the id)
+     * @param {number} time - Seconds, for animated tiles
+     */
+    getTileIndex(tilemap, col, row, time = 0) {
+        const tile = this.tiles[tilemap.data[row * tilemap.width + col]];
+        if (!tile) return -1;
+        
+        const spec = tile.autotile ? this.matchRule(tile.autotile, tilemap, col, row) : tile;
+        if (!spec) return -1;
+        if (!spec.frames) return spec.tile;
+        
+        // Animated: find the frame playing at this point of the loop
+        let elapsed = (time * 1000) % spec.duration;
+        for (const frame of spec.frames) {
+            if (elapsed < frame.duration) return frame.tile;
+            elapsed -= frame.duration;
+        }
+        return spec.frames[spec.frames.length - 1].tile;
+    }
+    
+    /**
+     * First autotile rule matching a tile's neighbours
+     */
+    matchRule(autotile, tilemap, col, row) {
+        return autotile.rules.find(rule => rule.when.every(([direction, connected]) => {
+            const [dx, dy] = NEIGHBOURS[direction];
+            return this.isConnected(autotile, tilemap, col + dx, row + dy) === connected;
+        })) || null;
+    }
+    
+    /**
+     * Does the tile at a map position join up with an autotile?
+     */
+    isConnected(autotile, tilemap, col, row) {
+        if (col < 0 || col >= tilemap.width || row < 0 || row >= tilemap.height) return true;
+        return autotile.connects.includes(tilemap.data[row * tilemap.width + col]);
+    }
+    
+    /**
+     * Draw an atlas tile scaled to (x, y, size)
+     */
+    drawTile(ctx, index, x, y, size) {
+        const srcX = (index % this.columns) * this.tileSize;
+        const srcY = Math.floor(index / this.columns) * this.tileSize;
+        ctx.drawImage(this.image, srcX, srcY, this.tileSize, this.tileSize, x, y, size, size);
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { Entity } from './Entity.js';
+import { random } from '../engine/Random.js';
 
 export class Collectible extends Entity {
     constructor(x, y, type = 'berry') {
@@ -24,7 +25,7 @@ export class Collectible extends Entity {
         this.isCollected = false;
         
         // Animation
-        this.bobOffset = Math.random() * Math.PI * 2;
+        this.bobOffset = random.next() * Math.PI * 2;
         this.bobSpeed = 4;
         this.bobAmount = 4;
         
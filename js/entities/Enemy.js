@@ -1,16 +1,82 @@
 /**
  * Enemy Base Class
  * ==================
- * Base class for all enemies
+ * Enemies patrol until they notice the player, then chase them; hunters go
+ * after sheep too. Stomps and the shepherd's crook stagger and stun them.
+ *
+ * Each species is a subclass registered at the end of this file with its
+ * stats (see EnemyRegistry.js); spawn enemies through the exported registry.
  */
 
 import { Entity } from './Entity.js';
+import { Animator } from '../engine/Animator.js';
+import { enemies } from './EnemyRegistry.js';
+
+export { enemies };
+
+// Hunters only go after sheep while the player is this close (so sheep wait
+// safely until the player gets there)
+const HUNT_RANGE = 480;
+
+// A hunter carrying a sheep off for this long (seconds) gets away with it
+const CARRY_TIME = 6;
+
+// After dropping a sheep, a hunter leaves sheep alone for this long (seconds)
+const HUNT_COOLDOWN = 3;
+
+// Find a new path to the target this often while following one (seconds)
+const REPATH_TIME = 0.5;
+
+// Line up this close to the middle of a tile before jumping from it (pixels)
+const JUMP_ALIGN = 4;
+
+// Alert meter: how fast it fills while the player is in plain sight (per
+// second), and while they're only heard (which can't fill it past
+// HEARING_LIMIT); how fast it drains when there's nothing to see or hear
+const SIGHT_GAIN = 3.5;
+const NOISE_GAIN = 0.8;
+const HEARING_LIMIT = 0.6;
+const AWARENESS_DECAY = 0.25;
+
+// Meter level at which an enemy grows suspicious
+const SUSPICIOUS_LEVEL = 0.2;
+
+// A chasing enemy that hasn't seen or heard the player for this long loses
+// track of them, and searches for this long (seconds), turning to look every
+// LOOK_TIME
+const LOSE_TIME = 2.5;
+const SEARCH_TIME = 5;
+const LOOK_TIME = 1.2;
+
+// Eagles swoop this many times faster than they glide, and pull up for this
+// long (seconds) after each pass
+const SWOOP_SPEED = 3;
+const CLIMB_TIME = 1.2;
+
+// An eagle making off with a sheep climbs this far above its gliding height (pixels)
+const CARRY_CLIMB = 96;
+
+// Eagles look down as well as ahead (half-width of their view cone, radians)
+const EAGLE_VIEW_ANGLE = Math.PI * 0.45;
+
+// Snakes rear up for this long (seconds) before they strike
+const REAR_TIME = 0.35;
+
+// Stomped out of health, an enemy is stunned this long (seconds), then takes
+// this long to get back on its feet; a blow that doesn't stun staggers it
+const STUN_TIME = 2.5;
+const RECOVER_TIME = 0.8;
+const STAGGER_TIME = 0.5;
+
+// Share of its speed a knocked back or stunned enemy loses each second, skidding to a stop
+const SKID = 5;
 
 export class Enemy extends Entity {
     constructor(x, y, width = 48, height = 32) {
         super(x, y, width, height);
         
         this.type = 'enemy';
+        this.kind = null; // Species (set by EnemyRegistry.create)
         this.addTag('enemy');
         this.addTag('dangerous');
         
@@ -19,17 +85,53 @@ export class Enemy extends Entity {
         this.patrolRange = 200;
         this.startX = x;
         this.patrolDirection = 1;
+        this.jumpForce = 0; // Enemies that can't jump only walk, fall and drop to reach a target
+        this.isFlying = false; // Flyers aren't pulled down by gravity (see Eagle)
+        
+        // Pathfinding (see NavGraph.js)
+        this.nav = null; // Set by GameScene.loadLevel
+        this.path = null; // Edges left to follow
+        this.pathEdge = null; // Edge being followed (to steer a jump or fall)
+        this.repathTimer = 0;
         
         // Detection
         this.detectionRange = 200;
+        this.viewAngle = null; // Half-width of the view cone (radians; null = Perception's default)
         this.isAlerted = false;
-        this.target = null;
+        this.target = null; // Player or sheep being chased
+        
+        // Perception (see Perception.js)
+        this.senses = null; // Set by GameScene.loadLevel (without it, the player is seen within range)
+        this.awareness = 0; // Alert meter, 0-1
+        this.alertState = 'unaware'; // unaware, suspicious, searching, alerted
+        this.lastSeen = null; // { x, y } where the player was last seen or heard
+        this.unseenTime = 0; // Seconds chasing the player without seeing or hearing them
+        this.searchTimer = 0;
+        this.lookTimer = 0;
+        
+        // Hunting sheep (see Wolf)
+        this.huntsSheep = false;
+        this.prey = null; // Sheep being carried off
+        this.carryTime = 0; // Seconds spent carrying it
+        this.huntCooldown = 0;
         
         // Combat
-        this.damage = 20;
+        this.damage = 1; // Hearts
+        this.knockback = 1; // How hard a bite knocks the player back (1 = normal)
+        this.health = 1; // Stomps it takes before it's stunned
+        this.maxHealth = 1;
+        this.stunTimer = 0; // Seconds left stunned, or getting back on its feet
         this.attackCooldown = 0;
         this.attackRate = 1; // attacks per second
         
+        // Charge attack (for species with a charge speed)
+        this.chargeSpeed = 0;
+        this.chargeRange = 120;
+        this.chargeCooldown = 2; // Seconds between charges
+        this.isCharging = false;
+        this.chargeDirection = 1;
+        this.chargeTimer = 0; // Until the next charge
+        
         // Patrol pause behavior
         this.patrolPauseTime = 0;
         this.patrolPauseDuration = 2.0; // 2 seconds to pause at each edge
@@ -38,28 +140,290 @@ export class Enemy extends Entity {
         this.blockedTime = 0; // Time spent blocked by obstacle
         
         // State
-        this.state = 'patrol'; // patrol, chase, attack, idle
+        this.state = 'patrol'; // patrol, suspicious, search, chase, attack, carry, stunned, recovering
+    }
+    
+    /**
+     * Take on a species' stats, with any per-level overrides merged in (see EnemyRegistry)
+     * @param {AssetLoader} assets - For the sprite sheet (optional)
+     */
+    applyStats(stats, assets = null) {
+        this.moveSpeed = stats.speed;
+        this.detectionRange = stats.detectionRange;
+        this.damage = stats.damage;
+        this.knockback = stats.knockback;
+        this.health = stats.health;
+        this.maxHealth = stats.health;
+        this.patrolRange = stats.patrolRange;
+        this.jumpForce = stats.jumpForce;
+        this.huntsSheep = stats.huntsSheep;
+        this.chargeSpeed = stats.chargeSpeed;
+        this.chargeRange = stats.chargeRange;
+        this.chargeCooldown = stats.chargeCooldown;
+        
+        if (this.animator) {
+            this.animator.sheet = (stats.sprite && assets?.getSpriteSheet(stats.sprite)) || null;
+        }
+    }
+    
+    /**
+     * Whether the enemy is out of action: stunned, or getting back on its feet
+     */
+    get isStunned() {
+        return this.state === 'stunned' || this.state === 'recovering';
+    }
+    
+    /**
+     * Whether touching the enemy hurts the player (not while it's out of
+     * action, or lying hidden, see Snake)
+     */
+    get canHurt() {
+        return !this.isStunned;
+    }
+    
+    /**
+     * Whether a hunter got away with the sheep it was carrying
+     */
+    get hasEscaped() {
+        return !!this.prey && this.carryTime >= CARRY_TIME;
+    }
+    
+    /**
+     * Look and listen for the player, filling or draining the alert meter,
+     * and grow suspicious, search or lose track of them accordingly. What it
+     * sees and hears comes from Perception.js; it only gives chase once the
+     * meter is full
+     */
+    perceive(player, dt) {
+        const sight = this.senses
+            ? this.senses.getVisibility(this, player)
+            : (this.distanceTo(player) < this.detectionRange && Math.abs(player.y - this.y) < 64 ? 1 : 0);
+        const heard = !!this.senses && this.senses.canHear(this, player);
+        
+        if (this.collidesWith(player)) {
+            this.awareness = 1;
+        } else if (sight > 0) {
+            this.awareness = Math.min(1, this.awareness + sight * SIGHT_GAIN * dt);
+        } else if (heard) {
+            this.awareness = Math.max(this.awareness, Math.min(HEARING_LIMIT, this.awareness + NOISE_GAIN * dt));
+        } else if (this.alertState !== 'alerted') {
+            this.awareness = Math.max(0, this.awareness - AWARENESS_DECAY * dt);
+        }
+        
+        const noticed = sight > 0 || heard;
+        if (noticed) {
+            this.lastSeen = { x: player.centerX, y: player.y };
+        }
+        
+        // Chasing: lose track of a player we haven't seen or heard for a while
+        if (this.isAlerted) {
+            if (this.target === player) {
+                this.unseenTime = noticed ? 0 : this.unseenTime + dt;
+                if (this.unseenTime > LOSE_TIME) {
+                    this.giveUp();
+                }
+            }
+            return;
+        }
+        
+        if (noticed && this.awareness >= SUSPICIOUS_LEVEL) {
+            // Stop and look (detectTarget gives chase once the meter's full)
+            this.alertState = 'suspicious';
+            this.state = 'suspicious';
+        } else if (this.state === 'suspicious') {
+            // Whatever it was has gone quiet: go and have a look
+            this.startSearch();
+        }
     }
     
     /**
-     * Detect player
+     * Detect the closest target: the player (once the alert meter is full) or, for hunters, a sheep
      */
-    detectPlayer(player) {
-        const distance = this.distanceTo(player);
-        const verticalDiff = Math.abs(player.y - this.y);
+    detectTarget(player, sheep) {
+        const targets = this.awareness >= 1 ? [player] : [];
+        if (this.huntsSheep && this.huntCooldown <= 0 && this.distanceTo(player) < HUNT_RANGE) {
+            targets.push(...sheep.filter(s => this.canHunt(s) && this.canSpot(s)));
+        }
+        
+        let closest = null;
+        let closestDistance = Infinity;
+        targets.forEach(target => {
+            const distance = this.distanceTo(target);
+            if (distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        });
         
-        // Only detect if player is within range AND on similar vertical level
-        // (within 64 pixels vertically - about 2 tiles)
-        if (distance < this.detectionRange && verticalDiff < 64) {
+        if (closest) {
             this.isAlerted = true;
-            this.target = player;
+            this.target = closest;
             this.state = 'chase';
+            this.unseenTime = 0;
+            if (closest === player) {
+                this.alertState = 'alerted';
+            }
             return true;
         }
         
         return false;
     }
     
+    /**
+     * Can a hunter see a sheep to go after? Only within range AND on a
+     * similar vertical level (within 64 pixels vertically - about 2 tiles)
+     */
+    canSpot(sheep) {
+        return this.distanceTo(sheep) < this.detectionRange && Math.abs(sheep.y - this.y) < 64;
+    }
+    
+    /**
+     * Head for where the player was last seen or heard, and look around there
+     */
+    startSearch() {
+        this.alertState = 'searching';
+        this.state = 'search';
+        this.searchTimer = SEARCH_TIME;
+        this.lookTimer = LOOK_TIME;
+        this.awareness = Math.min(this.awareness, HEARING_LIMIT);
+    }
+    
+    /**
+     * Stand still, facing whatever caught our attention
+     */
+    watch() {
+        this.velocityX = 0;
+        if (this.lastSeen) {
+            this.facingRight = this.lastSeen.x > this.centerX;
+        }
+    }
+    
+    /**
+     * Walk over to where the player was last noticed, then look both ways,
+     * until the search runs out
+     */
+    search(dt) {
+        this.searchTimer -= dt;
+        if (this.searchTimer <= 0) {
+            this.alertState = 'unaware';
+            this.state = 'patrol';
+            this.lastSeen = null;
+            return;
+        }
+        
+        const dx = this.lastSeen ? this.lastSeen.x - this.centerX : 0;
+        const blocked = this.wallContact !== 0 && this.wallContact === Math.sign(dx);
+        if (Math.abs(dx) > 16 && !blocked) {
+            this.velocityX = Math.sign(dx) * this.moveSpeed;
+            this.facingRight = dx > 0;
+            return;
+        }
+        
+        this.velocityX = 0;
+        this.lookTimer -= dt;
+        if (this.lookTimer <= 0) {
+            this.facingRight = !this.facingRight;
+            this.lookTimer = LOOK_TIME;
+        }
+    }
+    
+    /**
+     * Whether a sheep can be hunted (not in the pen, or already caught)
+     */
+    canHunt(sheep) {
+        return !sheep.isDelivered && !sheep.isLost && !sheep.carrier;
+    }
+    
+    /**
+     * Stop chasing: go back to patrolling, or search for a player we've lost track of
+     */
+    giveUp() {
+        const lostPlayer = this.target && this.target.type === 'player';
+        this.isAlerted = false;
+        this.target = null;
+        this.state = 'patrol';
+        this.alertState = 'unaware';
+        this.path = null;
+        this.pathEdge = null;
+        
+        if (lostPlayer) {
+            this.startSearch();
+        }
+    }
+    
+    /**
+     * How the enemy gets around, for its navigation graph
+     */
+    getMovementLimits() {
+        const bounds = this.bounds;
+        return {
+            width: bounds.width,
+            height: bounds.height,
+            speed: this.moveSpeed * 1.5, // Chasing speed
+            jumpSpeed: this.jumpForce
+        };
+    }
+    
+    /**
+     * Follow a path through the navigation graph towards the target, e.g. one
+     * up on a platform or down below (see NavGraph.js)
+     * @returns {boolean} false if there's no way there (or the enemy is already on the target's spot)
+     */
+    followPath(target, dt) {
+        if (!this.nav || !this.isGrounded) return false;
+        
+        const here = this.nav.nodeAt(this);
+        if (!here) return false;
+        
+        // Drop the move just made, and find a new path now and then or if we've left the old one
+        if (this.path && this.path.length > 0 && this.path[0].to === here.key) {
+            this.path.shift();
+        }
+        this.repathTimer -= dt;
+        if (!this.path || this.repathTimer <= 0 || (this.path.length > 0 && this.path[0].from !== here.key)) {
+            this.path = this.nav.findPath(this, target);
+            this.repathTimer = REPATH_TIME;
+        }
+        
+        const edge = this.path?.[0];
+        this.pathEdge = edge || null;
+        if (!edge) return false;
+        
+        switch (edge.kind) {
+            case 'walk':
+            case 'fall':
+                this.velocityX = edge.vx;
+                break;
+            case 'drop':
+                this.velocityX = 0;
+                if (this.isOnOneWayTile) this.dropThrough();
+                break;
+            case 'jump': {
+                // Line up on the middle of the tile first (that's where the jump was worked out from)
+                const dx = here.x - this.centerX;
+                if (Math.abs(dx) > JUMP_ALIGN) {
+                    this.velocityX = Math.sign(dx) * Math.min(this.moveSpeed * 1.5, Math.abs(dx) / dt);
+                } else {
+                    this.velocityX = edge.vx;
+                    this.velocityY = -this.jumpForce;
+                    this.isGrounded = false;
+                }
+                break;
+            }
+        }
+        
+        if (this.velocityX !== 0) this.facingRight = this.velocityX > 0;
+        return true;
+    }
+    
+    /**
+     * Keep the speed a jump or fall was worked out with, until over the spot it lands on
+     */
+    steerAlong(edge) {
+        const dx = this.nav.nodes.get(edge.to).x - this.centerX;
+        this.velocityX = Math.sign(dx) === Math.sign(edge.vx) ? edge.vx : 0;
+    }
+    
     /**
      * Patrol behavior
      */
@@ -122,24 +486,49 @@ export class Enemy extends Entity {
     }
     
     /**
-     * Chase player
+     * Chase the target (player or sheep)
      */
-    chase(player, dt) {
-        const dx = player.centerX - this.centerX;
-        const distance = this.distanceTo(player);
-        const verticalDiff = Math.abs(player.y - this.y);
+    chase(target, dt) {
+        if (this.charge(target, dt)) return;
+        
+        const dx = target.centerX - this.centerX;
+        const distance = this.distanceTo(target);
+        const verticalDiff = Math.abs(target.y - this.y);
+        
+        // Finish a jump or fall along the path first
+        if (this.pathEdge && !this.isGrounded) {
+            this.steerAlong(this.pathEdge);
+            return;
+        }
+        
+        // If target is on a different level (platform above/below) or there's a
+        // wall in the way, find a way there (and keep to it until we're there)
+        const blocked = this.wallContact !== 0 && this.wallContact === Math.sign(dx);
+        if (verticalDiff > 64 || blocked || this.path) {
+            if (this.followPath(target, dt)) {
+                if (distance > this.detectionRange * 2) {
+                    this.giveUp();
+                }
+                return;
+            }
+            this.path = null;
+            this.pathEdge = null;
+        }
         
-        // If player is on a different level (platform above/below), stop and watch
+        // Out of reach: stop and watch
         if (verticalDiff > 64) {
             this.velocityX = 0;
-            // Face the player's direction but don't move
+            // Face the target's direction but don't move
             this.facingRight = dx > 0;
             
-            // Give up if player stays out of reach for a while
+            // Jump down from a one-way platform to follow
+            if (target.y > this.y && Math.abs(dx) < 64 && this.isOnOneWayTile) {
+                this.dropThrough();
+            }
+            
+            // Give up if target stays out of reach for a while
             if (distance > this.detectionRange * 1.5) {
-                this.isAlerted = false;
-                this.target = null;
-                this.state = 'patrol';
+                this.giveUp();
             }
             return;
         }
@@ -156,31 +545,217 @@ export class Enemy extends Entity {
         
         // Give up chase if too far
         if (distance > this.detectionRange * 2) {
-            this.isAlerted = false;
-            this.target = null;
-            this.state = 'patrol';
+            this.giveUp();
+        }
+    }
+    
+    /**
+     * Charge at a target close by, for species that charge
+     * @returns {boolean} true while charging
+     */
+    charge(target, dt) {
+        this.chargeTimer -= dt;
+        if (this.chargeSpeed <= 0) return false;
+        
+        // Start charge if close enough
+        if (!this.isCharging && this.chargeTimer <= 0 && this.distanceTo(target) < this.chargeRange) {
+            this.isCharging = true;
+            this.chargeDirection = target.centerX > this.centerX ? 1 : -1;
         }
+        if (!this.isCharging) return false;
+        
+        this.velocityX = this.chargeDirection * this.chargeSpeed;
+        this.facingRight = this.chargeDirection > 0;
+        
+        // Stop charge after a distance
+        if (Math.abs(this.x - this.startX) > this.patrolRange * 1.5) {
+            this.isCharging = false;
+            this.chargeTimer = this.chargeCooldown;
+        }
+        return true;
     }
     
     /**
-     * Attack player
+     * Attack the target: bite the player, or grab a sheep
      */
-    attack(player, dt) {
+    attack(target, dt) {
         this.attackCooldown -= dt;
         
         if (this.attackCooldown <= 0) {
-            if (this.collidesWith(player)) {
-                player.takeDamage(this.damage);
+            if (this.collidesWith(target)) {
+                if (target.type === 'sheep') {
+                    this.grab(target);
+                    return;
+                }
+                target.takeDamage(this.damage);
                 this.attackCooldown = 1 / this.attackRate;
             }
         }
         
-        // Return to chase if player moves away
-        if (this.distanceTo(player) > 50) {
+        // Return to chase if target moves away
+        if (this.distanceTo(target) > 50) {
             this.state = 'chase';
         }
     }
     
+    /**
+     * Catch a sheep and start carrying it off
+     */
+    grab(sheep) {
+        this.prey = sheep;
+        this.carryTime = 0;
+        this.state = 'carry';
+        sheep.carrier = this;
+        console.log(`🐑 A sheep was caught by the ${this.kind || 'hunter'}!`);
+    }
+    
+    /**
+     * Run from the player with the sheep (it's lost once the hunter has carried it for long enough,
+     * unless the player catches up first, see GameScene.updateHunts)
+     */
+    carry(player, dt) {
+        this.carryTime += dt;
+        
+        const away = player.centerX > this.centerX ? -1 : 1;
+        this.velocityX = away * this.moveSpeed * 1.2;
+        this.facingRight = away > 0;
+    }
+    
+    /**
+     * Where a sheep being carried goes (top left): on the hunter's back
+     */
+    getCarryPosition(sheep) {
+        return { x: this.centerX - sheep.width / 2, y: this.y - sheep.height + 12 };
+    }
+    
+    /**
+     * Let go of the sheep being carried (caught up with by the player, or got away with it)
+     * @returns {Sheep} The sheep
+     */
+    dropPrey() {
+        const sheep = this.prey;
+        if (sheep) sheep.carrier = null;
+        
+        this.prey = null;
+        this.carryTime = 0;
+        this.huntCooldown = HUNT_COOLDOWN;
+        this.giveUp();
+        return sheep;
+    }
+    
+    /**
+     * Stomped on by the player: lose a point of health, and be stunned once
+     * it's all gone (until then, the blow only staggers it)
+     * @returns {boolean} true if it was stunned
+     */
+    stomp(source) {
+        if (this.state === 'stunned') return false;
+        
+        this.health--;
+        if (this.health > 0) {
+            this.stagger(source);
+            return false;
+        }
+        this.stun();
+        return true;
+    }
+    
+    /**
+     * Knocked back by a blow (the shepherd's crook), staggering it
+     * @param {number} force - Speed it's sent off at (px/s)
+     */
+    knockBack(source, force) {
+        const dir = this.centerX < source.centerX ? -1 : 1;
+        this.velocityX = dir * force;
+        if (!this.isFlying) {
+            this.velocityY = -force / 2;
+            this.isGrounded = false;
+        }
+        
+        if (this.state !== 'stunned') {
+            this.stagger(source);
+        }
+    }
+    
+    /**
+     * Out cold for a while
+     */
+    stun() {
+        this.interrupt();
+        this.state = 'stunned';
+        this.stunTimer = STUN_TIME;
+    }
+    
+    /**
+     * Reel from a blow for a moment, facing whoever dealt it
+     */
+    stagger(source) {
+        this.interrupt();
+        this.state = 'recovering';
+        this.stunTimer = STAGGER_TIME;
+        this.facingRight = source.centerX > this.centerX;
+    }
+    
+    /**
+     * Drop whatever it was doing (a sheep being carried is let go of first, see GameScene.freePrey)
+     */
+    interrupt() {
+        this.isAlerted = false;
+        this.alertState = 'unaware';
+        this.awareness = 0;
+        this.target = null;
+        this.path = null;
+        this.pathEdge = null;
+        this.isCharging = false;
+        this.chargeTimer = this.chargeCooldown;
+    }
+    
+    /**
+     * Lie stunned, then start getting back up (good as new)
+     */
+    stunned(dt) {
+        this.skid(dt);
+        this.stunTimer -= dt;
+        if (this.stunTimer <= 0) {
+            this.state = 'recovering';
+            this.stunTimer = RECOVER_TIME;
+            this.health = this.maxHealth;
+        }
+    }
+    
+    /**
+     * Get back on its feet, then go after the player
+     */
+    recovering(dt, player) {
+        this.skid(dt);
+        this.stunTimer -= dt;
+        if (this.stunTimer <= 0) {
+            this.recover(player);
+        }
+    }
+    
+    /**
+     * Back in action, and out for revenge (it gives up as usual if it can't
+     * find the player)
+     */
+    recover(player) {
+        this.awareness = 1;
+        this.isAlerted = true;
+        this.alertState = 'alerted';
+        this.target = player;
+        this.state = 'chase';
+        this.unseenTime = 0;
+    }
+    
+    /**
+     * Slide to a stop after being knocked about (once it's landed)
+     */
+    skid(dt) {
+        if (this.isGrounded || this.isFlying) {
+            this.velocityX *= Math.max(0, 1 - SKID * dt);
+        }
+    }
+    
     /**
      * Fixed update
      */
@@ -190,11 +765,24 @@ export class Enemy extends Entity {
     
     /**
      * Update with player reference
+     * @param {Sheep[]} sheep - Sheep hunters can go after
      */
-    updateWithPlayer(dt, player) {
-        // Detect player if not already alerted
-        if (!this.isAlerted) {
-            this.detectPlayer(player);
+    updateWithPlayer(dt, player, sheep = []) {
+        if (this.huntCooldown > 0) {
+            this.huntCooldown -= dt;
+        }
+        
+        // Forget a sheep that's been penned or caught by someone else
+        if (this.target && this.target.type === 'sheep' && !this.prey && !this.canHunt(this.target)) {
+            this.giveUp();
+        }
+        
+        // Detect a target if not already alerted (or out of action)
+        if (!this.prey && !this.isStunned) {
+            this.perceive(player, dt);
+            if (!this.isAlerted) {
+                this.detectTarget(player, sheep);
+            }
         }
         
         // State machine
@@ -202,14 +790,82 @@ export class Enemy extends Entity {
             case 'patrol':
                 this.patrol(dt);
                 break;
+            case 'suspicious':
+                this.watch();
+                break;
+            case 'search':
+                this.search(dt);
+                break;
             case 'chase':
-                this.chase(player, dt);
+                this.chase(this.target, dt);
                 break;
             case 'attack':
-                this.attack(player, dt);
+                this.attack(this.target, dt);
+                break;
+            case 'carry':
+                this.carry(player, dt);
+                break;
+            case 'stunned':
+                this.stunned(dt);
+                break;
+            case 'recovering':
+                this.recovering(dt, player);
                 break;
         }
     }
+    
+    /**
+     * Draw the alert meter above the enemy: a '?' while it's suspicious or
+     * searching, a '!' once it's after someone (and stars while it's stunned)
+     */
+    renderAlert(ctx, pos) {
+        if (this.state === 'stunned') {
+            this.renderStars(ctx, pos);
+            return;
+        }
+        if (this.alertState === 'unaware' && this.awareness <= 0 && !this.isAlerted) return;
+        
+        const x = pos.x + this.width / 2;
+        const y = pos.y - 8;
+        
+        ctx.save();
+        
+        if (!this.isAlerted) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(x - 12, y, 24, 4);
+            ctx.fillStyle = this.awareness >= HEARING_LIMIT ? '#ff9f43' : '#feca57';
+            ctx.fillRect(x - 12, y, 24 * this.awareness, 4);
+        }
+        
+        const mark = this.isAlerted ? '!' : this.alertState === 'unaware' ? '' : '?';
+        if (mark) {
+            ctx.fillStyle = this.isAlerted ? '#ff4444' : this.alertState === 'searching' ? '#ff9f43' : '#feca57';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(mark, x, y - 3);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Stars circling the head of a stunned enemy
+     */
+    renderStars(ctx, pos) {
+        const x = pos.x + this.width / 2;
+        const y = pos.y - 6;
+        const turn = this.stunTimer * 4;
+        
+        ctx.save();
+        ctx.fillStyle = '#F4D03F';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        for (let i = 0; i < 3; i++) {
+            const angle = turn + i * Math.PI * 2 / 3;
+            ctx.fillText('★', x + Math.cos(angle) * 14, y + Math.sin(angle) * 4);
+        }
+        ctx.restore();
+    }
 }
 
 /**
@@ -221,27 +877,22 @@ export class Wolf extends Enemy {
         
         this.addTag('wolf');
         
-        // Wolf-specific properties
-        this.moveSpeed = 80;
-        this.detectionRange = 250;
-        this.damage = 25;
-        
         // Animation
-        this.animTimer = 0;
+        this.animations = {
+            idle: { frames: 1, fps: 1, loop: true },
+            run: { frames: 4, fps: 10, loop: true },
+        };
+        this.animator = new Animator(this.animations);
+        this.setAnimation('idle');
         this.legOffset = 0;
     }
     
     update(dt) {
+        this.setAnimation(Math.abs(this.velocityX) > 10 ? 'run' : 'idle');
         super.update(dt);
         
-        this.animTimer += dt;
-        
-        // Leg animation when moving
-        if (Math.abs(this.velocityX) > 10) {
-            this.legOffset = Math.sin(this.animTimer * 15) * 3;
-        } else {
-            this.legOffset = 0;
-        }
+        // Placeholder leg animation follows the run frames
+        this.legOffset = this.animator.name === 'run' ? [0, 3, 0, -3][this.animator.frame % 4] : 0;
     }
     
     render(ctx, alpha = 1) {
@@ -257,9 +908,13 @@ export class Wolf extends Enemy {
             ctx.translate(-pos.x, -pos.y);
         }
         
-        this.drawWolf(ctx, pos.x, pos.y);
+        if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawWolf(ctx, pos.x, pos.y);
+        }
         
         ctx.restore();
+        
+        this.renderAlert(ctx, pos);
     }
     
     drawWolf(ctx, x, y) {
@@ -315,13 +970,6 @@ export class Wolf extends Enemy {
         ctx.moveTo(x + 8, y + 20);
         ctx.quadraticCurveTo(x - 4, y + 10, x + 2, y + 6);
         ctx.stroke();
-        
-        // Alert indicator
-        if (this.isAlerted) {
-            ctx.fillStyle = '#ff4444';
-            ctx.font = 'bold 14px Arial';
-            ctx.fillText('!', x + 52, y - 5);
-        }
     }
 }
 
@@ -334,40 +982,23 @@ export class Boar extends Enemy {
         
         this.addTag('boar');
         
-        // Boar-specific properties
-        this.moveSpeed = 50;
-        this.detectionRange = 150;
-        this.damage = 30;
-        
-        // Charge attack
-        this.isCharging = false;
-        this.chargeSpeed = 250;
-        this.chargeCooldown = 0;
+        // Animation
+        this.animations = {
+            idle: { frames: 1, fps: 1, loop: true },
+            run: { frames: 4, fps: 8, loop: true },
+            charge: { frames: 4, fps: 16, loop: true },
+        };
+        this.animator = new Animator(this.animations);
+        this.setAnimation('idle');
     }
     
-    chase(player, dt) {
-        const distance = this.distanceTo(player);
-        
-        // Start charge if close enough
-        if (distance < 120 && !this.isCharging && this.chargeCooldown <= 0) {
-            this.isCharging = true;
-            this.chargeDirection = player.centerX > this.centerX ? 1 : -1;
-        }
-        
+    update(dt) {
         if (this.isCharging) {
-            this.velocityX = this.chargeDirection * this.chargeSpeed;
-            this.facingRight = this.chargeDirection > 0;
-            
-            // Stop charge after a distance
-            if (Math.abs(this.x - this.startX) > this.patrolRange * 1.5) {
-                this.isCharging = false;
-                this.chargeCooldown = 2;
-            }
+            this.setAnimation('charge');
         } else {
-            super.chase(player, dt);
+            this.setAnimation(Math.abs(this.velocityX) > 10 ? 'run' : 'idle');
         }
-        
-        this.chargeCooldown -= dt;
+        super.update(dt);
     }
     
     render(ctx, alpha = 1) {
@@ -383,9 +1014,24 @@ export class Boar extends Enemy {
             ctx.translate(-pos.x, -pos.y);
         }
         
-        this.drawBoar(ctx, pos.x, pos.y);
+        if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawBoar(ctx, pos.x, pos.y);
+        }
+        
+        // Charge effect
+        if (this.isCharging) {
+            ctx.fillStyle = 'rgba(255, 100, 0, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(pos.x - 10, pos.y + 20);
+            ctx.lineTo(pos.x + 5, pos.y + 15);
+            ctx.lineTo(pos.x + 5, pos.y + 30);
+            ctx.lineTo(pos.x - 10, pos.y + 25);
+            ctx.fill();
+        }
         
         ctx.restore();
+        
+        this.renderAlert(ctx, pos);
     }
     
     drawBoar(ctx, x, y) {
@@ -439,16 +1085,581 @@ export class Boar extends Enemy {
         ctx.fillRect(x + 12, y + 32, 6, 8);
         ctx.fillRect(x + 24, y + 32, 6, 8);
         ctx.fillRect(x + 34, y + 32, 6, 8);
+    }
+}
+
+/**
+ * Eagle Enemy
+ * Glides back and forth high up, out of reach, and swoops down at the
+ * player or a sheep below, pulling back up after each pass. A snatched
+ * sheep is carried off into the sky.
+ */
+export class Eagle extends Enemy {
+    constructor(x, y) {
+        super(x, y, 56, 32);
         
-        // Charge effect
-        if (this.isCharging) {
-            ctx.fillStyle = 'rgba(255, 100, 0, 0.5)';
+        this.addTag('eagle');
+        
+        this.isFlying = true;
+        this.viewAngle = EAGLE_VIEW_ANGLE;
+        this.cruiseY = y; // Height it glides at
+        this.climbTime = 0; // Pulling up after a swoop
+        
+        // Animation
+        this.animations = {
+            fly: { frames: 4, fps: 8, loop: true },
+            swoop: { frames: 1, fps: 1, loop: true },
+        };
+        this.animator = new Animator(this.animations);
+        this.setAnimation('fly');
+        this.wingOffset = 0;
+    }
+    
+    /**
+     * From up high, any sheep below can be seen, as far off to either side as the detection range
+     */
+    canSpot(sheep) {
+        return Math.abs(sheep.centerX - this.centerX) < this.detectionRange && sheep.y > this.y;
+    }
+    
+    updateWithPlayer(dt, player, sheep = []) {
+        super.updateWithPlayer(dt, player, sheep);
+        
+        // Hold our height unless swooping or making off with a sheep (or knocked out of the sky)
+        if (this.isFlying && this.state !== 'chase' && this.state !== 'carry') {
+            this.flyTo(this.cruiseY, this.moveSpeed, dt);
+        }
+    }
+    
+    /**
+     * Climb or drop towards a height
+     */
+    flyTo(y, speed, dt) {
+        const dy = y - this.y;
+        this.velocityY = Math.sign(dy) * Math.min(speed, Math.abs(dy) / dt);
+    }
+    
+    /**
+     * Swoop straight at the target, grabbing a sheep or striking the player,
+     * then pull up to swoop again
+     */
+    chase(target, dt) {
+        const dx = target.centerX - this.centerX;
+        const dy = target.centerY - this.centerY;
+        this.facingRight = dx > 0;
+        this.climbTime -= dt;
+        
+        if (this.climbTime > 0) {
+            // Pull up, keeping over the target
+            this.velocityX = Math.sign(dx) * this.moveSpeed;
+            this.flyTo(this.cruiseY, this.moveSpeed * 1.5, dt);
+        } else {
+            const distance = Math.hypot(dx, dy) || 1;
+            const speed = this.moveSpeed * SWOOP_SPEED;
+            this.velocityX = dx / distance * speed;
+            this.velocityY = dy / distance * speed;
+            
+            if (this.collidesWith(target) && target.type === 'sheep') {
+                this.grab(target);
+                return;
+            }
+            // Struck the player (GameScene does the damage) or missed and hit the ground
+            if (this.collidesWith(target) || this.isGrounded || this.wallContact !== 0) {
+                this.climbTime = CLIMB_TIME;
+            }
+        }
+        
+        // Give up chase if too far
+        if (this.distanceTo(target) > this.detectionRange * 2) {
+            this.giveUp();
+        }
+    }
+    
+    /**
+     * Fly off with the sheep, climbing out of reach
+     */
+    carry(player, dt) {
+        super.carry(player, dt);
+        this.flyTo(Math.max(0, this.cruiseY - CARRY_CLIMB), this.moveSpeed, dt);
+    }
+    
+    /**
+     * Stunned, it drops out of the sky
+     */
+    stun() {
+        super.stun();
+        this.isFlying = false;
+    }
+    
+    /**
+     * Take off again, climbing back up before the next swoop
+     */
+    recover(player) {
+        super.recover(player);
+        this.isFlying = true;
+        this.climbTime = CLIMB_TIME;
+    }
+    
+    /**
+     * A sheep being carried hangs from the talons
+     */
+    getCarryPosition(sheep) {
+        return { x: this.centerX - sheep.width / 2, y: this.y + this.height - 8 };
+    }
+    
+    update(dt) {
+        this.setAnimation(this.state === 'chase' && this.climbTime <= 0 ? 'swoop' : 'fly');
+        super.update(dt);
+        
+        // Placeholder wing beat follows the fly frames
+        this.wingOffset = this.animator.name === 'fly' ? [0, -6, 0, 6][this.animator.frame % 4] : 8;
+    }
+    
+    render(ctx, alpha = 1) {
+        if (!this.isVisible) return;
+        
+        const pos = this.getInterpolatedPosition(alpha);
+        
+        ctx.save();
+        
+        if (!this.facingRight) {
+            ctx.translate(pos.x + this.width, pos.y);
+            ctx.scale(-1, 1);
+            ctx.translate(-pos.x, -pos.y);
+        }
+        
+        if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawEagle(ctx, pos.x, pos.y);
+        }
+        
+        ctx.restore();
+        
+        this.renderAlert(ctx, pos);
+    }
+    
+    drawEagle(ctx, x, y) {
+        const wingOff = this.wingOffset;
+        
+        // Far wing
+        ctx.fillStyle = '#5C3A1E';
+        ctx.beginPath();
+        ctx.moveTo(x + 22, y + 14);
+        ctx.lineTo(x + 36, y + 14);
+        ctx.lineTo(x + 24, y - 2 + wingOff);
+        ctx.fill();
+        
+        // Body
+        ctx.fillStyle = '#6B4423';
+        ctx.beginPath();
+        ctx.ellipse(x + 28, y + 18, 18, 8, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Tail
+        ctx.beginPath();
+        ctx.moveTo(x + 12, y + 16);
+        ctx.lineTo(x, y + 12);
+        ctx.lineTo(x + 2, y + 24);
+        ctx.fill();
+        
+        // Head
+        ctx.fillStyle = '#F5F5F0';
+        ctx.beginPath();
+        ctx.arc(x + 46, y + 14, 7, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Beak
+        ctx.fillStyle = '#F4C430';
+        ctx.beginPath();
+        ctx.moveTo(x + 52, y + 12);
+        ctx.lineTo(x + 58, y + 16);
+        ctx.lineTo(x + 51, y + 18);
+        ctx.fill();
+        
+        // Eye
+        ctx.fillStyle = this.isAlerted ? '#ff4444' : '#222';
+        ctx.beginPath();
+        ctx.arc(x + 48, y + 12, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Near wing
+        ctx.fillStyle = '#7A4E2A';
+        ctx.beginPath();
+        ctx.moveTo(x + 18, y + 16);
+        ctx.lineTo(x + 38, y + 16);
+        ctx.lineTo(x + 20, y + 34 - wingOff * 2);
+        ctx.fill();
+        
+        // Talons
+        ctx.strokeStyle = '#F4C430';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x + 26, y + 24);
+        ctx.lineTo(x + 26, y + 30);
+        ctx.moveTo(x + 32, y + 24);
+        ctx.lineTo(x + 32, y + 30);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Bear Enemy
+ * Big and slow, but takes several hits before it's stunned, and a swipe
+ * sends the player flying.
+ */
+export class Bear extends Enemy {
+    constructor(x, y) {
+        super(x, y, 64, 48);
+        
+        this.addTag('bear');
+        
+        // Animation
+        this.animations = {
+            idle: { frames: 1, fps: 1, loop: true },
+            run: { frames: 4, fps: 6, loop: true },
+        };
+        this.animator = new Animator(this.animations);
+        this.setAnimation('idle');
+        this.legOffset = 0;
+    }
+    
+    update(dt) {
+        this.setAnimation(Math.abs(this.velocityX) > 10 ? 'run' : 'idle');
+        super.update(dt);
+        
+        // Placeholder leg animation follows the run frames
+        this.legOffset = this.animator.name === 'run' ? [0, 2, 0, -2][this.animator.frame % 4] : 0;
+    }
+    
+    render(ctx, alpha = 1) {
+        if (!this.isVisible) return;
+        
+        const pos = this.getInterpolatedPosition(alpha);
+        
+        ctx.save();
+        
+        if (!this.facingRight) {
+            ctx.translate(pos.x + this.width, pos.y);
+            ctx.scale(-1, 1);
+            ctx.translate(-pos.x, -pos.y);
+        }
+        
+        if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawBear(ctx, pos.x, pos.y);
+        }
+        
+        ctx.restore();
+        
+        this.renderAlert(ctx, pos);
+    }
+    
+    drawBear(ctx, x, y) {
+        const legOff = this.legOffset;
+        
+        // Legs
+        ctx.fillStyle = '#3E2415';
+        ctx.fillRect(x + 10, y + 36 + legOff, 10, 12);
+        ctx.fillRect(x + 22, y + 36 - legOff, 10, 12);
+        ctx.fillRect(x + 36, y + 36 + legOff, 10, 12);
+        ctx.fillRect(x + 48, y + 36 - legOff, 10, 12);
+        
+        // Body (humped shoulders)
+        ctx.fillStyle = '#5A3825';
+        ctx.beginPath();
+        ctx.ellipse(x + 30, y + 28, 26, 15, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.ellipse(x + 40, y + 20, 14, 12, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Head
+        ctx.beginPath();
+        ctx.arc(x + 54, y + 22, 10, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Ears
+        ctx.beginPath();
+        ctx.arc(x + 50, y + 12, 4, 0, Math.PI * 2);
+        ctx.arc(x + 58, y + 13, 4, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Muzzle
+        ctx.fillStyle = '#A67B5B';
+        ctx.beginPath();
+        ctx.ellipse(x + 61, y + 25, 5, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#1a1a1a';
+        ctx.beginPath();
+        ctx.arc(x + 64, y + 24, 2, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Eyes
+        ctx.fillStyle = this.isAlerted ? '#ff4444' : '#1a1a1a';
+        ctx.beginPath();
+        ctx.arc(x + 55, y + 19, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * Snake Enemy
+ * Lies hidden in grass, harmless and hard to see, until the player comes
+ * close, then rears up and strikes (its charge stats are the strike: how
+ * close, how fast and how often). After a strike it slithers back to its spot.
+ */
+export class Snake extends Enemy {
+    constructor(x, y) {
+        super(x, y, 40, 16);
+        
+        this.addTag('snake');
+        
+        this.inGrass = false; // Lying in grass (see Perception.isInGrass)
+        this.rearTimer = 0;
+        this.strikeStartX = x;
+        this.state = 'lurk'; // lurk, rear, strike, retreat, stunned, recovering
+        
+        // Animation
+        this.animations = {
+            idle: { frames: 1, fps: 1, loop: true },
+            slither: { frames: 4, fps: 8, loop: true },
+            rear: { frames: 1, fps: 1, loop: true },
+            strike: { frames: 1, fps: 1, loop: true },
+        };
+        this.animator = new Animator(this.animations);
+        this.setAnimation('idle');
+        this.wave = 0;
+    }
+    
+    /**
+     * Lying still in grass, out of sight
+     */
+    get isHidden() {
+        return this.state === 'lurk' && this.inGrass;
+    }
+    
+    get canHurt() {
+        return super.canHurt && !this.isHidden;
+    }
+    
+    /**
+     * Snakes don't patrol, chase or hunt: they wait for the player to come to them
+     */
+    updateWithPlayer(dt, player) {
+        this.inGrass = !!this.senses && this.senses.isInGrass(this);
+        this.chargeTimer -= dt;
+        
+        switch (this.state) {
+            case 'rear':
+                this.velocityX = 0;
+                this.facingRight = player.centerX > this.centerX;
+                this.rearTimer -= dt;
+                if (this.rearTimer <= 0) {
+                    this.state = 'strike';
+                    this.strikeStartX = this.x;
+                }
+                break;
+            case 'strike':
+                this.strike();
+                break;
+            case 'retreat':
+                this.retreat();
+                break;
+            case 'stunned':
+                this.stunned(dt);
+                break;
+            case 'recovering':
+                this.recovering(dt, player);
+                break;
+            default:
+                this.lurk(player);
+        }
+        
+        this.isAlerted = this.state === 'rear' || this.state === 'strike';
+    }
+    
+    /**
+     * Back on its feet, it slithers back to its spot
+     */
+    recover() {
+        this.state = 'retreat';
+    }
+    
+    /**
+     * Lie still, and rear up when the player comes within striking distance
+     */
+    lurk(player) {
+        this.velocityX = 0;
+        
+        const dx = player.centerX - this.centerX;
+        const playerFeet = player.bounds.y + player.bounds.height;
+        const close = Math.abs(dx) < this.chargeRange && Math.abs(playerFeet - (this.y + this.height)) < 40;
+        if (close && this.chargeTimer <= 0) {
+            this.state = 'rear';
+            this.rearTimer = REAR_TIME;
+            this.facingRight = dx > 0;
+        }
+    }
+    
+    /**
+     * Lunge forward as far as it can reach
+     */
+    strike() {
+        const dir = this.facingRight ? 1 : -1;
+        this.velocityX = dir * this.chargeSpeed;
+        
+        if (Math.abs(this.x - this.strikeStartX) >= this.chargeRange || this.wallContact === dir) {
+            this.state = 'retreat';
+            this.chargeTimer = this.chargeCooldown;
+        }
+    }
+    
+    /**
+     * Slither back to where it was lying
+     */
+    retreat() {
+        const dx = this.startX - this.x;
+        if (Math.abs(dx) <= 2 || this.wallContact === Math.sign(dx)) {
+            this.velocityX = 0;
+            this.state = 'lurk';
+            return;
+        }
+        this.velocityX = Math.sign(dx) * this.moveSpeed;
+    }
+    
+    update(dt) {
+        if (this.state === 'rear' || this.state === 'strike') {
+            this.setAnimation(this.state);
+        } else {
+            this.setAnimation(Math.abs(this.velocityX) > 5 ? 'slither' : 'idle');
+        }
+        super.update(dt);
+        
+        this.wave += dt * (this.animator.name === 'slither' ? 10 : 2);
+    }
+    
+    render(ctx, alpha = 1) {
+        if (!this.isVisible) return;
+        
+        const pos = this.getInterpolatedPosition(alpha);
+        
+        ctx.save();
+        
+        if (!this.facingRight) {
+            ctx.translate(pos.x + this.width, pos.y);
+            ctx.scale(-1, 1);
+            ctx.translate(-pos.x, -pos.y);
+        }
+        
+        // Hidden in grass: only the eyes peek out
+        if (this.isHidden) {
+            this.drawEyes(ctx, pos.x + 34, pos.y + 10);
+        } else if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawSnake(ctx, pos.x, pos.y);
+        }
+        
+        ctx.restore();
+        
+        this.renderAlert(ctx, pos);
+    }
+    
+    drawSnake(ctx, x, y) {
+        const rearing = this.state === 'rear';
+        const headX = this.state === 'strike' ? x + 38 : rearing ? x + 30 : x + 34;
+        const headY = rearing ? y - 2 : y + 10;
+        
+        // Body
+        ctx.strokeStyle = '#5B7F2A';
+        ctx.lineWidth = 6;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x + 2, y + 13);
+        for (let i = 1; i <= 4; i++) {
+            ctx.lineTo(x + 2 + i * 6, y + 13 + Math.sin(this.wave + i) * 2);
+        }
+        ctx.quadraticCurveTo(headX - 4, rearing ? y + 14 : y + 12, headX - 2, headY);
+        ctx.stroke();
+        
+        // Stripes
+        ctx.strokeStyle = '#3F5A1C';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 1; i <= 4; i++) {
+            const sx = x + 2 + i * 6;
+            const sy = y + 13 + Math.sin(this.wave + i) * 2;
+            ctx.moveTo(sx, sy - 3);
+            ctx.lineTo(sx, sy + 3);
+        }
+        ctx.stroke();
+        
+        // Head
+        ctx.fillStyle = '#6B8F32';
+        ctx.beginPath();
+        ctx.ellipse(headX, headY, 6, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        this.drawEyes(ctx, headX, headY);
+        
+        // Tongue
+        if (this.state === 'rear' || this.state === 'strike') {
+            ctx.strokeStyle = '#D7263D';
+            ctx.lineWidth = 1;
             ctx.beginPath();
-            ctx.moveTo(x - 10, y + 20);
-            ctx.lineTo(x + 5, y + 15);
-            ctx.lineTo(x + 5, y + 30);
-            ctx.lineTo(x - 10, y + 25);
-            ctx.fill();
+            ctx.moveTo(headX + 5, headY + 1);
+            ctx.lineTo(headX + 10, headY + 1);
+            ctx.lineTo(headX + 12, headY - 1);
+            ctx.moveTo(headX + 10, headY + 1);
+            ctx.lineTo(headX + 12, headY + 3);
+            ctx.stroke();
         }
     }
+    
+    drawEyes(ctx, x, y) {
+        ctx.fillStyle = this.isAlerted ? '#ff4444' : '#F4D03F';
+        ctx.beginPath();
+        ctx.arc(x + 1, y - 1, 1.5, 0, Math.PI * 2);
+        ctx.arc(x + 4, y - 1, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
 }
+
+// Species
+enemies.register('wolf', Wolf, {
+    name: 'Wolf',
+    speed: 80,
+    detectionRange: 250,
+    huntsSheep: true,
+    jumpForce: 460
+});
+
+enemies.register('boar', Boar, {
+    name: 'Boar',
+    speed: 50,
+    detectionRange: 150,
+    chargeSpeed: 250,
+    chargeRange: 120,
+    chargeCooldown: 2
+});
+
+enemies.register('eagle', Eagle, {
+    name: 'Eagle',
+    speed: 90,
+    detectionRange: 260,
+    patrolRange: 240,
+    huntsSheep: true
+});
+
+enemies.register('bear', Bear, {
+    name: 'Bear',
+    speed: 35,
+    detectionRange: 180,
+    knockback: 2.5,
+    health: 3,
+    patrolRange: 150
+});
+
+// A snake's charge is its strike
+enemies.register('snake', Snake, {
+    name: 'Snake',
+    speed: 30,
+    chargeSpeed: 320,
+    chargeRange: 80,
+    chargeCooldown: 1.5
+});
@@ -0,0 +1,152 @@
+/**
+ * Enemy Registry
+ * ===============
+ * Every kind of enemy a level can place, and its stats. Each species
+ * registers itself with the shared registry (`enemies`) next to its class
+ * (see the end of Enemy.js), so GameScene, the editor and the level loader
+ * pick up a new species without being touched. A level's enemy entry can
+ * override any stat for that one enemy, e.g.
+ * `{ "type": "enemy", "kind": "wolf", "x": 480, "y": 656, "speed": 100 }`.
+ *
+ * Stats:
+ *   speed          - Patrol speed (px/s); chases run at 1.5x
+ *   detectionRange - How far it sees (px)
+ *   damage         - Hearts the player loses when it bites
+ *   knockback      - How hard a bite knocks the player back (1 = normal)
+ *   health         - Stomps it takes before it's stunned
+ *   patrolRange    - How far either side of its spawn it patrols (px)
+ *   jumpForce      - Jump speed (px/s) for following paths up platforms (0 = can't jump)
+ *   huntsSheep     - Goes after sheep too, and carries them off
+ *   chargeSpeed    - Charges at a target close by at this speed (px/s; 0 = doesn't charge)
+ *   chargeRange    - How close a target has to be to charge it (px)
+ *   chargeCooldown - Seconds between charges
+ *   sprite         - Sprite sheet it's drawn with (assets/sprites/enemies/<sprite>.json;
+ *                    drawn as a placeholder without one)
+ */
+
+// Stats of a species that doesn't give them
+const STAT_DEFAULTS = {
+    speed: 60,
+    detectionRange: 200,
+    damage: 1,
+    knockback: 1,
+    health: 1,
+    patrolRange: 200,
+    jumpForce: 0,
+    huntsSheep: false,
+    chargeSpeed: 0,
+    chargeRange: 120,
+    chargeCooldown: 2,
+    sprite: null
+};
+
+export class EnemyRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+    
+    /**
+     * Add or replace a species
+     * @param {string} kind - Id levels place it by
+     * @param {Function} EnemyClass - Enemy subclass, constructed as new EnemyClass(x, y)
+     * @param {Object} stats - Its stats (see above); `name` is shown in tools
+     */
+    register(kind, EnemyClass, { name = kind, ...stats } = {}) {
+        this.definitions.set(kind, Object.freeze({
+            kind,
+            name,
+            EnemyClass,
+            stats: Object.freeze({ ...STAT_DEFAULTS, ...stats })
+        }));
+    }
+    
+    /**
+     * Definition of a species (undefined if it isn't registered)
+     */
+    get(kind) {
+        return this.definitions.get(kind);
+    }
+    
+    /**
+     * Is this a registered species?
+     */
+    has(kind) {
+        return this.definitions.has(kind);
+    }
+    
+    /**
+     * All registered species ids
+     */
+    get kinds() {
+        return [...this.definitions.keys()];
+    }
+    
+    /**
+     * Names of the stats an enemy entry can override
+     */
+    get statNames() {
+        return Object.keys(STAT_DEFAULTS);
+    }
+    
+    /**
+     * Sprite sheets to load for every species that has one (name -> path)
+     */
+    get spriteSheets() {
+        const sheets = {};
+        this.definitions.forEach(({ stats }) => {
+            if (stats.sprite) sheets[stats.sprite] = `assets/sprites/enemies/${stats.sprite}.json`;
+        });
+        return sheets;
+    }
+    
+    /**
+     * The stats an enemy entry overrides
+     * @param {Object} entry - Level enemy entry (object or runtime)
+     * @returns {Object} stat name -> value, for the stats it gives
+     */
+    getOverrides(entry) {
+        const overrides = {};
+        this.statNames.forEach(stat => {
+            if (entry[stat] !== undefined) overrides[stat] = entry[stat];
+        });
+        return overrides;
+    }
+    
+    /**
+     * Check the stats an enemy entry overrides
+     * @returns {string[]} problems (empty if they're fine)
+     */
+    validateOverrides(entry) {
+        const errors = [];
+        Object.entries(this.getOverrides(entry)).forEach(([stat, value]) => {
+            const got = `(got ${JSON.stringify(value)})`;
+            if (typeof STAT_DEFAULTS[stat] === 'boolean') {
+                if (typeof value !== 'boolean') errors.push(`"${stat}" must be true or false ${got}`);
+            } else if (stat === 'sprite') {
+                if (typeof value !== 'string' || value === '') errors.push(`"${stat}" must be a sprite sheet name ${got}`);
+            } else if (!Number.isFinite(value) || value < 0) {
+                errors.push(`"${stat}" must be a number, 0 or more ${got}`);
+            }
+        });
+        return errors;
+    }
+    
+    /**
+     * Spawn an enemy from a runtime level entry ({ type, x, y, ...stat overrides })
+     * @param {AssetLoader} assets - For its sprite sheet (optional)
+     */
+    create(entry, assets = null) {
+        const definition = this.get(entry.type);
+        if (!definition) {
+            throw new Error(`Unknown enemy kind ${JSON.stringify(entry.type)} (expected one of ${this.kinds.join(', ')})`);
+        }
+        
+        const enemy = new definition.EnemyClass(entry.x, entry.y);
+        enemy.kind = definition.kind;
+        enemy.applyStats({ ...definition.stats, ...this.getOverrides(entry) }, assets);
+        return enemy;
+    }
+}
+
+// Shared registry the species register with
+export const enemies = new EnemyRegistry();
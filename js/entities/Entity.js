@@ -31,12 +31,16 @@ export class Entity {
         this.isVisible = true;
         this.isGrounded = false;
         this.isOnPlatform = false;
+        this.platform = null; // MovingPlatform we're standing on (carried along with it)
+        this.groundTile = null; // Tile properties of what we're standing on (see TileRegistry)
+        this.dropThroughTimer = 0; // While > 0, one-way platforms don't hold this entity
+        this.wallContact = 0; // -1 / 1 while pushing against a wall on the left / right
+        this.submersion = 0; // How much of the hitbox is under water, 0-1 (see Physics.getSubmersion)
+        this.swimDepth = 0.65; // Submersion at which the entity swims instead of wading (floats at ~0.7)
         this.facingRight = true;
         
         // Animation
-        this.animation = null;
-        this.animationFrame = 0;
-        this.animationTime = 0;
+        this.animator = null; // Animator, for entities with an animation table
         
         // Type tag for collision filtering
         this.type = 'entity';
@@ -90,6 +94,32 @@ export class Entity {
      */
     fixedUpdate(dt) {
         this.storePreviousPosition();
+        
+        if (this.dropThroughTimer > 0) {
+            this.dropThroughTimer -= dt;
+        }
+    }
+    
+    /**
+     * Fall through the one-way platform we're standing on
+     */
+    dropThrough(duration = 0.2) {
+        this.dropThroughTimer = duration;
+        this.isGrounded = false;
+    }
+    
+    /**
+     * Standing on a one-way platform (one that can be dropped through)?
+     */
+    get isOnOneWayTile() {
+        return this.isGrounded && !!this.groundTile && this.groundTile.oneWay;
+    }
+    
+    /**
+     * Swimming: in water too deep to wade through
+     */
+    get isSwimming() {
+        return this.submersion >= this.swimDepth;
     }
     
     /**
@@ -97,22 +127,17 @@ export class Entity {
      */
     update(dt) {
         // Update animation
-        if (this.animation) {
-            this.animationTime += dt;
-            const frameDuration = 1 / this.animation.fps;
-            
-            if (this.animationTime >= frameDuration) {
-                this.animationTime -= frameDuration;
-                this.animationFrame++;
-                
-                if (this.animationFrame >= this.animation.frames) {
-                    if (this.animation.loop) {
-                        this.animationFrame = 0;
-                    } else {
-                        this.animationFrame = this.animation.frames - 1;
-                    }
-                }
-            }
+        if (this.animator) {
+            this.animator.update(dt);
+        }
+    }
+    
+    /**
+     * Set current animation
+     */
+    setAnimation(name) {
+        if (this.animator) {
+            this.animator.play(name);
         }
     }
     
@@ -193,8 +218,14 @@ export class Entity {
      * Check collision with another entity
      */
     collidesWith(other) {
+        return this.overlaps(other.bounds);
+    }
+    
+    /**
+     * Check whether the hitbox overlaps a rectangle ({ x, y, width, height })
+     */
+    overlaps(b) {
         const a = this.bounds;
-        const b = other.bounds;
         
         return (
             a.x < b.x + b.width &&
@@ -0,0 +1,188 @@
+/**
+ * Flock
+ * ======
+ * Leads rescued sheep along the player's trail. As the player moves they
+ * leave breadcrumbs: where they walked, and where they jumped (including
+ * double jumps, wall jumps and pulling up onto ledges) or dropped through a
+ * platform. Sheep walk the trail in single file, each a gap behind the one
+ * ahead, and jump and drop where the player did, so they make it up the same
+ * ledges instead of getting stuck below them (see Sheep.followTrail). Where
+ * the trail doubles back they keep apart from each other and the player
+ * (boids-style separation). A sheep that gets stuck or falls far behind
+ * strays from the flock until the player comes back for it.
+ */
+
+// Breadcrumbs are left this far apart (pixels along the player's path)
+const CRUMB_SPACING = 12;
+
+// Distance along the trail from the player to the first sheep, and between sheep
+const FOLLOW_GAP = 64;
+
+// A sudden upward change in the player's speed this big is a jump
+const JUMP_IMPULSE = 150;
+
+// Sheep following the player up onto a ledge jump this much higher than its top
+const CLIMB_CLEARANCE = 16;
+
+// A sheep strays when it's made no headway along the trail for this long
+// (seconds), or is this far behind where it should be (pixels along the trail)
+const STRAY_TIME = 4;
+const STRAY_GAP = 640;
+
+// Sheep closer than this (horizontally) to a flockmate or the player move apart,
+// up to this fast
+const SEPARATION_DISTANCE = 36;
+const SEPARATION_SPEED = 120;
+
+export class Flock {
+    /**
+     * @param {Player} leader - Whose trail the flock follows
+     * @param {Physics} physics - For the jump it takes to get up a ledge the player climbed
+     */
+    constructor(leader, physics) {
+        this.leader = leader;
+        this.physics = physics;
+        this.sheep = [];
+        
+        // Breadcrumbs: { x, y (feet), distance (along the trail), vx, jump (upward speed, or 0),
+        // climb (pulled up onto a ledge here), drop (dropped through a platform here) }
+        this.trail = [];
+        this.firstIndex = 0; // Trail index of trail[0] (older crumbs are dropped once every sheep has passed them)
+        
+        this.lastVelocityY = 0;
+        this.wasHanging = false;
+        this.wasDropping = false;
+    }
+    
+    /**
+     * Distance the player has covered along the trail
+     */
+    get distance() {
+        return this.trail.length > 0 ? this.trail[this.trail.length - 1].distance : 0;
+    }
+    
+    /**
+     * Add a rescued sheep to the back of the line
+     */
+    add(sheep) {
+        sheep.setLeader(this.sheep[this.sheep.length - 1] || this.leader);
+        sheep.flock = this;
+        sheep.trailIndex = this.firstIndex + this.trail.length;
+        sheep.trailTimer = 0;
+        this.sheep.push(sheep);
+    }
+    
+    /**
+     * Take a sheep out of the line (the ones behind it close up)
+     */
+    remove(sheep) {
+        const index = this.sheep.indexOf(sheep);
+        if (index === -1) return;
+        
+        this.sheep.splice(index, 1);
+        sheep.flock = null;
+        this.sheep.forEach((s, i) => s.setLeader(this.sheep[i - 1] || this.leader));
+    }
+    
+    /**
+     * Breadcrumb at a trail index (null if it's not been left yet)
+     */
+    getCrumb(index) {
+        return this.trail[index - this.firstIndex] || null;
+    }
+    
+    /**
+     * How far along the trail a sheep may go: a gap behind the one ahead of it
+     */
+    getLimit(sheep) {
+        return this.distance - FOLLOW_GAP * (this.sheep.indexOf(sheep) + 1);
+    }
+    
+    /**
+     * Leave a breadcrumb where the player is now, if they've moved on far
+     * enough or just jumped or dropped (call after the player has moved)
+     */
+    update() {
+        const leader = this.leader;
+        const bounds = leader.bounds;
+        const x = bounds.x + bounds.width / 2;
+        const y = bounds.y + bounds.height;
+        const last = this.trail[this.trail.length - 1];
+        const moved = last ? Math.hypot(x - last.x, y - last.y) : 0;
+        
+        const jump = leader.velocityY < this.lastVelocityY - JUMP_IMPULSE ? leader.velocityY : 0;
+        const climb = this.wasHanging && !leader.ledge;
+        const drop = leader.dropThroughTimer > 0 && !this.wasDropping;
+        
+        if (!last || jump || climb || drop || moved >= CRUMB_SPACING) {
+            this.trail.push({
+                x,
+                y,
+                distance: (last ? last.distance : 0) + moved,
+                vx: leader.velocityX,
+                jump,
+                climb,
+                drop
+            });
+        }
+        
+        this.lastVelocityY = leader.velocityY;
+        this.wasHanging = !!leader.ledge;
+        this.wasDropping = leader.dropThroughTimer > 0;
+        
+        this.prune();
+    }
+    
+    /**
+     * Upward speed a sheep takes off with at a breadcrumb: the player's own
+     * jump, or as much as it takes to get up onto the ledge the player climbed
+     */
+    getJumpSpeed(sheep, crumb) {
+        if (!crumb.climb) return crumb.jump;
+        
+        const rise = Math.max(0, sheep.y + sheep.height - crumb.y) + CLIMB_CLEARANCE;
+        return -Math.sqrt(2 * this.physics.gravity * rise);
+    }
+    
+    /**
+     * Forget breadcrumbs every sheep has already passed
+     */
+    prune() {
+        const oldest = this.sheep.length > 0
+            ? Math.min(...this.sheep.map(sheep => sheep.trailIndex))
+            : this.firstIndex + this.trail.length - 1;
+        const count = Math.min(oldest - this.firstIndex, this.trail.length - 1);
+        if (count > 0) {
+            this.trail.splice(0, count);
+            this.firstIndex += count;
+        }
+    }
+    
+    /**
+     * Sheep that got stuck or fell too far behind to keep following
+     */
+    getStrays() {
+        return this.sheep.filter(sheep => {
+            const crumb = this.getCrumb(sheep.trailIndex);
+            return sheep.trailTimer > STRAY_TIME || (crumb && this.getLimit(sheep) - crumb.distance > STRAY_GAP);
+        });
+    }
+    
+    /**
+     * Sideways speed that moves a sheep away from flockmates and the player it's bumping into
+     */
+    getSeparation(sheep) {
+        let push = 0;
+        [this.leader, ...this.sheep].forEach(other => {
+            if (other === sheep) return;
+            
+            const dx = sheep.centerX - other.centerX;
+            const dy = (sheep.y + sheep.height) - (other.y + other.height);
+            if (Math.abs(dx) >= SEPARATION_DISTANCE || Math.abs(dy) > 24) return;
+            
+            const away = dx !== 0 ? Math.sign(dx) : (this.sheep.indexOf(sheep) > this.sheep.indexOf(other) ? -1 : 1);
+            push += away * SEPARATION_SPEED * (1 - Math.abs(dx) / SEPARATION_DISTANCE);
+        });
+        return push;
+    }
+}
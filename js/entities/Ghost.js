@@ -0,0 +1,73 @@
+/**
+ * Ghost Entity
+ * =============
+ * Translucent shepherd replaying the best completed run of a level
+ */
+
+import { Player } from './Player.js';
+import { Animator } from '../engine/Animator.js';
+
+// Player states stored in trace samples (by index)
+const GHOST_STATES = ['idle', 'run', 'jump', 'fall', 'crouch', 'hang', 'climb', 'wallslide', 'swim'];
+
+export class Ghost extends Player {
+    /**
+     * @param {Object} trace - { interval: seconds between samples, samples: [[x, y, flags], ...] }
+     * @param {Player} player - The live player, whose sprite sheet the ghost borrows
+     */
+    constructor(trace, player) {
+        super(trace.samples[0][0], trace.samples[0][1]);
+        
+        this.type = 'ghost';
+        this.removeTag('player');
+        this.addTag('ghost');
+        
+        this.trace = trace;
+        this.animator = new Animator(this.animations, player.animator.sheet);
+        this.time = 0;
+        this.opacity = 0.4;
+        
+        this.seek(0);
+    }
+    
+    /**
+     * Record the player's position as a trace sample
+     */
+    static sample(player) {
+        const state = Math.max(0, GHOST_STATES.indexOf(player.state));
+        return [Math.round(player.x), Math.round(player.y), state * 2 + (player.facingRight ? 1 : 0)];
+    }
+    
+    /**
+     * Move to where the recorded run was at a given time
+     */
+    seek(time) {
+        const samples = this.trace.samples;
+        const last = samples.length - 1;
+        const position = Math.max(0, time / this.trace.interval);
+        const index = Math.min(Math.floor(position), last);
+        const next = samples[Math.min(index + 1, last)];
+        const current = samples[index];
+        const t = index < last ? position - index : 0;
+        
+        this.x = current[0] + (next[0] - current[0]) * t;
+        this.y = current[1] + (next[1] - current[1]) * t;
+        this.state = GHOST_STATES[current[2] >> 1] || 'idle';
+        this.facingRight = (current[2] & 1) === 1;
+        
+        // Animate along with the replayed run
+        this.setAnimation(this.state);
+        this.animator.update(Math.max(0, time - this.time));
+        this.time = time;
+    }
+    
+    /**
+     * Render the shepherd, see-through
+     */
+    render(ctx, alpha = 1) {
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        super.render(ctx, alpha);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Moving Platforms
+ * =================
+ * Platforms that aren't part of the tilemap: they follow a path of waypoints
+ * from the level data, or crumble away when stood on. Like platform tiles
+ * they're one-way (landed on from above, jumped up through from below).
+ * Whatever stands on one - the player, rescued sheep, enemies - is carried
+ * along with it (see GameScene.updatePlatforms).
+ */
+
+import { Entity } from './Entity.js';
+
+export class MovingPlatform extends Entity {
+    /**
+     * @param {Object} options - { width, path: [{ x, y }], speed (px/s), wait (s at each waypoint) }
+     */
+    constructor(x, y, { width = 96, path = [], speed = 60, wait = 0.5 } = {}) {
+        super(x, y, width, 16);
+        
+        this.type = 'platform';
+        this.addTag('platform');
+        
+        // Path: from the start through each waypoint, then back to the start
+        this.waypoints = [{ x, y }, ...path.map(point => ({ x: point.x, y: point.y }))];
+        this.targetIndex = this.waypoints.length > 1 ? 1 : 0;
+        this.speed = speed;
+        this.wait = wait;
+        this.waitTimer = 0;
+        
+        // Can be stood on (crumbling platforms stop being solid while they fall)
+        this.isSolid = true;
+        
+        // Entities standing on the platform after the last physics step
+        this.riders = [];
+    }
+    
+    /**
+     * Fixed update (follow the path)
+     */
+    fixedUpdate(dt) {
+        super.fixedUpdate(dt);
+        this.followPath(dt);
+    }
+    
+    /**
+     * Move towards the next waypoint, pausing at each one
+     */
+    followPath(dt) {
+        if (this.waypoints.length < 2) return;
+        
+        if (this.waitTimer > 0) {
+            this.waitTimer -= dt;
+            return;
+        }
+        
+        const target = this.waypoints[this.targetIndex];
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const step = this.speed * dt;
+        
+        if (distance <= step) {
+            this.x = target.x;
+            this.y = target.y;
+            this.targetIndex = (this.targetIndex + 1) % this.waypoints.length;
+            this.waitTimer = this.wait;
+        } else {
+            this.x += dx / distance * step;
+            this.y += dy / distance * step;
+        }
+    }
+    
+    /**
+     * How far the platform moved in the last physics step
+     */
+    get deltaX() {
+        return this.x - this.prevX;
+    }
+    
+    get deltaY() {
+        return this.y - this.prevY;
+    }
+    
+    /**
+     * Render as a wooden plank
+     */
+    render(ctx, alpha = 1) {
+        if (!this.isVisible) return;
+        
+        const pos = this.getInterpolatedPosition(alpha);
+        this.drawPlank(ctx, pos.x, pos.y, '#8B6A43', '#A8855A', '#4A3728');
+    }
+    
+    /**
+     * Draw the placeholder plank
+     */
+    drawPlank(ctx, x, y, color, light, dark) {
+        ctx.fillStyle = dark;
+        ctx.fillRect(x, y, this.width, this.height);
+        ctx.fillStyle = color;
+        ctx.fillRect(x + 1, y + 1, this.width - 2, this.height - 4);
+        ctx.fillStyle = light;
+        ctx.fillRect(x + 1, y + 1, this.width - 2, 3);
+        
+        // Plank joints
+        ctx.fillStyle = dark;
+        for (let jointX = x + 32; jointX < x + this.width; jointX += 32) {
+            ctx.fillRect(jointX - 1, y + 1, 2, this.height - 4);
+        }
+    }
+    
+    /**
+     * Render debug info (path and waypoints)
+     */
+    renderDebug(ctx) {
+        super.renderDebug(ctx);
+        
+        ctx.strokeStyle = 'rgba(255, 215, 0, 0.6)';
+        ctx.beginPath();
+        this.waypoints.forEach((point, i) => {
+            const x = point.x + this.width / 2;
+            if (i === 0) ctx.moveTo(x, point.y);
+            else ctx.lineTo(x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+    }
+}
+
+/**
+ * Crumbling Platform
+ * Shakes for a moment once something stands on it, falls, then reappears
+ * where it started after a delay.
+ */
+export class CrumblingPlatform extends MovingPlatform {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        
+        this.addTag('crumbling');
+        
+        this.shakeDuration = options.shakeTime ?? 0.6;
+        this.respawnDelay = options.respawnTime ?? 3;
+        this.fallSpeed = 0;
+        
+        // State: 'idle', 'shaking', 'falling' or 'gone'
+        this.state = 'idle';
+        this.stateTimer = 0;
+    }
+    
+    /**
+     * Fixed update (crumble when stood on)
+     */
+    fixedUpdate(dt) {
+        super.fixedUpdate(dt);
+        this.stateTimer += dt;
+        
+        switch (this.state) {
+            case 'idle':
+                if (this.riders.length > 0) {
+                    this.setState('shaking');
+                }
+                break;
+            case 'shaking':
+                if (this.stateTimer >= this.shakeDuration) {
+                    this.isSolid = false;
+                    this.fallSpeed = 0;
+                    this.setState('falling');
+                }
+                break;
+            case 'falling':
+                this.fallSpeed = Math.min(this.fallSpeed + 900 * dt, 450);
+                this.y += this.fallSpeed * dt;
+                if (this.stateTimer >= 1) {
+                    this.isVisible = false;
+                    this.setState('gone');
+                }
+                break;
+            case 'gone':
+                if (this.stateTimer >= this.respawnDelay) {
+                    this.respawn();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Moving crumbling platforms stop following their path once they give way
+     */
+    followPath(dt) {
+        if (this.state === 'idle' || this.state === 'shaking') {
+            super.followPath(dt);
+        }
+    }
+    
+    /**
+     * Change state and restart its timer
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTimer = 0;
+    }
+    
+    /**
+     * Come back at the start of the path
+     */
+    respawn() {
+        const start = this.waypoints[0];
+        this.x = this.prevX = start.x;
+        this.y = this.prevY = start.y;
+        this.targetIndex = this.waypoints.length > 1 ? 1 : 0;
+        this.waitTimer = 0;
+        this.isSolid = true;
+        this.isVisible = true;
+        this.setState('idle');
+    }
+    
+    /**
+     * Render as cracked stone, shaking before it falls
+     */
+    render(ctx, alpha = 1) {
+        if (!this.isVisible) return;
+        
+        const pos = this.getInterpolatedPosition(alpha);
+        const shake = this.state === 'shaking' ? Math.round(Math.sin(this.stateTimer * 60) * 2) : 0;
+        const x = pos.x + shake;
+        
+        this.drawPlank(ctx, x, pos.y, '#9A8F7E', '#B8AE9C', '#5E564A');
+        
+        // Cracks
+        ctx.strokeStyle = '#5E564A';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let crackX = x + 12; crackX < x + this.width - 8; crackX += 28) {
+            ctx.moveTo(crackX, pos.y + 2);
+            ctx.lineTo(crackX + 4, pos.y + 7);
+            ctx.lineTo(crackX + 1, pos.y + 12);
+        }
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Sheep Pen
+ * ==========
+ * Where the player brings rescued sheep. A sheep following the player is
+ * delivered once it walks into the pen, and stays there grazing (see
+ * GameScene.updateFlock); the level is complete once every sheep is in.
+ * The fence is only for show: nothing collides with it.
+ */
+
+// Sheep in the pen stand this far apart, and this far in from the fence
+const GRAZING_SPACING = 36;
+const GRAZING_MARGIN = 24;
+
+export class Pen {
+    /**
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge (the bottom is the ground the sheep stand on)
+     */
+    constructor(x, y, width = 128, height = 96) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.sheepCount = 0;
+    }
+    
+    /**
+     * Whether an entity (its middle) is inside the pen
+     */
+    contains(entity) {
+        const bounds = entity.bounds;
+        const x = bounds.x + bounds.width / 2;
+        const y = bounds.y + bounds.height / 2;
+        return x >= this.x && x <= this.x + this.width && y >= this.y && y <= this.y + this.height;
+    }
+    
+    /**
+     * Take in a sheep
+     * @returns {number} Where it grazes (x of its middle), so sheep spread out along the pen
+     */
+    admit() {
+        const usable = Math.max(0, this.width - GRAZING_MARGIN * 2);
+        const slots = Math.floor(usable / GRAZING_SPACING) + 1;
+        const slot = this.sheepCount % slots;
+        this.sheepCount++;
+        return this.x + GRAZING_MARGIN + (slots > 1 ? slot * usable / (slots - 1) : usable / 2);
+    }
+    
+    /**
+     * Render the fence: posts at both ends and rails between them
+     */
+    render(ctx) {
+        const { x, y, width, height } = this;
+        const bottom = y + height;
+        const fenceHeight = Math.min(height, 40);
+        
+        ctx.save();
+        
+        // Rails
+        ctx.fillStyle = '#8B6A43';
+        [0.35, 0.75].forEach(level => {
+            ctx.fillRect(x, bottom - fenceHeight * level, width, 5);
+        });
+        
+        // Posts
+        ctx.fillStyle = '#6B4F2E';
+        const posts = Math.max(2, Math.round(width / 48) + 1);
+        for (let i = 0; i < posts; i++) {
+            ctx.fillRect(x + i * (width - 6) / (posts - 1), bottom - fenceHeight, 6, fenceHeight);
+        }
+        
+        // Sign
+        ctx.fillStyle = '#A8855A';
+        ctx.fillRect(x + width / 2 - 22, bottom - fenceHeight - 18, 44, 16);
+        ctx.fillStyle = '#4A3728';
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`🐑 ${this.sheepCount}`, x + width / 2, bottom - fenceHeight - 10);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the area sheep are delivered in (debug overlay)
+     */
+    renderDebug(ctx) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.strokeRect(this.x, this.y, this.width, this.height);
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Perception
+ * ===========
+ * What enemies can see and hear of the player. An enemy sees in a cone in
+ * front of it, as far as its detection range, and not through solid tiles.
+ * Crouching, darkness (the level's time of day) and cover tiles such as
+ * bushes make the player harder to spot, and crouching in cover hides them
+ * completely; standing still helps too. Moving about makes noise enemies
+ * hear whichever way they're facing, unless the player sneaks (crouches).
+ * Enemies build up an alert meter from what they see and hear (see
+ * Enemy.perceive). Grass hides snakes in the same way (see isInGrass).
+ */
+
+// Half-width of an enemy's view cone (radians), unless it has its own
+const VIEW_ANGLE = Math.PI * 0.22;
+
+// Darkness (0-1) of each time of day
+const DARKNESS = { day: 0, afternoon: 0.1, sunset: 0.25, dusk: 0.5, night: 0.8 };
+
+// Full darkness takes this share off how far enemies see, and off how well they see
+const DARK_RANGE_LOSS = 0.5;
+const DARK_VISIBILITY_LOSS = 0.4;
+
+// How visible the player is crouching, standing in cover, and standing still
+const CROUCH_VISIBILITY = 0.5;
+const COVER_VISIBILITY = 0.5;
+const STILL_VISIBILITY = 0.6;
+
+// How far away moving about can be heard (pixels)
+const WALK_NOISE = 160;
+const SPRINT_NOISE = 300;
+const SWIM_NOISE = 140;
+
+export class Perception {
+    /**
+     * @param {Object} tilemap - Runtime tilemap ({ width, height, tileSize, data })
+     * @param {Physics} physics - Tile types and line-of-sight tests
+     * @param {number} darkness - How dark the level is, 0-1 (see darknessFor)
+     */
+    constructor(tilemap, physics, darkness = 0) {
+        this.tilemap = tilemap;
+        this.physics = physics;
+        this.tiles = physics.tiles;
+        this.darkness = darkness;
+    }
+    
+    /**
+     * How dark a level's time of day is (0 = broad daylight)
+     */
+    static darknessFor(timeOfDay) {
+        return DARKNESS[timeOfDay] || 0;
+    }
+    
+    /**
+     * How well an enemy can see the player right now
+     * @returns {number} 0 (not at all) to 1 (plainly, close up)
+     */
+    getVisibility(enemy, player) {
+        const range = enemy.detectionRange * (1 - this.darkness * DARK_RANGE_LOSS);
+        const eyeX = enemy.centerX;
+        const eyeY = enemy.y + enemy.height * 0.3;
+        const facing = enemy.facingRight ? 1 : -1;
+        const viewAngle = enemy.viewAngle || VIEW_ANGLE;
+        
+        // Look for the player's head, then their middle
+        const bounds = player.bounds;
+        const x = bounds.x + bounds.width / 2;
+        let closest = Infinity;
+        [bounds.y + 6, bounds.y + bounds.height / 2].forEach(y => {
+            const dx = (x - eyeX) * facing;
+            const dy = y - eyeY;
+            const distance = Math.hypot(dx, dy);
+            if (distance > range || distance >= closest) return;
+            if (dx < 0 || Math.atan2(Math.abs(dy), dx) > viewAngle) return;
+            if (!this.physics.hasLineOfSight(this.tilemap, eyeX, eyeY, x, y)) return;
+            closest = distance;
+        });
+        if (closest === Infinity) return 0;
+        
+        let visibility = (1 - 0.5 * closest / range) * (1 - this.darkness * DARK_VISIBILITY_LOSS);
+        if (player.isCrouching) visibility *= CROUCH_VISIBILITY;
+        if (this.isInCover(player)) visibility *= player.isCrouching ? 0 : COVER_VISIBILITY;
+        if (Math.abs(player.velocityX) < 10) visibility *= STILL_VISIBILITY;
+        return visibility;
+    }
+    
+    /**
+     * Can an enemy hear the player moving about?
+     */
+    canHear(enemy, player) {
+        const noise = this.getNoise(player);
+        return noise > 0 && enemy.distanceTo(player) < noise;
+    }
+    
+    /**
+     * How far away the player can be heard (0 when they're quiet)
+     */
+    getNoise(player) {
+        if (player.isSwimming) return SWIM_NOISE;
+        if (!player.isGrounded || player.isCrouching || Math.abs(player.velocityX) < 10) return 0;
+        return player.isSprinting ? SPRINT_NOISE : WALK_NOISE;
+    }
+    
+    /**
+     * Is the player down among cover tiles (the tile their feet are in)?
+     */
+    isInCover(player) {
+        const bounds = player.bounds;
+        const tileSize = this.tilemap.tileSize;
+        const col = Math.floor((bounds.x + bounds.width / 2) / tileSize);
+        const row = Math.floor((bounds.y + bounds.height - 1) / tileSize);
+        return this.tiles.isCover(this.getTile(col, row));
+    }
+    
+    /**
+     * Is an entity lying in grass: in a grassy tile, or on top of one?
+     */
+    isInGrass(entity) {
+        const bounds = entity.bounds;
+        const col = Math.floor((bounds.x + bounds.width / 2) / this.tilemap.tileSize);
+        const feet = bounds.y + bounds.height;
+        return this.tiles.isGrass(this.getTile(col, Math.floor((feet - 1) / this.tilemap.tileSize))) ||
+            this.tiles.isGrass(this.getTile(col, Math.floor((feet + 1) / this.tilemap.tileSize)));
+    }
+    
+    /**
+     * Is the player hidden from every enemy (crouching in cover)?
+     */
+    isHidden(player) {
+        return player.isCrouching && this.isInCover(player);
+    }
+    
+    /**
+     * Tile id at a cell (0 outside the map)
+     */
+    getTile(col, row) {
+        const { width, height, data } = this.tilemap;
+        if (col < 0 || col >= width || row < 0 || row >= height) return 0;
+        return data[row * width + col];
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { Entity } from './Entity.js';
+import { Animator } from '../engine/Animator.js';
 
 export class Player extends Entity {
     constructor(x, y, assets = null) {
@@ -13,10 +14,6 @@ export class Player extends Entity {
         // Store reference to assets for sprite rendering
         this.assets = assets;
         
-        // GIF animation elements (for animated GIFs)
-        this.gifElements = {};
-        this.initGifElements();
-        
         this.type = 'player';
         this.addTag('player');
         
@@ -29,16 +26,44 @@ export class Player extends Entity {
         // Movement properties
         this.moveSpeed = 250;
         this.jumpForce = 520; // Increased for longer jumps
-        this.maxJumps = 1; // Set to 2 for double jump
+        this.maxJumps = 1; // 2 with the double jump ability
         this.jumpsRemaining = 1;
         
+        // Abilities unlocked for this attempt (see Abilities.js)
+        this.abilities = new Set();
+        
+        // Wall slide / jump ability
+        this.wallSlideSpeed = 120; // Fastest fall while sliding down a wall
+        this.wallJumpLock = 0.15; // Seconds a kick off a wall can't be steered
+        this.wallJumpTimer = 0;
+        this.isWallSliding = false;
+        
+        // Sprint ability
+        this.sprintMultiplier = 1.5;
+        this.sprintEnergyCost = 20; // Energy per second
+        this.isSprinting = false;
+        
+        // Swimming in deep water: jump strokes up, down dives (see Physics.applyBuoyancy)
+        this.swimSpeed = 160;
+        this.swimAcceleration = 900;
+        this.swimStroke = 420; // Upward speed of a stroke
+        this.diveAcceleration = 700;
+        this.wadeSpeed = 0.7; // Walking speed in shallow water, as a share of moveSpeed
+        
+        // Breath runs out while the head is under water, then the player
+        // starts losing hearts (see GameScene.checkTileHazards)
+        this.maxBreath = 4; // seconds
+        this.breath = 4;
+        this.breathRecovery = 2; // Seconds of breath back per second above water
+        
         // State
-        this.state = 'idle'; // idle, run, jump, fall, crouch, slide
+        this.state = 'idle'; // idle, run, jump, fall, crouch, slide, hang, climb, wallslide, swim
         this.isJumping = false;
         this.isCrouching = false;
         this.isSliding = false;
         this.canInteract = false;
         this.nearbyInteractable = null;
+        this.isHidden = false; // Crouching in cover, out of every enemy's sight (set by GameScene)
         
         // Coyote time (grace period after leaving ground)
         this.coyoteTime = 0.1; // seconds
@@ -48,6 +73,27 @@ export class Player extends Entity {
         this.jumpBufferTime = 0.1;
         this.jumpBufferTimer = 0;
         
+        // Ledge grab: the hands reach this far above the hitbox and catch ledges
+        // while falling (see GameScene.updateLedgeGrab)
+        this.ledgeReach = 32;
+        this.ledge = null; // Ledge being held (see Physics.findLedge)
+        this.shimmySpeed = 80;
+        this.isClimbing = false;
+        this.climbTime = 0.25; // seconds to pull up onto the ledge
+        this.climbTimer = 0;
+        this.ledgeCooldown = 0; // After letting go, no ledge is caught until this runs out
+        
+        // Combat: landing on an enemy stomps it and bounces the player off, and
+        // the action key swings the crook when there's no sheep to rescue nearby
+        // (see GameScene.checkCollisions and GameScene.updateCrook)
+        this.stompBounce = 420; // Upward speed off a stomped enemy
+        this.crookReach = 44; // How far in front the crook reaches (pixels)
+        this.swingTime = 0.2; // seconds the swing can hit for
+        this.swingCooldown = 0.5; // seconds between swings
+        this.swingTimer = 0;
+        this.swingCooldownTimer = 0;
+        this.crookHits = new Set(); // Enemies this swing has already hit
+        
         // Invulnerability
         this.isInvulnerable = false;
         this.invulnerabilityTime = 0;
@@ -57,75 +103,76 @@ export class Player extends Entity {
         this.health = 3;
         this.maxHealth = 3;
         
-        // Energy
+        // Energy: used up by sprinting, jumping and herding rescued sheep, and
+        // topped up by berries and herbs. A tired player slows down.
         this.energy = 100;
         this.maxEnergy = 100;
+        this.jumpEnergyCost = 1;
+        this.longJumpEnergyCost = 3; // Running (or wall) jumps
+        this.herdEnergyCost = 0.3; // Per second of walking, for each sheep following
+        this.tiredEnergy = 25; // Below this the player slows down...
+        this.tiredSpeed = 0.6; // ...to this share of full speed with no energy left
         
-        // Rescued sheep following
+        // Rescued sheep following (until they're delivered to the pen or stray)
         this.rescuedSheep = [];
         
-        // Animation definitions
+        // Animation definitions (tag: sprite sheet animation, if not the same name)
         this.animations = {
-            idle: { frames: 4, fps: 6, loop: true },
-            run: { frames: 6, fps: 10, loop: true },
-            jump: { frames: 2, fps: 8, loop: false },
-            fall: { frames: 2, fps: 8, loop: false },
-            crouch: { frames: 1, fps: 1, loop: false },
+            idle: { frames: 12, fps: 10, loop: true },
+            run: { frames: 8, fps: 10, loop: true },
+            jump: { frames: 2, fps: 8, loop: true, tag: 'midair' },
+            fall: { frames: 2, fps: 8, loop: true, tag: 'midair' },
+            crouch: { frames: 12, fps: 10, loop: true, tag: 'idle' },
+            wallslide: { frames: 2, fps: 8, loop: true, tag: 'midair' },
+            swim: { frames: 2, fps: 6, loop: true, tag: 'midair' },
+            hang: { frames: 6, fps: 8, loop: true, tag: 'ledge-grab' },
+            climb: { frames: 6, fps: 24, loop: false, tag: 'ledge-grab' },
         };
         
+        this.animator = new Animator(this.animations, assets?.getSpriteSheet('shepherd') || null);
         this.setAnimation('idle');
     }
     
     /**
-     * Initialize GIF elements for animation
-     * Creates hidden img elements that animate independently
+     * Handle input and update player state
      */
-    initGifElements() {
-        const gifSprites = {
-            'idle': 'assets/sprites/shepherd/idle.gif',
-            'run': 'assets/sprites/shepherd/run.gif',
-            'midair': 'assets/sprites/shepherd/mid air.gif',
-            'ledge': 'assets/sprites/shepherd/ledge grab.gif'
-        };
+    handleInput(input, dt) {
+        if (this.ledge) {
+            this.handleLedgeInput(input);
+            return;
+        }
         
-        for (const [key, src] of Object.entries(gifSprites)) {
-            const img = document.createElement('img');
-            img.src = src;
-            img.style.position = 'absolute';
-            img.style.left = '-9999px';
-            img.style.top = '-9999px';
-            document.body.appendChild(img);
-            this.gifElements[key] = img;
+        if (this.isSwimming) {
+            this.handleSwimInput(input, dt);
+            return;
         }
-    }
-    
-    /**
-     * Set current animation
-     */
-    setAnimation(name) {
-        if (this.currentAnimationName === name) return;
         
-        this.currentAnimationName = name;
-        this.animation = this.animations[name];
-        this.animationFrame = 0;
-        this.animationTime = 0;
-    }
-    
-    /**
-     * Handle input and update player state
-     */
-    handleInput(input, dt) {
         // Horizontal movement with acceleration for smoother feel
         const moveX = input.getHorizontalAxis();
         const acceleration = 1800; // How fast to reach target speed
         const deceleration = 2400; // How fast to stop (higher = snappier)
         const airControl = 0.7; // Reduced control in air
         
-        const targetVelocityX = moveX * this.moveSpeed;
-        const accelRate = this.isGrounded ? acceleration : acceleration * airControl;
-        const decelRate = this.isGrounded ? deceleration : deceleration * airControl;
+        // Sprint (ability): faster running, paid for with energy
+        this.isSprinting = this.hasAbility('sprint') && input.isDown('sprint') && moveX !== 0 && this.energy > 0;
+        if (this.isSprinting) {
+            this.useEnergy(this.sprintEnergyCost * dt);
+        }
+        
+        if (moveX !== 0) {
+            this.useEnergy(this.herdEnergyCost * this.rescuedSheep.length * dt);
+        }
         
-        if (!this.isCrouching || !this.isGrounded) {
+        const targetVelocityX = moveX * this.runSpeed * (this.isSprinting ? this.sprintMultiplier : 1);
+        // On the ground, grip depends on the tile (slippery tiles have friction < 1)
+        const grip = this.isGrounded ? (this.groundTile ? this.groundTile.friction : 1) : airControl;
+        const accelRate = acceleration * grip;
+        const decelRate = deceleration * grip;
+        
+        if (this.wallJumpTimer > 0) {
+            // Kicking off a wall: no steering until the lock runs out
+            this.wallJumpTimer -= dt;
+        } else if (!this.isCrouching || !this.isGrounded) {
             // Accelerate towards target velocity
             if (Math.abs(targetVelocityX) > 0.1) {
                 // Accelerating
@@ -150,6 +197,10 @@ export class Player extends Entity {
             this.velocityX = 0;
         }
         
+        // Wall slide (ability): pushing against a wall while falling slows the fall
+        this.isWallSliding = this.hasAbility('wall-jump') && !this.isGrounded && this.velocityY > 0 &&
+            this.wallContact !== 0 && moveX === this.wallContact;
+        
         // Crouching
         if (input.isDown('crouch') && this.isGrounded) {
             this.isCrouching = true;
@@ -174,9 +225,19 @@ export class Player extends Entity {
             this.coyoteTimer -= dt;
         }
         
-        // Jump
+        // Down + jump drops through a one-way platform instead of jumping
+        if (this.jumpBufferTimer > 0 && input.isDown('crouch') && this.isOnOneWayTile) {
+            this.dropThrough();
+            this.jumpBufferTimer = 0;
+            this.coyoteTimer = 0;
+        }
+        
+        // Jump (off the wall instead of using up an air jump, with the wall jump ability)
         if (this.jumpBufferTimer > 0) {
-            if (this.coyoteTimer > 0 || this.jumpsRemaining > 0) {
+            if (this.coyoteTimer <= 0 && this.canWallJump) {
+                this.wallJump();
+                this.jumpBufferTimer = 0;
+            } else if (this.coyoteTimer > 0 || this.jumpsRemaining > 0) {
                 this.jump();
                 this.jumpBufferTimer = 0;
                 this.coyoteTimer = 0;
@@ -190,12 +251,147 @@ export class Player extends Entity {
             this.velocityY *= 0.5;
         }
         
-        // Interaction
+        // Interaction (or a swing of the crook, with nothing to interact with)
+        if (input.isPressed('action')) {
+            if (this.nearbyInteractable) {
+                this.interact(this.nearbyInteractable);
+            } else {
+                this.swingCrook();
+            }
+        }
+    }
+    
+    /**
+     * Input while hanging from a ledge: jump (or up) climbs, down lets go,
+     * left / right shimmies along the ledge
+     */
+    handleLedgeInput(input) {
+        this.velocityX = 0;
+        if (this.isClimbing) return;
+        
+        if (input.isPressed('jump')) {
+            this.climbLedge();
+        } else if (input.isPressed('crouch')) {
+            this.letGoOfLedge();
+        } else {
+            this.velocityX = input.getHorizontalAxis() * this.shimmySpeed;
+        }
+    }
+    
+    /**
+     * Input while swimming: left / right swims, jump strokes up towards the
+     * surface (and out of the water), down dives
+     */
+    handleSwimInput(input, dt) {
+        const moveX = input.getHorizontalAxis();
+        const targetVelocityX = moveX * this.swimSpeed * this.energySpeed;
+        const rate = this.swimAcceleration * dt;
+        if (this.velocityX < targetVelocityX) {
+            this.velocityX = Math.min(this.velocityX + rate, targetVelocityX);
+        } else {
+            this.velocityX = Math.max(this.velocityX - rate, targetVelocityX);
+        }
+        
+        if (moveX > 0) this.facingRight = true;
+        else if (moveX < 0) this.facingRight = false;
+        
+        this.isSprinting = false;
+        this.isWallSliding = false;
+        this.isCrouching = false;
+        this.hitboxHeight = 56;
+        this.hitboxOffsetY = 8;
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        
+        // A stroke out of the water counts as the jump off the ground
+        if (input.isPressed('jump')) {
+            this.velocityY = Math.min(this.velocityY, -this.swimStroke);
+            this.jumpsRemaining = this.maxJumps - 1;
+        }
+        
+        if (input.isDown('crouch')) {
+            this.velocityY += this.diveAcceleration * dt;
+        }
+        
         if (input.isPressed('action') && this.nearbyInteractable) {
             this.interact(this.nearbyInteractable);
         }
     }
     
+    /**
+     * Can the player catch a ledge right now?
+     */
+    get canGrabLedge() {
+        return !this.ledge && !this.isGrounded && this.velocityY >= 0 && this.ledgeCooldown <= 0;
+    }
+    
+    /**
+     * Hang from a ledge, hands on its top corner and the standing hitbox below it
+     */
+    grabLedge(ledge) {
+        this.ledge = ledge;
+        this.facingRight = ledge.dir > 0;
+        this.y = ledge.y + this.ledgeReach - this.hitboxOffsetY;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.isJumping = false;
+        this.jumpBufferTimer = 0;
+        this.jumpsRemaining = this.maxJumps;
+    }
+    
+    /**
+     * Start pulling up onto the ledge (the hitbox stays put until it's done)
+     */
+    climbLedge() {
+        this.isClimbing = true;
+        this.climbTimer = this.climbTime;
+    }
+    
+    /**
+     * Stand on top of the ledge once the climb is done
+     */
+    finishClimb() {
+        this.x = this.ledge.standX - this.hitboxOffsetX;
+        this.y = this.ledge.y - this.hitboxOffsetY - this.hitboxHeight;
+        this.isGrounded = true;
+        this.ledge = null;
+        this.isClimbing = false;
+    }
+    
+    /**
+     * Drop from the ledge
+     */
+    letGoOfLedge() {
+        this.ledge = null;
+        this.isClimbing = false;
+        this.ledgeCooldown = 0.3;
+    }
+    
+    /**
+     * Fall through a one-way platform, without catching it on the way down
+     */
+    dropThrough(duration = 0.2) {
+        super.dropThrough(duration);
+        this.ledgeCooldown = 0.5;
+    }
+    
+    /**
+     * Give the player the abilities unlocked for this attempt
+     * @param {string[]} abilities - Ability ids (see Abilities.js)
+     */
+    setAbilities(abilities) {
+        this.abilities = new Set(abilities);
+        this.maxJumps = this.hasAbility('double-jump') ? 2 : 1;
+        this.jumpsRemaining = this.maxJumps;
+    }
+    
+    /**
+     * Check if an ability is unlocked for this attempt
+     */
+    hasAbility(id) {
+        return this.abilities.has(id);
+    }
+    
     /**
      * Perform jump
      */
@@ -204,13 +400,75 @@ export class Player extends Entity {
         this.isGrounded = false;
         this.isJumping = true;
         this.jumpsRemaining--;
+        this.useEnergy(Math.abs(this.velocityX) >= this.runSpeed * 0.9 ? this.longJumpEnergyCost : this.jumpEnergyCost);
+    }
+    
+    /**
+     * Can the player kick off the wall they're pushing against?
+     */
+    get canWallJump() {
+        return this.hasAbility('wall-jump') && !this.isGrounded && this.wallContact !== 0;
+    }
+    
+    /**
+     * Jump up and away from the wall being pushed against
+     */
+    wallJump() {
+        this.velocityY = -this.jumpForce;
+        this.velocityX = -this.wallContact * this.moveSpeed;
+        this.facingRight = this.wallContact < 0;
+        this.isJumping = true;
+        this.isWallSliding = false;
+        this.wallJumpTimer = this.wallJumpLock;
+        this.useEnergy(this.longJumpEnergyCost);
+    }
+    
+    /**
+     * Spring up off a stomped enemy (with any air jumps back)
+     */
+    bounce() {
+        this.velocityY = -this.stompBounce;
+        this.isGrounded = false;
+        this.isJumping = true;
+        this.jumpsRemaining = this.maxJumps - 1;
+    }
+    
+    /**
+     * Swing the crook at whatever's in front (unless still recovering from the last swing)
+     */
+    swingCrook() {
+        if (this.swingCooldownTimer > 0) return;
+        
+        this.swingTimer = this.swingTime;
+        this.swingCooldownTimer = this.swingCooldown;
+        this.crookHits.clear();
+    }
+    
+    /**
+     * Is the crook mid-swing?
+     */
+    get isSwinging() {
+        return this.swingTimer > 0;
+    }
+    
+    /**
+     * Area the crook sweeps through, in front of the player
+     */
+    get crookBounds() {
+        const bounds = this.bounds;
+        return {
+            x: this.facingRight ? bounds.x + bounds.width : bounds.x - this.crookReach,
+            y: bounds.y,
+            width: this.crookReach,
+            height: bounds.height
+        };
     }
     
     /**
      * Interact with nearby entity
      */
     interact(entity) {
-        if (entity.type === 'sheep' && !entity.isRescued) {
+        if (entity.type === 'sheep' && entity.needsRescue) {
             entity.rescue(this);
             this.rescuedSheep.push(entity);
         }
@@ -224,16 +482,22 @@ export class Player extends Entity {
     takeDamage(amount = 1, source = null) {
         if (this.isInvulnerable) return;
         
+        if (this.ledge) {
+            this.letGoOfLedge();
+        }
+        
         this.health = Math.max(0, this.health - amount);
         this.isInvulnerable = true;
         this.invulnerabilityTime = this.invulnerabilityDuration;
         
-        // Knockback - push player away from damage source
-        this.velocityY = -250;
+        // Knockback - push player away from damage source (harder for
+        // enemies that hit harder)
+        const strength = source?.knockback || 1;
+        this.velocityY = -250 * Math.min(strength, 1.5);
         if (source) {
             // Knock back away from the enemy
             const knockbackDir = this.centerX > source.centerX ? 1 : -1;
-            this.velocityX = knockbackDir * 200;
+            this.velocityX = knockbackDir * 200 * strength;
         }
         
         console.log(`💔 Took damage! Health: ${this.health}/${this.maxHealth}`);
@@ -243,6 +507,35 @@ export class Player extends Entity {
         }
     }
     
+    /**
+     * Spend energy (it stops at zero)
+     */
+    useEnergy(amount) {
+        this.energy = Math.max(0, this.energy - amount);
+    }
+    
+    /**
+     * Running low on energy?
+     */
+    get isTired() {
+        return this.energy < this.tiredEnergy;
+    }
+    
+    /**
+     * Share of full speed the player's energy allows (1 until they're tired)
+     */
+    get energySpeed() {
+        if (!this.isTired) return 1;
+        return this.tiredSpeed + (1 - this.tiredSpeed) * this.energy / this.tiredEnergy;
+    }
+    
+    /**
+     * Top running speed right now: slowed when tired and while wading (sprinting goes faster still)
+     */
+    get runSpeed() {
+        return this.moveSpeed * this.energySpeed * (this.submersion > 0 ? this.wadeSpeed : 1);
+    }
+    
     /**
      * Heal (energy from berries/herbs)
      */
@@ -270,13 +563,22 @@ export class Player extends Entity {
     }
     
     /**
-     * Update state machine
+     * Update state machine (called by the scene at the end of each fixed step,
+     * once collisions are resolved)
      */
     updateState() {
-        if (this.isCrouching && this.isGrounded) {
+        if (this.isClimbing) {
+            this.state = 'climb';
+        } else if (this.ledge) {
+            this.state = 'hang';
+        } else if (this.isCrouching && this.isGrounded) {
             this.state = 'crouch';
+        } else if (this.isSwimming) {
+            this.state = 'swim';
         } else if (!this.isGrounded) {
-            if (this.velocityY < 0) {
+            if (this.isWallSliding) {
+                this.state = 'wallslide';
+            } else if (this.velocityY < 0) {
                 this.state = 'jump';
             } else {
                 this.state = 'fall';
@@ -305,18 +607,43 @@ export class Player extends Entity {
         if (this.isGrounded && this.isJumping) {
             this.isJumping = false;
         }
-    }
-    
-    /**
-     * Variable update
-     */
-    update(dt) {
-        super.update(dt);
         
-        // Update state machine
-        this.updateState();
+        // Sliding down a wall: fall no faster than the slide speed
+        if (this.isWallSliding) {
+            this.velocityY = Math.min(this.velocityY, this.wallSlideSpeed);
+        }
+        
+        // Hanging: hold still against the gravity applied this step
+        if (this.ledge) {
+            this.velocityY = 0;
+            
+            if (this.isClimbing) {
+                this.climbTimer -= dt;
+                if (this.climbTimer <= 0) {
+                    this.finishClimb();
+                }
+            }
+        }
+        
+        if (this.ledgeCooldown > 0) {
+            this.ledgeCooldown -= dt;
+        }
+        
+        if (this.swingTimer > 0) {
+            this.swingTimer -= dt;
+        }
+        if (this.swingCooldownTimer > 0) {
+            this.swingCooldownTimer -= dt;
+        }
+        
+        // Hold breath with the head under water, get it back above
+        if (this.submersion >= 1) {
+            this.breath = Math.max(0, this.breath - dt);
+        } else {
+            this.breath = Math.min(this.maxBreath, this.breath + this.breathRecovery * dt);
+        }
         
-        // Update invulnerability
+        // Update invulnerability (on the fixed step so replays stay in sync)
         if (this.isInvulnerable) {
             this.invulnerabilityTime -= dt;
             if (this.invulnerabilityTime <= 0) {
@@ -331,7 +658,7 @@ export class Player extends Entity {
     render(ctx, alpha = 1) {
         if (!this.isVisible) return;
         
-        const pos = this.getInterpolatedPosition(alpha);
+        const pos = this.isClimbing ? this.getClimbPosition() : this.getInterpolatedPosition(alpha);
         
         // Flash when invulnerable
         if (this.isInvulnerable && Math.floor(this.invulnerabilityTime * 10) % 2 === 0) {
@@ -340,6 +667,11 @@ export class Player extends Entity {
         
         ctx.save();
         
+        // Fade out while hidden
+        if (this.isHidden) {
+            ctx.globalAlpha = 0.5;
+        }
+        
         // Flip sprite if facing left
         if (!this.facingRight) {
             ctx.translate(pos.x + this.width / 2, 0);
@@ -352,44 +684,88 @@ export class Player extends Entity {
             this.drawPlaceholder(ctx, pos.x, pos.y);
         }
         
+        if (this.isSwinging) {
+            this.drawCrookSwing(ctx, pos.x, pos.y);
+        }
+        
         ctx.restore();
+        
+        if (this.breath < this.maxBreath) {
+            this.drawBreath(ctx, pos.x, pos.y);
+        }
     }
     
     /**
-     * Draw the appropriate sprite based on current state
-     * @returns {boolean} true if sprite was drawn, false to use placeholder
+     * The crook sweeping down in front (drawn facing right, like the placeholder)
      */
-    drawSprite(ctx, x, y) {
-        // Determine which GIF element to use based on state
-        let gifKey;
-        switch (this.state) {
-            case 'run':
-                gifKey = 'run';
-                break;
-            case 'jump':
-                gifKey = 'midair'; // Use midair for jumping up too
-                break;
-            case 'fall':
-                gifKey = 'midair';
-                break;
-            default:
-                gifKey = 'idle';
-        }
+    drawCrookSwing(ctx, x, y) {
+        const t = 1 - this.swingTimer / this.swingTime;
+        const angle = -Math.PI * 0.6 + t * Math.PI * 0.8;
+        const handX = x + 34;
+        const handY = y + 34;
+        const length = this.crookReach + 8;
+        const tipX = handX + Math.cos(angle) * length;
+        const tipY = handY + Math.sin(angle) * length;
         
-        const gifElement = this.gifElements[gifKey];
-        if (!gifElement || !gifElement.complete || gifElement.naturalWidth === 0) {
-            return false;
-        }
+        ctx.save();
         
-        // Draw the GIF element to canvas (captures current animation frame)
-        const scale = Math.min(this.width / gifElement.naturalWidth, this.height / gifElement.naturalHeight) * 1.5;
-        const drawWidth = gifElement.naturalWidth * scale;
-        const drawHeight = gifElement.naturalHeight * scale;
-        const offsetX = (this.width - drawWidth) / 2;
-        const offsetY = this.height - drawHeight; // Align to bottom
+        // Sweep trail
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(handX, handY, length, -Math.PI * 0.6, angle);
+        ctx.stroke();
+        
+        // Staff, with the hook at the end
+        ctx.strokeStyle = '#8B5A2B';
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(handX, handY);
+        ctx.lineTo(tipX, tipY);
+        ctx.arc(tipX + Math.cos(angle + Math.PI / 2) * 5, tipY + Math.sin(angle + Math.PI / 2) * 5, 5, angle - Math.PI / 2, angle + Math.PI / 2);
+        ctx.stroke();
         
-        ctx.drawImage(gifElement, x + offsetX, y + offsetY, drawWidth, drawHeight);
-        return true;
+        ctx.restore();
+    }
+    
+    /**
+     * Bubbles over the head for the breath left (one per second)
+     */
+    drawBreath(ctx, x, y) {
+        const bubbles = Math.ceil(this.breath);
+        ctx.save();
+        ctx.strokeStyle = '#fff';
+        ctx.fillStyle = 'rgba(173, 216, 230, 0.8)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < bubbles; i++) {
+            ctx.beginPath();
+            ctx.arc(x + this.width / 2 + (i - (this.maxBreath - 1) / 2) * 10, y - 40, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Where to draw the player while climbing: moving from the hang up onto the
+     * ledge (the hitbox only moves when the climb is done)
+     */
+    getClimbPosition() {
+        const t = 1 - Math.max(0, this.climbTimer) / this.climbTime;
+        const standY = this.ledge.y - this.hitboxOffsetY - this.hitboxHeight;
+        return {
+            x: Math.round(this.x + (this.ledge.standX - this.hitboxOffsetX - this.x) * t),
+            y: Math.round(this.y + (standY - this.y) * t)
+        };
+    }
+    
+    /**
+     * Draw the current animation frame from the shepherd sprite sheet
+     * @returns {boolean} true if sprite was drawn, false to use placeholder
+     */
+    drawSprite(ctx, x, y) {
+        return this.animator.draw(ctx, x, y, this.width, this.height, 1.5);
     }
     
     /**
@@ -417,6 +793,13 @@ export class Player extends Entity {
         ctx.fillRect(x + 19, y + 14, 3, 4);
         ctx.fillRect(x + 26, y + 14, 3, 4);
         
+        // Arms reaching up to the ledge
+        if (this.ledge) {
+            ctx.fillStyle = '#DEB887';
+            ctx.fillRect(x + 8, y - 24, 4, 50);
+            ctx.fillRect(x + 36, y - 24, 4, 50);
+        }
+        
         // Legs
         ctx.fillStyle = '#654321';
         ctx.fillRect(x + 14, y + 54, 8, 10);
@@ -1,13 +1,20 @@
 /**
  * Sheep Entity
  * =============
- * The creatures the player must rescue
+ * The creatures the player must rescue. Sheep wait where they are until
+ * found, but panic and run from a wolf on the hunt; one that's caught is
+ * carried off until the player gets it back (see GameScene.updateHunts).
  */
 
 import { Entity } from './Entity.js';
+import { Animator } from '../engine/Animator.js';
+import { random } from '../engine/Random.js';
+
+// Breadcrumbs count as reached this close (horizontally)
+const CRUMB_REACH = 8;
 
 export class Sheep extends Entity {
-    constructor(x, y) {
+    constructor(x, y, assets = null) {
         super(x, y, 40, 32);
         
         this.type = 'sheep';
@@ -23,21 +30,38 @@ export class Sheep extends Entity {
         // State
         this.isRescued = false;
         this.isFollowing = false;
-        this.leader = null; // Player or another sheep to follow
+        this.leader = null; // Player or the sheep ahead in line
+        this.flock = null; // Flock leading this sheep along the player's trail (see Flock.js)
+        this.trailIndex = 0; // Next breadcrumb to reach
+        this.trailTimer = 0; // Seconds without reaching a breadcrumb
+        this.isStray = false; // Fell behind the flock: waits to be found again
+        this.isLost = false; // Fell out of the world: gone for good
+        this.isDelivered = false; // Brought into the pen
+        this.grazeX = 0; // Where it stands in the pen (x of its middle)
+        this.carrier = null; // Wolf carrying it off
+        this.threat = null; // Wolf it's running from (set by GameScene.updateHunts)
+        this.hasBolted = false; // Ran off before being found: moves like a rescued sheep from then on
         
         // Movement
         this.followDistance = 50;
         this.moveSpeed = 200;
         this.wanderSpeed = 30;
+        this.fleeSpeed = 110;
         
-        // Wander behavior (when not rescued)
+        // Wander behavior (when panicking)
         this.wanderTimer = 0;
         this.wanderDirection = 0;
         this.wanderPauseTime = 0;
         
         // Animation
-        this.bobOffset = Math.random() * Math.PI * 2;
+        this.bobOffset = random.next() * Math.PI * 2;
         this.bobSpeed = 3;
+        this.animations = {
+            idle: { frames: 1, fps: 1, loop: true },
+            walk: { frames: 4, fps: 8, loop: true },
+        };
+        this.animator = new Animator(this.animations, assets?.getSpriteSheet('sheep') || null);
+        this.setAnimation('idle');
         
         // Visual variation
         this.woolColor = this.getRandomWoolColor();
@@ -48,16 +72,32 @@ export class Sheep extends Entity {
      */
     getRandomWoolColor() {
         const colors = ['#FFFEF0', '#F5F5DC', '#FFF8DC', '#FAEBD7'];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return random.pick(colors);
+    }
+    
+    /**
+     * Whether the player can rescue this sheep: it's not been found yet, or has strayed since
+     */
+    get needsRescue() {
+        return (!this.isRescued || this.isStray) && !this.carrier;
+    }
+    
+    /**
+     * Whether the sheep moves under physics: once it's been found or has run
+     * off, and while nothing's carrying it
+     */
+    get isSimulated() {
+        return (this.isRescued || this.hasBolted) && !this.carrier;
     }
     
     /**
      * Rescue the sheep (called by player)
      */
     rescue(player) {
-        if (this.isRescued) return;
+        if (!this.needsRescue) return;
         
         this.isRescued = true;
+        this.isStray = false;
         this.isFollowing = true;
         this.leader = player;
         
@@ -65,6 +105,27 @@ export class Sheep extends Entity {
         console.log('🐑 Sheep rescued!');
     }
     
+    /**
+     * Leave the flock, to wait where it is until the player finds it again
+     */
+    stray() {
+        this.isStray = true;
+        this.isFollowing = false;
+        this.leader = null;
+        this.velocityX = 0;
+    }
+    
+    /**
+     * Stay in the pen, grazing at a spot in it
+     * @param {number} grazeX - x of the spot (see Pen.admit)
+     */
+    deliver(grazeX) {
+        this.isDelivered = true;
+        this.isFollowing = false;
+        this.leader = null;
+        this.grazeX = grazeX;
+    }
+    
     /**
      * Set leader to follow
      */
@@ -78,66 +139,97 @@ export class Sheep extends Entity {
     fixedUpdate(dt) {
         super.fixedUpdate(dt);
         
-        if (this.isRescued && this.leader) {
-            this.followLeader(dt);
+        if (this.carrier) {
+            this.velocityX = 0;
+            this.velocityY = 0;
+        } else if (this.isDelivered) {
+            this.graze();
+        } else if (this.isRescued && this.flock && !this.threat) {
+            this.followTrail(dt);
         } else {
             this.wander(dt);
         }
     }
     
     /**
-     * Follow the leader (player or another sheep)
+     * Walk the player's trail behind the sheep ahead in line, jumping and
+     * dropping where the player did
      */
-    followLeader(dt) {
-        const leader = this.leader;
-        const dx = leader.centerX - this.centerX;
-        const dy = leader.y + leader.height - (this.y + this.height);
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Stay behind the leader - minimum safe distance to avoid collision
-        const minDistance = 70;  // Don't get closer than this
-        const maxDistance = 120; // Start moving if farther than this
-        
-        if (distance > maxDistance) {
-            // Move towards leader (fast)
-            const speed = this.moveSpeed;
-            const dirX = dx / distance;
+    followTrail(dt) {
+        const flock = this.flock;
+        const limit = flock.getLimit(this);
+        const feetY = this.y + this.height;
+        
+        // Pass the breadcrumbs we've reached, doing what the player did there
+        let crumb = flock.getCrumb(this.trailIndex);
+        while (crumb && crumb.distance <= limit) {
+            const dx = crumb.x - this.centerX;
+            const blocked = this.wallContact !== 0 && this.wallContact === Math.sign(dx);
+            if (Math.abs(dx) > CRUMB_REACH && !((crumb.jump || crumb.climb) && blocked)) break;
             
-            this.velocityX = dirX * speed;
-            this.facingRight = dx > 0;
-            
-            // Jump if leader is higher and we're grounded
-            if (dy < -40 && this.isGrounded) {
-                this.velocityY = -350;
+            if (crumb.jump || crumb.climb) {
+                this.velocityY = flock.getJumpSpeed(this, crumb);
                 this.isGrounded = false;
             }
-        } else if (distance > minDistance) {
-            // Move slowly to maintain formation
-            const speed = this.moveSpeed * 0.4;
-            const dirX = dx / distance;
+            if (crumb.drop && this.isOnOneWayTile) {
+                this.dropThrough();
+            }
             
-            this.velocityX = dirX * speed;
-            this.facingRight = dx > 0;
-        } else if (distance < minDistance - 10) {
-            // Too close - back away from leader
-            const dirX = dx > 0 ? -1 : 1;
-            this.velocityX = dirX * this.moveSpeed * 0.3;
-        } else {
-            // In the sweet spot - stop
-            this.velocityX = 0;
+            this.trailIndex++;
+            this.trailTimer = 0;
+            crumb = flock.getCrumb(this.trailIndex);
+        }
+        
+        // Caught up: wait in line (but finish any jump we're in the middle of)
+        if (!crumb || (crumb.distance > limit && this.isGrounded)) {
+            this.velocityX = this.isGrounded ? flock.getSeparation(this) : 0;
+            this.trailTimer = 0;
+            if (this.leader) this.facingRight = this.leader.centerX > this.centerX;
+            return;
         }
+        
+        // Making no headway (the flock lets a sheep stray once this gets too long)
+        this.trailTimer += dt;
+        
+        // Head for the next breadcrumb, as fast as the player went there
+        const dx = crumb.x - this.centerX;
+        const speed = Math.min(Math.max(this.moveSpeed, Math.abs(crumb.vx)), Math.abs(dx) / dt);
+        this.velocityX = Math.sign(dx) * speed + (this.isGrounded ? flock.getSeparation(this) : 0);
+        this.facingRight = dx > 0;
+        
+        // Paddle up out of water onto a bank, or towards a breadcrumb above
+        const paddle = this.isSwimming && this.velocityY >= 0 && (crumb.y < feetY - 40 || this.wallContact !== 0);
+        if (paddle) {
+            this.velocityY = -350;
+        }
+    }
+    
+    /**
+     * Walk over to our spot in the pen and stay there
+     */
+    graze() {
+        const dx = this.grazeX - this.centerX;
+        this.velocityX = Math.abs(dx) > 4 ? Math.sign(dx) * this.wanderSpeed * 2 : 0;
+        if (this.velocityX !== 0) this.facingRight = dx > 0;
     }
     
     /**
-     * Wander around when not rescued
+     * Stay still until rescued, or run from a wolf in a panic: mostly away
+     * from it, but darting about and sometimes freezing in fright
      */
     wander(dt) {
-        // Don't wander, just stay still until rescued
-        this.velocityX = 0;
-        return;
+        if (!this.threat) {
+            this.velocityX = 0;
+            this.wanderTimer = 0;
+            this.wanderPauseTime = 0;
+            return;
+        }
         
-        // Original wander code (disabled for now)
-        this.wanderTimer += dt;
+        if (!this.isRescued) {
+            this.hasBolted = true;
+        }
+        
+        this.wanderTimer -= dt;
         
         if (this.wanderPauseTime > 0) {
             this.wanderPauseTime -= dt;
@@ -145,19 +237,20 @@ export class Sheep extends Entity {
             return;
         }
         
-        // Change direction periodically
-        if (this.wanderTimer > 2 + Math.random() * 3) {
-            this.wanderTimer = 0;
-            this.wanderDirection = (Math.random() - 0.5) * 2;
+        // Change direction every so often
+        if (this.wanderTimer <= 0) {
+            this.wanderTimer = 0.4 + random.next() * 0.8;
+            const away = this.centerX < this.threat.centerX ? -1 : 1;
+            this.wanderDirection = random.next() < 0.8 ? away : -away;
             
-            // Sometimes pause
-            if (Math.random() < 0.3) {
-                this.wanderPauseTime = 1 + Math.random() * 2;
+            // Sometimes freeze
+            if (random.next() < 0.15) {
+                this.wanderPauseTime = 0.3 + random.next() * 0.5;
                 this.wanderDirection = 0;
             }
         }
         
-        this.velocityX = this.wanderDirection * this.wanderSpeed;
+        this.velocityX = this.wanderDirection * this.fleeSpeed;
         
         if (this.wanderDirection > 0) this.facingRight = true;
         else if (this.wanderDirection < 0) this.facingRight = false;
@@ -167,6 +260,7 @@ export class Sheep extends Entity {
      * Update animation
      */
     update(dt) {
+        this.setAnimation(Math.abs(this.velocityX) > 10 ? 'walk' : 'idle');
         super.update(dt);
         
         this.bobOffset += dt * this.bobSpeed;
@@ -194,12 +288,21 @@ export class Sheep extends Entity {
             ctx.translate(-(pos.x + this.width / 2), 0);
         }
         
-        this.drawPlaceholder(ctx, pos.x, pos.y);
+        if (!this.animator.draw(ctx, pos.x, pos.y, this.width, this.height)) {
+            this.drawPlaceholder(ctx, pos.x, pos.y);
+        }
+        
+        // Rescued indicator (heart)
+        if (this.isRescued && !this.isStray) {
+            ctx.fillStyle = '#ff6b6b';
+            ctx.font = '12px Arial';
+            ctx.fillText('♥', pos.x + 15, pos.y - 2);
+        }
         
         ctx.restore();
         
-        // Draw interaction indicator if not rescued
-        if (!this.isRescued && this.showInteractionHint) {
+        // Draw interaction indicator if not rescued (or strayed)
+        if (this.needsRescue && this.showInteractionHint) {
             this.drawInteractionHint(ctx, pos.x + this.width / 2, pos.y - 20);
         }
     }
@@ -247,13 +350,6 @@ export class Sheep extends Entity {
         ctx.fillStyle = '#333';
         ctx.fillRect(x + 10, y + 28, 4, 6);
         ctx.fillRect(x + 26, y + 28, 4, 6);
-        
-        // Rescued indicator (heart)
-        if (this.isRescued) {
-            ctx.fillStyle = '#ff6b6b';
-            ctx.font = '12px Arial';
-            ctx.fillText('♥', x + 15, y - 2);
-        }
     }
     
     /**
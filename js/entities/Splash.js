@@ -0,0 +1,66 @@
+/**
+ * Splash Effect
+ * ==============
+ * Droplets thrown up where something falls into or jumps out of water.
+ * Only for show: GameScene adds one when an entity crosses the surface fast
+ * enough (see GameScene.updateSubmersion) and drops it once it's finished.
+ */
+
+const GRAVITY = 600;
+const DURATION = 0.6; // seconds
+
+// Droplet launch speeds ([x, y] in pixels per second), thrown to both sides
+const DROPLETS = [[20, -260], [45, -220], [90, -170], [140, -110]];
+
+export class Splash {
+    /**
+     * @param {number} x - Middle of the splash
+     * @param {number} y - Water surface
+     * @param {number} strength - Scales the droplet speeds (harder landings splash higher)
+     */
+    constructor(x, y, strength = 1) {
+        this.x = x;
+        this.y = y;
+        this.strength = strength;
+        this.time = 0;
+    }
+    
+    get isFinished() {
+        return this.time >= DURATION;
+    }
+    
+    /**
+     * Variable update
+     */
+    update(dt) {
+        this.time += dt;
+    }
+    
+    /**
+     * Render droplets that are still above the surface, and a ring spreading on it
+     */
+    render(ctx) {
+        const t = this.time;
+        const alpha = 1 - t / DURATION;
+        
+        ctx.save();
+        ctx.fillStyle = `rgba(220, 240, 255, ${alpha})`;
+        DROPLETS.forEach(([vx, vy]) => {
+            const dy = vy * this.strength * t + GRAVITY * t * t / 2;
+            if (dy > 0) return;
+            
+            [-1, 1].forEach(side => {
+                ctx.beginPath();
+                ctx.arc(this.x + side * vx * this.strength * t, this.y + dy, 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        
+        ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, 8 + 32 * t / DURATION, 3, 0, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
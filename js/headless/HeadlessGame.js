@@ -0,0 +1,88 @@
+/**
+ * Headless Game
+ * ==============
+ * A Game without canvas, DOM or audio. Exposes the same systems the scenes
+ * use (input, physics, camera, state, hud, ...) and advances them one fixed
+ * step at a time instead of running a requestAnimationFrame loop.
+ */
+
+import { Physics } from '../engine/Physics.js';
+import { Camera } from '../engine/Camera.js';
+import { GameState } from '../engine/GameState.js';
+import { SceneManager } from '../engine/SceneManager.js';
+import { GameScene } from '../scenes/GameScene.js';
+import { LevelLoader } from '../levels/LevelLoader.js';
+import { ScriptedInput } from './ScriptedInput.js';
+import { NullHud, NullRenderer, NullAudio, MemoryStorage } from './NullSystems.js';
+
+export class HeadlessGame {
+    /**
+     * @param {Object} options
+     * @param {Function} options.fetchJSON - Loads a level file by path (see LevelLoader)
+     * @param {number} options.width - Viewport width used by the camera
+     * @param {number} options.height - Viewport height used by the camera
+     */
+    constructor({ fetchJSON = null, width = 1280, height = 720 } = {}) {
+        // Engine components
+        this.assets = null;
+        this.input = new ScriptedInput();
+        this.audio = new NullAudio();
+        this.hud = new NullHud();
+        this.renderer = new NullRenderer();
+        this.physics = new Physics();
+        this.camera = new Camera(this);
+        this.state = new GameState(new MemoryStorage());
+        this.scenes = new SceneManager(this);
+        
+        // Only gameplay is simulated
+        const gameScene = new GameScene(this);
+        gameScene.levelLoader = new LevelLoader(fetchJSON);
+        this.scenes.register('game', gameScene);
+        
+        // Same timestep as the browser loop
+        this.fixedTimeStep = 1000 / 60;
+        this.frame = 0;
+        
+        // State flags
+        this.isPaused = false;
+        this.debug = false;
+        
+        this.width = width;
+        this.height = height;
+        this.camera.resize(width, height);
+    }
+    
+    /**
+     * The gameplay scene
+     */
+    get gameScene() {
+        return this.scenes.scenes.get('game');
+    }
+    
+    /**
+     * Advance one fixed step: physics, then per-frame update, then clear input
+     * (the same order Game.gameLoop uses)
+     */
+    step() {
+        if (this.isPaused) return;
+        
+        const dt = this.fixedTimeStep / 1000;
+        this.scenes.fixedUpdate(dt);
+        this.scenes.update(dt, 0);
+        this.camera.update(dt);
+        this.input.update();
+        this.frame++;
+    }
+    
+    pause() {
+        this.isPaused = true;
+    }
+    
+    resume() {
+        this.isPaused = false;
+    }
+    
+    toggleDebug() {
+        this.debug = !this.debug;
+    }
+}
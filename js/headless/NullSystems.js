@@ -0,0 +1,122 @@
+/**
+ * Null Systems
+ * =============
+ * Stand-ins for the browser-only engine systems (HUD, renderer, audio, storage)
+ * so scenes can run headless, e.g. under Node in the simulation harness.
+ */
+
+import { AudioManager } from '../engine/AudioManager.js';
+
+/**
+ * HUD that keeps the latest values instead of writing to the page
+ */
+export class NullHud {
+    constructor() {
+        this.stats = null;
+        this.time = 0;
+        this.events = [];
+    }
+    
+    update(stats) {
+        this.stats = { ...stats };
+    }
+    
+    updateTimer(seconds) {
+        this.time = seconds;
+    }
+    
+    showSheepRescued() {
+        this.events.push('sheep-rescued');
+    }
+    
+    showSheepDelivered() {
+        this.events.push('sheep-delivered');
+    }
+    
+    showSheepLost() {
+        this.events.push('sheep-lost');
+    }
+    
+    showPause() {
+        this.events.push('pause');
+    }
+    
+    showLevelComplete(stats) {
+        this.events.push('level-complete');
+        this.levelCompleteStats = { ...stats };
+    }
+    
+    showGameOver() {
+        this.events.push('game-over');
+    }
+    
+    showError(message) {
+        this.events.push('error');
+        this.error = message;
+    }
+    
+    downloadFile(filename, text) {
+        this.events.push(`download:${filename}`);
+    }
+}
+
+/**
+ * Renderer that draws nothing
+ */
+export class NullRenderer {
+    render(scene) {}
+    
+    renderTilemap(ctx, tilemap, tileset, camera, time) {}
+}
+
+/**
+ * Audio manager that never creates an audio context or schedules sounds
+ */
+export class NullAudio extends AudioManager {
+    init() {}
+    
+    playSFX(key, volume = 1, pitch = 1) {}
+    
+    playBeep(frequency = 440, duration = 0.1, volume = 0.3) {}
+    
+    playJump() {}
+    
+    playLand() {}
+    
+    playSplash() {}
+    
+    playCollect() {}
+    
+    playRescue() {}
+    
+    playHurt() {}
+    
+    playStomp() {}
+    
+    playHit() {}
+    
+    playMusic(key, loop = true) {}
+    
+    stopMusic() {}
+}
+
+/**
+ * In-memory replacement for localStorage
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
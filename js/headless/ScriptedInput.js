@@ -0,0 +1,104 @@
+/**
+ * Scripted Input
+ * ===============
+ * Drop-in replacement for InputManager that is driven by code instead of
+ * keyboard/touch events. Works on actions ('left', 'jump', ...) rather than keys.
+ */
+
+export class ScriptedInput {
+    constructor() {
+        // Action states
+        this.held = new Set();
+        this.pressed = new Set();
+        this.released = new Set();
+    }
+    
+    /**
+     * Set the actions held for the next step
+     * Actions not held last step count as pressed, dropped ones as released.
+     * @param {string[]|Object} actions - e.g. ['right', 'jump'] or { right: true, jump: true }
+     */
+    setActions(actions = []) {
+        const names = Array.isArray(actions)
+            ? actions
+            : Object.keys(actions).filter(name => actions[name]);
+        const next = new Set(names);
+        
+        next.forEach(name => {
+            if (!this.held.has(name)) this.pressed.add(name);
+        });
+        this.held.forEach(name => {
+            if (!next.has(name)) this.released.add(name);
+        });
+        
+        this.held = next;
+    }
+    
+    /**
+     * Release everything
+     */
+    releaseAll() {
+        this.setActions([]);
+    }
+    
+    /**
+     * Update input state (called each frame)
+     */
+    update() {
+        // Clear single-frame states
+        this.pressed.clear();
+        this.released.clear();
+    }
+    
+    /**
+     * Check if an action is held
+     */
+    isDown(action) {
+        return this.held.has(action);
+    }
+    
+    /**
+     * Check if an action was just pressed
+     */
+    isPressed(action) {
+        return this.pressed.has(action);
+    }
+    
+    /**
+     * Check if an action was just released
+     */
+    isReleased(action) {
+        return this.released.has(action);
+    }
+    
+    /**
+     * Scripted input has no keys
+     */
+    isKeyDown(code) {
+        return false;
+    }
+    
+    isKeyPressed(code) {
+        return false;
+    }
+    
+    /**
+     * Get horizontal axis (-1, 0, or 1)
+     */
+    getHorizontalAxis() {
+        let axis = 0;
+        if (this.isDown('left')) axis -= 1;
+        if (this.isDown('right')) axis += 1;
+        return axis;
+    }
+    
+    /**
+     * Get vertical axis (-1, 0, or 1)
+     */
+    getVerticalAxis() {
+        let axis = 0;
+        if (this.isDown('up')) axis -= 1;
+        if (this.isDown('down')) axis += 1;
+        return axis;
+    }
+}
@@ -0,0 +1,407 @@
+/**
+ * Level Generator
+ * ================
+ * Builds "Endless Pasture" levels from a seed and a difficulty (0 = gentle, 1 = hard).
+ *
+ * Terrain is laid out left to right from segments (flat ground, steps, pits,
+ * ponds, floating platforms, rocks, ledges). Reachability then simulates the
+ * player on it: sheep and items only go where the player can get to (and back
+ * from), the pen goes on the furthest flat ground the player can get back from,
+ * and every golden wool is placed on a spot the jump arc really passes.
+ * The finished level goes through LevelValidator like a level file, and a
+ * new layout is built if it finds any problem. The same seed and difficulty
+ * always give the same level.
+ */
+
+import { Random } from '../engine/Random.js';
+import { LevelLoader } from './LevelLoader.js';
+import { Reachability } from './Reachability.js';
+import { LevelValidator } from './LevelValidator.js';
+
+// Tile ids (see Tilemap rendering in GameScene)
+const TILE_DIRT = 2;
+const TILE_GRASS = 3;
+const TILE_PLATFORM = 5;
+const TILE_WATER = 6;
+const TILE_ROCK = 7;
+
+// Rows of the map, the ground row at the spawn and how high/low the ground may go
+const MAP_HEIGHT = 20;
+const GROUND_ROW = 15;
+const MIN_SURFACE = 11;
+const MAX_SURFACE = 17;
+
+// Flat, safe ground at the start (player spawns on it) and end of the map
+const SPAWN_COLUMNS = 8;
+const END_COLUMNS = 8;
+const SPAWN_COLUMN = 3;
+
+// Layouts tried before settling for the best one
+const MAX_ATTEMPTS = 8;
+
+// Times objects are placed on a fresh layout before giving up on a seed
+const MAX_PLACEMENTS = 4;
+
+// Pen size in tiles
+const PEN_COLUMNS = 4;
+const PEN_ROWS = 3;
+
+// Highest air spots considered for golden wool
+const GOLDEN_WOOL_CANDIDATES = 40;
+
+// Backgrounds used by the level files, easiest first
+const BACKGROUNDS = [
+    { type: 'forest', timeOfDay: 'day' },
+    { type: 'forest', timeOfDay: 'afternoon' },
+    { type: 'dark-forest', timeOfDay: 'dusk' },
+    { type: 'mountain', timeOfDay: 'sunset' }
+];
+
+export class LevelGenerator {
+    /**
+     * @param {number} seed - Same seed (and difficulty) gives the same level
+     * @param {number} difficulty - 0 (gentle) to 1 (hard)
+     */
+    constructor(seed, difficulty = 0) {
+        this.seed = seed >>> 0;
+        this.difficulty = Math.max(0, Math.min(1, difficulty));
+        this.random = new Random(this.seed);
+        this.loader = new LevelLoader();
+        this.validator = new LevelValidator(this.loader);
+        this.tileSize = this.loader.tileSize;
+    }
+    
+    /**
+     * Generate a level
+     * @param {string} name - Level name
+     * @returns {Object} Runtime level object (same shape as LevelLoader.getLevel)
+     * @throws {Error} if no playable layout could be built
+     */
+    generate(name = 'Endless Pasture') {
+        let problems = [];
+        for (let placement = 0; placement < MAX_PLACEMENTS; placement++) {
+            const level = this.placeObjects(this.buildLayout(name));
+            
+            // Round-trip through the level file format so the result passes the same validation as level files
+            const parsed = this.loader.parseLevel(this.loader.toJSON(level), name);
+            problems = this.validator.validate(parsed).problems;
+            if (problems.length === 0) return parsed;
+        }
+        
+        throw new Error(`Could not generate a valid level from seed ${this.seed}:\n  - ${problems.join('\n  - ')}`);
+    }
+    
+    /**
+     * Build terrain until the player can cross most of it (or the attempts run out)
+     * @returns {Object} { level, reach, analysis, region } for placeObjects
+     * @throws {Error} if no playable layout could be built
+     */
+    buildLayout(name) {
+        let best = null;
+        
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const level = this.buildTerrain(name);
+            const reach = new Reachability(level.tilemap);
+            const analysis = reach.analyze(level.playerSpawn);
+            const region = [...reach.findReturnable(analysis)]
+                .map(key => analysis.nodes.get(key))
+                .sort((a, b) => a.col - b.col || a.row - b.row);
+            
+            // Prefer layouts the player can cross from end to end
+            const span = region.length > 0 ? region[region.length - 1].col / level.tilemap.width : 0;
+            if (!best || span > best.span) {
+                best = { level, reach, analysis, region, span };
+            }
+            if (span >= 0.85) break;
+        }
+        
+        if (!best || best.region.length === 0) {
+            throw new Error(`Could not generate a playable level from seed ${this.seed}`);
+        }
+        return best;
+    }
+    
+    /**
+     * Lay out the terrain from random segments
+     */
+    buildTerrain(name) {
+        const d = this.difficulty;
+        const random = this.random;
+        const width = Math.round(80 + d * 80);
+        
+        // Ground row per column (null = bottomless pit), ponds and extra tiles
+        const columns = [];
+        const extras = [];
+        let surface = GROUND_ROW;
+        
+        const addGround = (count, options = {}) => {
+            for (let i = 0; i < count && columns.length < width - END_COLUMNS; i++) {
+                columns.push({ surface: options.pit ? null : surface, water: !!options.water });
+            }
+        };
+        
+        addGround(SPAWN_COLUMNS);
+        
+        while (columns.length < width - END_COLUMNS) {
+            const start = columns.length;
+            const segment = this.pickWeighted({
+                flat: 3 - 2 * d,
+                steps: 2,
+                pit: 1 + 2 * d,
+                pond: 0.5 + 1.5 * d,
+                platforms: 0.5 + 1.5 * d,
+                rock: 1,
+                ledge: 1.5
+            });
+            
+            switch (segment) {
+                case 'flat':
+                    addGround(random.int(3, 7));
+                    break;
+                
+                case 'steps': {
+                    const rise = random.int(1, d > 0.5 ? 2 : 1) * (random.next() < 0.5 ? -1 : 1);
+                    surface = Math.max(MIN_SURFACE, Math.min(MAX_SURFACE, surface + rise));
+                    addGround(random.int(3, 6));
+                    break;
+                }
+                
+                case 'pit':
+                    addGround(random.int(2, 2 + Math.round(d * 2)), { pit: true });
+                    addGround(random.int(2, 4));
+                    break;
+                
+                case 'pond':
+                    addGround(random.int(2, 3 + Math.round(d)), { water: true });
+                    addGround(random.int(2, 4));
+                    break;
+                
+                case 'platforms': {
+                    // Bottomless gap crossed on floating platforms
+                    const gap = random.int(6, 8 + Math.round(d * 3));
+                    addGround(gap, { pit: true });
+                    let col = start + random.int(1, 2);
+                    while (col < start + gap - 1) {
+                        const length = random.int(2, 3);
+                        const row = surface - random.int(0, 2);
+                        for (let c = col; c < Math.min(col + length, start + gap); c++) {
+                            extras.push({ col: c, row, tile: TILE_PLATFORM });
+                        }
+                        col += length + random.int(2, 3);
+                    }
+                    addGround(random.int(2, 4));
+                    break;
+                }
+                
+                case 'rock': {
+                    // Rock barrier to jump over
+                    addGround(2);
+                    const height = d > 0.5 && random.next() < 0.5 ? 2 : 1;
+                    const col = columns.length;
+                    addGround(random.int(1, 2));
+                    for (let c = col; c < columns.length; c++) {
+                        for (let h = 1; h <= height; h++) {
+                            extras.push({ col: c, row: surface - h, tile: TILE_ROCK });
+                        }
+                    }
+                    addGround(random.int(2, 4));
+                    break;
+                }
+                
+                case 'ledge': {
+                    // Floating ledge (or two, stacked) above flat ground
+                    const length = random.int(5, 9);
+                    addGround(length);
+                    const rows = random.next() < 0.3 + d * 0.4 ? [surface - 3, surface - 6] : [surface - 3];
+                    rows.forEach((row, i) => {
+                        const from = start + 1 + i * 2 + random.int(0, 1);
+                        for (let c = from; c < Math.min(from + random.int(2, 4), columns.length); c++) {
+                            extras.push({ col: c, row, tile: TILE_PLATFORM });
+                        }
+                    });
+                    break;
+                }
+            }
+        }
+        
+        // Flat ground to the end of the map
+        while (columns.length < width) {
+            columns.push({ surface, water: false });
+        }
+        
+        // Fill in the tiles
+        const data = new Array(width * MAP_HEIGHT).fill(0);
+        columns.forEach((column, col) => {
+            if (column.surface === null) return;
+            for (let row = column.surface; row < MAP_HEIGHT; row++) {
+                let tile = row === column.surface ? TILE_GRASS : TILE_DIRT;
+                if (column.water && row < column.surface + 2) tile = TILE_WATER;
+                data[row * width + col] = tile;
+            }
+        });
+        extras.forEach(({ col, row, tile }) => {
+            if (row >= 0 && row < MAP_HEIGHT && data[row * width + col] === 0) {
+                data[row * width + col] = tile;
+            }
+        });
+        
+        return {
+            name,
+            tilemap: { width, height: MAP_HEIGHT, tileSize: this.tileSize, data },
+            tileset: 'forest',
+            playerSpawn: {
+                x: SPAWN_COLUMN * this.tileSize,
+                y: GROUND_ROW * this.tileSize - 64
+            },
+            sheep: [],
+            enemies: [],
+            collectibles: [],
+            background: { ...BACKGROUNDS[Math.min(BACKGROUNDS.length - 1, Math.floor(this.difficulty * BACKGROUNDS.length))] }
+        };
+    }
+    
+    /**
+     * Place the pen, sheep, enemies and collectibles on spots the player can reach
+     * @param {Object} layout - { level, reach, analysis, region } from generate()
+     */
+    placeObjects({ level, reach, analysis, region }) {
+        const d = this.difficulty;
+        const random = this.random;
+        const ts = this.tileSize;
+        const tilemap = level.tilemap;
+        const used = new Set();
+        
+        // Pen: on the furthest flat, open stretch of ground (the spawn's, if nothing else)
+        const keys = new Set(region.map(node => node.key));
+        const penNode = [...region].reverse().find(node => {
+            for (let col = node.col - PEN_COLUMNS + 1; col <= node.col; col++) {
+                if (!keys.has(`${col},${node.row}`)) return false;
+                for (let row = node.row - PEN_ROWS; row < node.row; row++) {
+                    if (reach.getTile(col, row) !== 0) return false;
+                }
+            }
+            return true;
+        });
+        const penCol = penNode ? penNode.col - PEN_COLUMNS + 1 : 0;
+        level.pen = penNode
+            ? { x: penCol * ts, y: (penNode.row - PEN_ROWS) * ts, width: PEN_COLUMNS * ts, height: PEN_ROWS * ts }
+            : this.loader.getSpawnPen(level.playerSpawn);
+        
+        // Standing spots away from the spawn and the pen
+        const spots = region.filter(node =>
+            node.col >= SPAWN_COLUMNS + 2 &&
+            !(penNode && node.col >= penCol - 1 && node.col <= penNode.col + 1)
+        );
+        const take = (node) => {
+            used.add(node.key);
+            return node;
+        };
+        const free = (nodes) => nodes.filter(node => !used.has(node.key));
+        
+        // Sheep: spread out along the level, one per stretch, where they're
+        // clear of solid tiles (a sheep is wider than its tile)
+        const sheepAt = (node) => ({ x: node.col * ts - 4, y: node.row * ts - 32 });
+        const sheepSpots = spots.filter(node => {
+            const { bounds } = Reachability.targetsFromLevel({ sheep: [sheepAt(node)] })[0];
+            return !this.loader.findSolidTile(tilemap.data, tilemap.width, tilemap.height, ts, bounds);
+        });
+        const sheepCount = Math.min(sheepSpots.length, 3 + Math.round(d * 3));
+        for (let i = 0; i < sheepCount; i++) {
+            const stretch = sheepSpots.slice(
+                Math.floor(i * sheepSpots.length / sheepCount),
+                Math.floor((i + 1) * sheepSpots.length / sheepCount)
+            );
+            const node = take(random.pick(free(stretch)));
+            level.sheep.push(sheepAt(node));
+        }
+        
+        // Enemies patrol stretches of ground at least three tiles wide
+        const patrolSpots = free(spots).filter(node =>
+            node.col >= SPAWN_COLUMNS + 6 &&
+            reach.getTile(node.col, node.row) !== TILE_PLATFORM &&
+            analysis.nodes.has(`${node.col - 1},${node.row}`) &&
+            analysis.nodes.has(`${node.col + 1},${node.row}`)
+        );
+        const enemyCount = 1 + Math.round(d * 5);
+        for (let i = 0; i < enemyCount && patrolSpots.length > 0; i++) {
+            const node = random.pick(patrolSpots);
+            patrolSpots.splice(patrolSpots.indexOf(node), 1);
+            if (level.enemies.some(e => Math.abs(e.x - node.col * ts) < ts * 5)) continue;
+            level.enemies.push({
+                type: random.next() < 0.4 + d * 0.3 ? 'wolf' : 'boar',
+                x: node.col * ts,
+                y: node.row * ts - 48,
+                patrolRange: random.int(4, 6) * 30
+            });
+        }
+        
+        // Berries, herbs and hearts just above the ground
+        const items = [
+            ...new Array(random.int(5, 8)).fill(null).map(() => random.pick(['berry', 'herb'])),
+            ...new Array(d < 0.5 ? 2 : 1).fill('heart')
+        ];
+        items.forEach(type => {
+            const options = free(spots);
+            if (options.length === 0) return;
+            const node = take(random.pick(options));
+            level.collectibles.push({ x: node.col * ts + 4, y: (node.row - 1) * ts + 4, type });
+        });
+        
+        // Golden wool: high spots in mid-air that a jump passes through.
+        // Simulate again with them as targets and keep the ones actually touched.
+        const candidates = [...analysis.covered]
+            .map(index => ({ col: index % tilemap.width, row: Math.floor(index / tilemap.width) }))
+            .filter(({ col, row }) =>
+                col >= SPAWN_COLUMNS &&
+                reach.getTile(col, row) === 0 &&
+                reach.getTile(col, row + 1) === 0 &&
+                reach.getTile(col, row + 2) === 0
+            )
+            .sort((a, b) => a.row - b.row || a.col - b.col)
+            .slice(0, GOLDEN_WOOL_CANDIDATES)
+            .map(({ col, row }) => ({ x: col * ts + 4, y: row * ts + 4, type: 'golden-wool' }));
+        
+        const targets = Reachability.targetsFromLevel({ sheep: level.sheep, collectibles: candidates });
+        reach.analyze(level.playerSpawn, targets);
+        
+        const unreachedSheep = targets.filter(t => t.kind === 'sheep' && !t.reached);
+        if (unreachedSheep.length > 0) {
+            throw new Error(`Generated level from seed ${this.seed} has ${unreachedSheep.length} unreachable sheep`);
+        }
+        
+        const reachedWool = targets
+            .filter(t => t.kind === 'golden-wool' && t.reached)
+            .map(t => candidates[t.index]);
+        const woolCount = 1 + Math.round(d * 2);
+        for (let i = 0; i < woolCount; i++) {
+            const options = reachedWool.filter(c => level.collectibles
+                .every(o => o.type !== 'golden-wool' || Math.abs(o.x - c.x) >= ts * 8));
+            if (options.length > 0) {
+                level.collectibles.push(random.pick(options));
+                continue;
+            }
+            
+            // Fall back to right above a standing spot (the probe always jumps straight up from those)
+            const standing = free(spots);
+            if (standing.length === 0) break;
+            const node = take(random.pick(standing));
+            level.collectibles.push({ x: node.col * ts + 4, y: (node.row - 1) * ts + 4, type: 'golden-wool' });
+        }
+        
+        return level;
+    }
+    
+    /**
+     * Pick a key of an object of weights
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.random.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+}
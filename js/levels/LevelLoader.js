@@ -1,445 +1,623 @@
 /**
  * Level Loader
  * =============
- * Loads and manages level data
+ * Loads, validates and converts level data
+ *
+ * Levels are stored as JSON files (see assets/levels/) using the versioned
+ * "shepherd-level" schema. Tiled maps (.tmj) are imported into the same
+ * schema before validation, so both end up as the runtime level object
+ * consumed by GameScene.loadLevel().
  */
 
+import { tiles } from '../engine/TileRegistry.js';
+import { ABILITIES, ABILITY_IDS } from '../engine/Abilities.js';
+import { enemies } from '../entities/Enemy.js';
+
+// Current version of the level file schema
+export const LEVEL_FORMAT = 'shepherd-level';
+export const LEVEL_FORMAT_VERSION = 1;
+
+// Object kinds that can be placed in an object layer (enemy kinds are the
+// species in the enemy registry)
+const COLLECTIBLE_KINDS = ['berry', 'herb', 'golden-wool', 'heart'];
+const PLATFORM_KINDS = ['moving', 'crumbling'];
+
+// Player hitbox, used to check the spawn point against solid tiles
+const PLAYER_HITBOX = { offsetX: 12, offsetY: 8, width: 24, height: 56 };
+
+// Size of a pen that doesn't give one
+const PEN_SIZE = { width: 128, height: 96 };
+
+// Tiled stores flip flags in the top bits of each gid
+const TILED_FLIP_MASK = 0x1FFFFFFF;
+
 export class LevelLoader {
-    constructor() {
+    constructor(fetchJSON = null) {
+        // Raw level files, keyed by level number (parsed fresh on every load)
         this.levels = {};
         this.tileSize = 32;
         
-        // Define all levels
-        this.defineLevels();
+        // Level files shipped with the game
+        this.levelFiles = {
+            1: 'assets/levels/level-1.json',   // Forest Entrance
+            2: 'assets/levels/level-2.json',   // River Crossing
+            3: 'assets/levels/level-3.json',   // Hazard Path
+            4: 'assets/levels/level-4.json',   // Deep Woods
+            5: 'assets/levels/level-5.json'    // Mountain Clearing
+        };
+        
+        // How files are fetched (overridable for tools running outside the browser)
+        this.fetchJSON = fetchJSON || (async (src) => {
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        });
     }
     
     /**
-     * Define all game levels
+     * Get level data
+     * Fetches the level file (once), validates it and returns a fresh runtime level object.
      */
-    defineLevels() {
-        // Level 1: Forest Entrance
-        this.levels[1] = this.createLevel1();
-        
-        // Level 2: River Crossing
-        this.levels[2] = this.createLevel2();
-        
-        // Level 3: Hazard Path
-        this.levels[3] = this.createLevel3();
-        
-        // Level 4: Deep Woods
-        this.levels[4] = this.createLevel4();
+    async getLevel(levelNum) {
+        const key = this.levelFiles[levelNum] ? levelNum : 1;
+        const src = this.levelFiles[key];
+        
+        if (!this.levels[key]) {
+            try {
+                this.levels[key] = await this.fetchJSON(src);
+            } catch (error) {
+                throw new Error(`Failed to load level file ${src}: ${error.message}`);
+            }
+        }
         
-        // Level 5: Mountain Clearing
-        this.levels[5] = this.createLevel5();
+        return this.parseLevel(this.levels[key], src);
     }
     
     /**
-     * Get level data
+     * Parse level JSON (native schema or Tiled map) into a runtime level object
+     * @throws {Error} listing every problem found in the file
      */
-    getLevel(levelNum) {
-        return this.levels[levelNum] || this.levels[1];
+    parseLevel(json, source = 'level') {
+        const levelJSON = this.isTiledMap(json) ? this.importTiled(json, source) : json;
+        
+        const errors = this.validate(levelJSON);
+        if (errors.length > 0) {
+            const message = `Invalid level "${source}":\n  - ${errors.join('\n  - ')}`;
+            console.error(message);
+            const error = new Error(message);
+            error.errors = errors;
+            throw error;
+        }
+        
+        return this.toRuntimeLevel(levelJSON);
     }
     
     /**
-     * Create Level 1: Forest Entrance
+     * Validate a level in the native schema
+     * @returns {string[]} list of problems (empty if the level is valid)
      */
-    createLevel1() {
-        // Level dimensions
-        const width = 60;
-        const height = 20;
-        const ts = this.tileSize;
-        
-        // Create tilemap data
-        const data = new Array(width * height).fill(0);
-        
-        // Ground layer (row 17-19)
-        for (let x = 0; x < width; x++) {
-            // Grass top
-            data[16 * width + x] = 3;
-            // Dirt below
-            data[17 * width + x] = 2;
-            data[18 * width + x] = 2;
-            data[19 * width + x] = 2;
+    validate(json) {
+        const errors = [];
+        
+        if (!json || typeof json !== 'object') {
+            return ['level file is not a JSON object'];
+        }
+        if (json.format !== LEVEL_FORMAT) {
+            errors.push(`"format" must be "${LEVEL_FORMAT}" (got ${JSON.stringify(json.format)})`);
+        }
+        if (json.version !== LEVEL_FORMAT_VERSION) {
+            errors.push(`unsupported schema version ${JSON.stringify(json.version)} (expected ${LEVEL_FORMAT_VERSION})`);
+        }
+        
+        const { width, height, tileSize } = json;
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            errors.push(`"width" and "height" must be positive integers (got ${width}x${height})`);
+        }
+        if (!Number.isInteger(tileSize) || tileSize <= 0) {
+            errors.push(`"tileSize" must be a positive integer (got ${tileSize})`);
         }
+        if (json.tileset !== undefined && (typeof json.tileset !== 'string' || json.tileset === '')) {
+            errors.push(`"tileset" must be the name of a tileset (got ${JSON.stringify(json.tileset)})`);
+        }
+        if (!Array.isArray(json.layers)) {
+            errors.push('"layers" must be an array');
+        }
+        
+        // Dimensions are needed for every other check
+        if (errors.length > 0) return errors;
+        
+        const tileLayers = json.layers.filter(layer => layer.type === 'tiles');
+        const objectLayers = json.layers.filter(layer => layer.type === 'objects');
         
-        // Platforms
-        // Platform 1
-        for (let x = 10; x < 15; x++) {
-            data[13 * width + x] = 5;
+        json.layers.forEach((layer, i) => {
+            if (layer.type !== 'tiles' && layer.type !== 'objects') {
+                errors.push(`layer ${i} has unknown type ${JSON.stringify(layer.type)} (expected "tiles" or "objects")`);
+            }
+        });
+        
+        if (tileLayers.length === 0) {
+            errors.push('level has no tile layer');
         }
         
-        // Platform 2
-        for (let x = 20; x < 26; x++) {
-            data[11 * width + x] = 5;
+        // Tile layers
+        let tilesValid = tileLayers.length > 0;
+        tileLayers.forEach(layer => {
+            const name = layer.name || 'tiles';
+            if (!Array.isArray(layer.data) || layer.data.length !== width * height) {
+                errors.push(`tile layer "${name}" must have ${width * height} tiles (${width}x${height}), got ${layer.data?.length ?? 'none'}`);
+                tilesValid = false;
+                return;
+            }
+            
+            // Report each unknown tile id once, with its first position
+            const unknown = new Map();
+            layer.data.forEach((tileId, index) => {
+                if (!tiles.has(tileId) && !unknown.has(tileId)) {
+                    unknown.set(tileId, index);
+                }
+            });
+            unknown.forEach((index, tileId) => {
+                const col = index % width;
+                const row = Math.floor(index / width);
+                errors.push(`tile layer "${name}": unknown tile id ${JSON.stringify(tileId)} at column ${col}, row ${row}`);
+            });
+        });
+        
+        // Object layers
+        const objects = objectLayers.flatMap(layer => Array.isArray(layer.objects) ? layer.objects : []);
+        objectLayers.forEach(layer => {
+            if (!Array.isArray(layer.objects)) {
+                errors.push(`object layer "${layer.name || 'objects'}" must have an "objects" array`);
+            }
+        });
+        
+        const worldWidth = width * tileSize;
+        const worldHeight = height * tileSize;
+        
+        objects.forEach((obj, i) => {
+            const label = `object ${i} (${obj.type}${obj.kind ? ' ' + obj.kind : ''})`;
+            
+            if (!Number.isFinite(obj.x) || !Number.isFinite(obj.y)) {
+                errors.push(`${label} needs numeric "x" and "y"`);
+                return;
+            }
+            if (obj.x < 0 || obj.y < 0 || obj.x >= worldWidth || obj.y >= worldHeight) {
+                errors.push(`${label} at (${obj.x}, ${obj.y}) is outside the level (${worldWidth}x${worldHeight}px)`);
+            }
+            
+            switch (obj.type) {
+                case 'player-spawn':
+                case 'sheep':
+                    break;
+                case 'enemy':
+                    if (!enemies.has(obj.kind)) {
+                        errors.push(`${label} has unknown enemy kind ${JSON.stringify(obj.kind)} (expected one of ${enemies.kinds.join(', ')})`);
+                    }
+                    enemies.validateOverrides(obj).forEach(problem => errors.push(`${label} ${problem}`));
+                    break;
+                case 'collectible':
+                    if (!COLLECTIBLE_KINDS.includes(obj.kind)) {
+                        errors.push(`${label} has unknown collectible kind ${JSON.stringify(obj.kind)} (expected one of ${COLLECTIBLE_KINDS.join(', ')})`);
+                    }
+                    break;
+                case 'platform':
+                    errors.push(...this.validatePlatform(obj, label));
+                    break;
+                case 'pen':
+                    ['width', 'height'].forEach(key => {
+                        if (obj[key] !== undefined && !(obj[key] > 0)) {
+                            errors.push(`${label} "${key}" must be a positive number (got ${JSON.stringify(obj[key])})`);
+                        }
+                    });
+                    break;
+                default:
+                    errors.push(`${label} has unknown object type ${JSON.stringify(obj.type)}`);
+            }
+        });
+        
+        // Exactly one player spawn, and it must not be inside a solid tile
+        const spawns = objects.filter(obj => obj.type === 'player-spawn');
+        if (spawns.length !== 1) {
+            errors.push(`level needs exactly one player-spawn object (found ${spawns.length})`);
+        } else if (tilesValid && Number.isFinite(spawns[0].x) && Number.isFinite(spawns[0].y)) {
+            const data = this.mergeTileLayers(tileLayers, width * height);
+            const spawn = spawns[0];
+            const solid = this.findSolidTile(data, width, height, tileSize, {
+                x: spawn.x + PLAYER_HITBOX.offsetX,
+                y: spawn.y + PLAYER_HITBOX.offsetY,
+                width: PLAYER_HITBOX.width,
+                height: PLAYER_HITBOX.height
+            });
+            if (solid) {
+                errors.push(`player-spawn at (${spawn.x}, ${spawn.y}) is inside solid tile ${solid.tileId} at column ${solid.col}, row ${solid.row}`);
+            }
         }
         
-        // Platform 3
-        for (let x = 30; x < 36; x++) {
-            data[12 * width + x] = 5;
+        // At most one pen (without one, sheep are brought back to the player spawn), clear of solid tiles
+        const pens = objects.filter(obj => obj.type === 'pen');
+        if (pens.length > 1) {
+            errors.push(`level can have only one pen object (found ${pens.length})`);
+        } else if (pens.length === 1 && tilesValid && Number.isFinite(pens[0].x) && Number.isFinite(pens[0].y)) {
+            const data = this.mergeTileLayers(tileLayers, width * height);
+            const pen = pens[0];
+            const solid = this.findSolidTile(data, width, height, tileSize, {
+                x: pen.x,
+                y: pen.y,
+                width: pen.width ?? PEN_SIZE.width,
+                height: pen.height ?? PEN_SIZE.height
+            });
+            if (solid) {
+                errors.push(`pen at (${pen.x}, ${pen.y}) overlaps solid tile ${solid.tileId} at column ${solid.col}, row ${solid.row}`);
+            }
         }
         
-        // Elevated ground section
-        for (let x = 42; x < 50; x++) {
-            data[14 * width + x] = 3;
-            data[15 * width + x] = 2;
-            data[16 * width + x] = 2;
+        if (json.abilities !== undefined) {
+            errors.push(...this.validateAbilities(json.abilities));
         }
         
-        // Small hills
-        for (let x = 5; x < 8; x++) {
-            data[15 * width + x] = 3;
-            data[16 * width + x] = 2;
+        return errors;
+    }
+    
+    /**
+     * Check the abilities a level lists: { required: [...], recommended: [...] }
+     * @returns {string[]} list of problems
+     */
+    validateAbilities(abilities) {
+        if (!abilities || typeof abilities !== 'object' || Array.isArray(abilities)) {
+            return ['"abilities" must be an object with "required" and "recommended" lists'];
         }
         
-        return {
-            name: 'Forest Entrance',
-            tilemap: {
-                width: width,
-                height: height,
-                tileSize: ts,
-                data: data
-            },
-            playerSpawn: { x: 64, y: 16 * ts - 64 },
-            sheep: [
-                { x: 400, y: 16 * ts - 32 },
-                { x: 700, y: 11 * ts - 32 },
-                { x: 1100, y: 16 * ts - 32 }
-            ],
-            enemies: [],
-            collectibles: [
-                { x: 6 * ts, y: 16 * ts - 48, type: 'berry' },      // Ground level
-                { x: 12 * ts, y: 12 * ts - 48, type: 'berry' },     // On platform
-                { x: 22 * ts, y: 11 * ts - 48, type: 'herb' },      // On high platform
-                { x: 30 * ts, y: 16 * ts - 48, type: 'berry' },     // Ground level
-                { x: 17 * ts, y: 8 * ts - 48, type: 'golden-wool' } // On highest platform
-            ],
-            background: {
-                type: 'forest',
-                timeOfDay: 'day'
+        const errors = [];
+        ['required', 'recommended'].forEach(key => {
+            const list = abilities[key];
+            if (list === undefined) return;
+            if (!Array.isArray(list)) {
+                errors.push(`"abilities.${key}" must be a list of ability ids`);
+                return;
             }
-        };
+            list.filter(id => !ABILITIES[id]).forEach(id => {
+                errors.push(`"abilities.${key}" has unknown ability ${JSON.stringify(id)} (expected one of ${ABILITY_IDS.join(', ')})`);
+            });
+        });
+        
+        return errors;
     }
     
     /**
-     * Create Level 2: River Crossing
+     * Check a platform object: { kind, width, path: [{ x, y }], speed, wait }
+     * @returns {string[]} list of problems
      */
-    createLevel2() {
-        const width = 70;
-        const height = 22;
-        const ts = this.tileSize;
-        
-        const data = new Array(width * height).fill(0);
-        
-        // Ground with gaps (river)
-        for (let x = 0; x < width; x++) {
-            // Skip gaps for river
-            if ((x >= 15 && x <= 25) || (x >= 40 && x <= 48)) {
-                continue;
-            }
-            data[18 * width + x] = 3;
-            data[19 * width + x] = 2;
-            data[20 * width + x] = 2;
-            data[21 * width + x] = 2;
-        }
+    validatePlatform(obj, label) {
+        const errors = [];
         
-        // Add water in the river gaps
-        for (let x = 15; x <= 25; x++) {
-            data[18 * width + x] = 6; // Water
-            data[19 * width + x] = 6;
-            data[20 * width + x] = 6;
-            data[21 * width + x] = 6;
+        if (obj.kind !== undefined && !PLATFORM_KINDS.includes(obj.kind)) {
+            errors.push(`${label} has unknown platform kind ${JSON.stringify(obj.kind)} (expected one of ${PLATFORM_KINDS.join(', ')})`);
         }
-        for (let x = 40; x <= 48; x++) {
-            data[18 * width + x] = 6; // Water
-            data[19 * width + x] = 6;
-            data[20 * width + x] = 6;
-            data[21 * width + x] = 6;
+        if (obj.width !== undefined && !(obj.width > 0)) {
+            errors.push(`${label} "width" must be a positive number (got ${JSON.stringify(obj.width)})`);
         }
-        
-        // Add small rock barriers at river edges (only 1 tile high, at ground level)
-        // River 1 barriers (columns 14 and 26)
-        data[17 * width + 14] = 7; // Rock barrier left (1 tile above ground)
-        data[17 * width + 26] = 7; // Rock barrier right
-        // River 2 barriers (columns 39 and 49)
-        data[17 * width + 39] = 7; // Rock barrier left
-        data[17 * width + 49] = 7; // Rock barrier right
-        
-        // Stepping stones in river 1 (larger - 2 tiles wide each)
-        for (let x = 16; x <= 17; x++) data[17 * width + x] = 4;
-        for (let x = 20; x <= 21; x++) data[17 * width + x] = 4;
-        for (let x = 23; x <= 24; x++) data[17 * width + x] = 4;
-        
-        // Stepping stones in river 2 (larger - 2 tiles wide each)
-        for (let x = 41; x <= 42; x++) data[17 * width + x] = 4;
-        for (let x = 44; x <= 45; x++) data[17 * width + x] = 4;
-        for (let x = 47; x <= 48; x++) data[17 * width + x] = 4;
-        
-        // Platforms
-        for (let x = 28; x < 35; x++) {
-            data[14 * width + x] = 5;
+        if (obj.speed !== undefined && !(obj.speed > 0)) {
+            errors.push(`${label} "speed" must be a positive number (got ${JSON.stringify(obj.speed)})`);
         }
-        
-        for (let x = 55; x < 62; x++) {
-            data[15 * width + x] = 5;
+        if (obj.wait !== undefined && !(obj.wait >= 0)) {
+            errors.push(`${label} "wait" must be a number of seconds (got ${JSON.stringify(obj.wait)})`);
+        }
+        if (obj.path !== undefined && (!Array.isArray(obj.path) ||
+            obj.path.some(point => !Number.isFinite(point?.x) || !Number.isFinite(point?.y)))) {
+            errors.push(`${label} "path" must be a list of waypoints with numeric "x" and "y"`);
         }
         
-        return {
-            name: 'River Crossing',
-            tilemap: {
-                width: width,
-                height: height,
-                tileSize: ts,
-                data: data
-            },
-            playerSpawn: { x: 64, y: 18 * ts - 64 },
-            sheep: [
-                { x: 300, y: 18 * ts - 32 },      // Before first river (ground)
-                { x: 880, y: 18 * ts - 32 },      // Between rivers (x=27-39 tiles = 864-1248)
-                { x: 1000, y: 18 * ts - 32 },     // Between rivers
-                { x: 1600, y: 18 * ts - 32 }      // After second river (x=50+ tiles)
-            ],
-            enemies: [
-                { type: 'wolf', x: 900, y: 18 * ts - 48, patrolRange: 100 }  // Between rivers, safe area
-            ],
-            collectibles: [
-                { x: 180, y: 18 * ts - 48, type: 'berry' },
-                { x: 350, y: 18 * ts - 48, type: 'herb' },
-                { x: 950, y: 18 * ts - 48, type: 'berry' },
-                { x: 1100, y: 18 * ts - 48, type: 'berry' },
-                { x: 1700, y: 18 * ts - 48, type: 'golden-wool' },
-                { x: 1400, y: 14 * ts - 48, type: 'heart' }  // Heart on platform
-            ],
-            background: {
-                type: 'forest',
-                timeOfDay: 'day'
-            }
-        };
+        return errors;
     }
     
     /**
-     * Create Level 3: Hazard Path
+     * Find the first solid tile overlapping a rectangle (in pixels)
      */
-    createLevel3() {
-        const width = 80;
-        const height = 24;
-        const ts = this.tileSize;
-        
-        const data = new Array(width * height).fill(0);
-        
-        // Uneven terrain
-        for (let x = 0; x < width; x++) {
-            let groundY = 20;
-            
-            // Create hills and valleys
-            if (x >= 20 && x < 30) groundY = 18;
-            else if (x >= 35 && x < 40) groundY = 16;
-            else if (x >= 50 && x < 55) groundY = 19;
-            else if (x >= 60 && x < 70) groundY = 17;
-            
-            // Fill ground
-            for (let y = groundY; y < height; y++) {
-                if (y === groundY) {
-                    data[y * width + x] = 3; // Grass
-                } else {
-                    data[y * width + x] = 2; // Dirt
+    findSolidTile(data, width, height, tileSize, rect) {
+        const left = Math.floor(rect.x / tileSize);
+        const right = Math.floor((rect.x + rect.width - 1) / tileSize);
+        const top = Math.floor(rect.y / tileSize);
+        const bottom = Math.floor((rect.y + rect.height - 1) / tileSize);
+        
+        for (let row = Math.max(0, top); row <= Math.min(height - 1, bottom); row++) {
+            for (let col = Math.max(0, left); col <= Math.min(width - 1, right); col++) {
+                const tileId = data[row * width + col];
+                if (tiles.isSolid(tileId)) {
+                    return { tileId, col, row };
                 }
             }
         }
         
-        // Platforms scattered
-        for (let x = 12; x < 17; x++) data[15 * width + x] = 5;
-        for (let x = 42; x < 48; x++) data[13 * width + x] = 5;
-        for (let x = 72; x < 78; x++) data[14 * width + x] = 5;
+        return null;
+    }
+    
+    /**
+     * Combine tile layers into one grid (later layers draw over earlier ones)
+     */
+    mergeTileLayers(tileLayers, size) {
+        const data = new Array(size).fill(0);
+        tileLayers.forEach(layer => {
+            layer.data.forEach((tileId, i) => {
+                if (tileId !== 0) data[i] = tileId;
+            });
+        });
+        return data;
+    }
+    
+    /**
+     * Convert a validated level file into the runtime level object
+     */
+    toRuntimeLevel(json) {
+        const tileLayers = json.layers.filter(layer => layer.type === 'tiles');
+        const objects = json.layers
+            .filter(layer => layer.type === 'objects')
+            .flatMap(layer => layer.objects);
+        
+        const spawn = objects.find(obj => obj.type === 'player-spawn');
+        const pen = objects.find(obj => obj.type === 'pen');
         
         return {
-            name: 'Hazard Path',
+            name: json.name || 'Untitled',
             tilemap: {
-                width: width,
-                height: height,
-                tileSize: ts,
-                data: data
+                width: json.width,
+                height: json.height,
+                tileSize: json.tileSize,
+                data: this.mergeTileLayers(tileLayers, json.width * json.height)
             },
-            playerSpawn: { x: 64, y: 20 * ts - 64 },
-            sheep: [
-                { x: 10 * ts, y: 20 * ts - 32 },     // Ground at start
-                { x: 25 * ts, y: 18 * ts - 32 },    // First hill (groundY=18)
-                { x: 55 * ts, y: 19 * ts - 32 },    // Valley (groundY=19)
-                { x: 65 * ts, y: 17 * ts - 32 }     // Second hill (groundY=17)
-            ],
-            enemies: [
-                { type: 'wolf', x: 15 * ts, y: 20 * ts - 48, patrolRange: 200 },
-                { type: 'boar', x: 45 * ts, y: 20 * ts - 48, patrolRange: 150 }
-            ],
-            collectibles: [
-                { x: 5 * ts, y: 20 * ts - 48, type: 'berry' },
-                { x: 14 * ts, y: 15 * ts - 48, type: 'herb' },    // On platform
-                { x: 30 * ts, y: 18 * ts - 48, type: 'berry' },   // On hill
-                { x: 45 * ts, y: 13 * ts - 48, type: 'herb' },    // On high platform
-                { x: 60 * ts, y: 19 * ts - 48, type: 'berry' },
-                { x: 74 * ts, y: 14 * ts - 48, type: 'golden-wool' },  // On end platform
-                { x: 50 * ts, y: 20 * ts - 48, type: 'heart' }
-            ],
-            background: {
-                type: 'forest',
-                timeOfDay: 'afternoon'
+            tileset: json.tileset || null,
+            playerSpawn: { x: spawn.x, y: spawn.y },
+            pen: pen
+                ? { x: pen.x, y: pen.y, width: pen.width ?? PEN_SIZE.width, height: pen.height ?? PEN_SIZE.height }
+                : this.getSpawnPen(spawn),
+            sheep: objects
+                .filter(obj => obj.type === 'sheep')
+                .map(obj => ({ x: obj.x, y: obj.y })),
+            enemies: objects
+                .filter(obj => obj.type === 'enemy')
+                .map(obj => ({ type: obj.kind, x: obj.x, y: obj.y, ...enemies.getOverrides(obj) })),
+            collectibles: objects
+                .filter(obj => obj.type === 'collectible')
+                .map(obj => ({ x: obj.x, y: obj.y, type: obj.kind })),
+            platforms: objects
+                .filter(obj => obj.type === 'platform')
+                .map(obj => ({
+                    type: obj.kind || 'moving',
+                    x: obj.x,
+                    y: obj.y,
+                    width: obj.width ?? 96,
+                    path: (obj.path || []).map(point => ({ x: point.x, y: point.y })),
+                    ...(obj.speed !== undefined ? { speed: obj.speed } : {}),
+                    ...(obj.wait !== undefined ? { wait: obj.wait } : {})
+                })),
+            background: { ...json.background },
+            abilities: {
+                required: [...(json.abilities?.required || [])],
+                recommended: [...(json.abilities?.recommended || [])]
             }
         };
     }
     
     /**
-     * Create Level 4: Deep Woods
+     * Pen for a level that doesn't have one: around the player spawn, standing on the same ground
      */
-    createLevel4() {
-        const width = 90;
-        const height = 26;
-        const ts = this.tileSize;
-        
-        const data = new Array(width * height).fill(0);
+    getSpawnPen(spawn) {
+        return {
+            x: Math.round(spawn.x + PLAYER_HITBOX.offsetX + PLAYER_HITBOX.width / 2 - PEN_SIZE.width / 2),
+            y: spawn.y + PLAYER_HITBOX.offsetY + PLAYER_HITBOX.height - PEN_SIZE.height,
+            width: PEN_SIZE.width,
+            height: PEN_SIZE.height
+        };
+    }
+    
+    /**
+     * Convert a runtime level object back into the native schema (for saving/exporting)
+     */
+    toJSON(level) {
+        const objects = [
+            { type: 'player-spawn', x: level.playerSpawn.x, y: level.playerSpawn.y },
+            ...(level.pen ? [{ type: 'pen', x: level.pen.x, y: level.pen.y, width: level.pen.width, height: level.pen.height }] : []),
+            ...level.sheep.map(s => ({ type: 'sheep', x: s.x, y: s.y })),
+            ...(level.enemies || []).map(e => ({ type: 'enemy', kind: e.type, x: e.x, y: e.y, ...enemies.getOverrides(e) })),
+            ...(level.collectibles || []).map(c => ({ type: 'collectible', kind: c.type, x: c.x, y: c.y })),
+            ...(level.platforms || []).map(p => ({
+                type: 'platform',
+                kind: p.type,
+                x: p.x,
+                y: p.y,
+                width: p.width,
+                ...(p.path.length > 0 ? { path: p.path.map(point => ({ x: point.x, y: point.y })) } : {}),
+                ...(p.speed !== undefined ? { speed: p.speed } : {}),
+                ...(p.wait !== undefined ? { wait: p.wait } : {})
+            }))
+        ];
+        
+        const required = level.abilities?.required || [];
+        const recommended = level.abilities?.recommended || [];
         
-        // Dense forest terrain
-        for (let x = 0; x < width; x++) {
-            let groundY = 22;
-            
-            // More varied terrain
-            if (x >= 15 && x < 25) groundY = 20;
-            else if (x >= 30 && x < 35) groundY = 18;
-            else if (x >= 45 && x < 55) groundY = 21;
-            else if (x >= 60 && x < 70) groundY = 19;
-            else if (x >= 75 && x < 85) groundY = 17;
-            
-            for (let y = groundY; y < height; y++) {
-                if (y === groundY) {
-                    data[y * width + x] = 3;
-                } else {
-                    data[y * width + x] = 2;
+        return {
+            format: LEVEL_FORMAT,
+            version: LEVEL_FORMAT_VERSION,
+            name: level.name,
+            width: level.tilemap.width,
+            height: level.tilemap.height,
+            tileSize: level.tilemap.tileSize,
+            ...(level.tileset ? { tileset: level.tileset } : {}),
+            background: { ...level.background },
+            ...(required.length > 0 || recommended.length > 0 ? { abilities: { required: [...required], recommended: [...recommended] } } : {}),
+            layers: [
+                { type: 'tiles', name: 'terrain', data: [...level.tilemap.data] },
+                { type: 'objects', name: 'entities', objects }
+            ]
+        };
+    }
+    
+    /**
+     * Serialize a level file with one tile row and one object per line
+     */
+    stringify(json) {
+        const rowToken = '"__ROWS__"';
+        const layers = json.layers.map(layer => layer.type === 'tiles'
+            ? { ...layer, data: '__ROWS__' }
+            : { ...layer, objects: layer.objects.map((obj, i) => `__OBJECT_${i}__`) });
+        
+        let text = JSON.stringify({ ...json, layers }, null, 4);
+        
+        json.layers.forEach(layer => {
+            if (layer.type === 'tiles') {
+                const rows = [];
+                for (let row = 0; row < json.height; row++) {
+                    rows.push('                ' + layer.data.slice(row * json.width, (row + 1) * json.width).join(','));
                 }
+                text = text.replace(rowToken, () => '[\n' + rows.join(',\n') + '\n            ]');
+            } else {
+                layer.objects.forEach((obj, i) => {
+                    const line = JSON.stringify(obj).replace(/,"/g, ', "').replace(/":/g, '": ').replace(/\{/g, '{ ').replace(/\}/g, ' }');
+                    text = text.replace(`"__OBJECT_${i}__"`, () => line);
+                });
             }
-        }
+        });
         
-        // Many platforms for stealth paths
-        for (let x = 8; x < 13; x++) data[17 * width + x] = 5;
-        for (let x = 20; x < 26; x++) data[15 * width + x] = 5;
-        for (let x = 35; x < 40; x++) data[14 * width + x] = 5;
-        for (let x = 50; x < 56; x++) data[16 * width + x] = 5;
-        for (let x = 65; x < 72; x++) data[13 * width + x] = 5;
-        for (let x = 80; x < 88; x++) data[12 * width + x] = 5;
-        
-        return {
-            name: 'Deep Woods',
-            tilemap: {
-                width: width,
-                height: height,
-                tileSize: ts,
-                data: data
-            },
-            playerSpawn: { x: 64, y: 22 * ts - 64 },
-            sheep: [
-                { x: 10 * ts, y: 22 * ts - 32 },     // Start area (groundY=22)
-                { x: 20 * ts, y: 20 * ts - 32 },    // First dip (groundY=20)
-                { x: 50 * ts, y: 21 * ts - 32 },    // Middle area (groundY=21)
-                { x: 65 * ts, y: 19 * ts - 32 },    // Hill (groundY=19)
-                { x: 80 * ts, y: 17 * ts - 32 }     // End hill (groundY=17)
-            ],
-            enemies: [
-                { type: 'wolf', x: 15 * ts, y: 22 * ts - 48, patrolRange: 180 },
-                { type: 'wolf', x: 40 * ts, y: 22 * ts - 48, patrolRange: 200 },
-                { type: 'boar', x: 60 * ts, y: 19 * ts - 48, patrolRange: 150 }
-            ],
-            collectibles: [
-                { x: 5 * ts, y: 22 * ts - 48, type: 'berry' },
-                { x: 10 * ts, y: 17 * ts - 48, type: 'herb' },      // On platform
-                { x: 23 * ts, y: 15 * ts - 48, type: 'berry' },     // On platform
-                { x: 37 * ts, y: 14 * ts - 48, type: 'herb' },      // On platform
-                { x: 53 * ts, y: 16 * ts - 48, type: 'berry' },     // On platform
-                { x: 68 * ts, y: 13 * ts - 48, type: 'golden-wool' }, // On platform
-                { x: 84 * ts, y: 12 * ts - 48, type: 'golden-wool' }, // On end platform
-                { x: 45 * ts, y: 22 * ts - 48, type: 'heart' }
-            ],
-            background: {
-                type: 'dark-forest',
-                timeOfDay: 'dusk'
-            }
-        };
+        return text + '\n';
+    }
+    
+    /**
+     * Check if JSON is a Tiled map export
+     */
+    isTiledMap(json) {
+        return !!json && json.type === 'map' && Array.isArray(json.layers) && 'tilewidth' in json;
     }
     
     /**
-     * Create Level 5: Mountain Clearing
+     * Import a Tiled (.tmj) map into the native schema
+     *
+     * Tile layers map tile n of the first tileset to tile id n + 1. Objects are
+     * identified by their class (or type in Tiled < 1.9): player-spawn, pen,
+     * sheep, enemy, collectible or platform, with "kind", "speed" and "wait"
+     * (platforms) and any enemy stat ("patrolRange", "detectionRange", ...) as
+     * custom properties. A pen is the rectangle it's drawn as. A
+     * platform drawn as a rectangle stays put; one drawn as a polyline starts at
+     * its first point and follows the rest.
+     * Tile layers must be saved as CSV (base64 and compressed layers aren't read).
+     * Map properties "name", "background", "timeOfDay" and "tileset" fill in the metadata,
+     * and "requiredAbilities" / "recommendedAbilities" list ability ids (comma separated).
      */
-    createLevel5() {
-        const width = 100;
-        const height = 28;
-        const ts = this.tileSize;
+    importTiled(map, source = 'map') {
+        if (map.orientation && map.orientation !== 'orthogonal') {
+            throw new Error(`Tiled map "${source}" must be orthogonal (got ${map.orientation})`);
+        }
+        if (map.infinite) {
+            throw new Error(`Tiled map "${source}" is infinite; convert it to a fixed-size map first`);
+        }
+        if (map.tilewidth !== map.tileheight) {
+            throw new Error(`Tiled map "${source}" must use square tiles (got ${map.tilewidth}x${map.tileheight})`);
+        }
         
-        const data = new Array(width * height).fill(0);
+        const firstGid = map.tilesets?.length ? Math.min(...map.tilesets.map(ts => ts.firstgid)) : 1;
+        const props = this.readTiledProperties(map.properties);
+        const layers = [];
+        const abilityList = value => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
         
-        // Mountain terrain with cliffs
-        for (let x = 0; x < width; x++) {
-            let groundY = 24;
-            
-            // Progressive elevation (going uphill)
-            if (x >= 10 && x < 20) groundY = 23;
-            else if (x >= 20 && x < 35) groundY = 21;
-            else if (x >= 35 && x < 50) groundY = 19;
-            else if (x >= 50 && x < 65) groundY = 17;
-            else if (x >= 65 && x < 80) groundY = 15;
-            else if (x >= 80) groundY = 13;
-            
-            for (let y = groundY; y < height; y++) {
-                if (y === groundY) {
-                    data[y * width + x] = x < 80 ? 3 : 4; // Stone at peak
-                } else {
-                    data[y * width + x] = x < 80 ? 2 : 4;
+        // Group layers are flattened in draw order
+        const flatten = (list) => list.flatMap(layer => layer.type === 'group' ? flatten(layer.layers || []) : [layer]);
+        
+        flatten(map.layers).forEach(layer => {
+            if (layer.type === 'tilelayer') {
+                if ((layer.encoding && layer.encoding !== 'csv') || typeof layer.data === 'string') {
+                    const encoding = [layer.encoding || 'string', layer.compression].filter(Boolean).join('/');
+                    throw new Error(`Tiled map "${source}" layer "${layer.name}" is ${encoding}-encoded; save the map with tile layer format CSV`);
                 }
+                layers.push({
+                    type: 'tiles',
+                    name: layer.name,
+                    data: (layer.data || []).map(gid => {
+                        const id = gid & TILED_FLIP_MASK;
+                        return id === 0 ? 0 : id - firstGid + 1;
+                    })
+                });
+            } else if (layer.type === 'objectgroup') {
+                layers.push({
+                    type: 'objects',
+                    name: layer.name,
+                    objects: (layer.objects || []).map(obj => {
+                        const objProps = this.readTiledProperties(obj.properties);
+                        const converted = {
+                            type: obj.class || obj.type || obj.name,
+                            x: Math.round(obj.x),
+                            // Tile objects are anchored at their bottom-left corner
+                            y: Math.round(obj.gid ? obj.y - obj.height : obj.y)
+                        };
+                        if (objProps.kind !== undefined) converted.kind = objProps.kind;
+                        if (converted.type === 'enemy') {
+                            Object.assign(converted, enemies.getOverrides(objProps));
+                        }
+                        if (converted.type === 'platform') {
+                            Object.assign(converted, this.readTiledPlatform(obj, objProps));
+                        }
+                        if (converted.type === 'pen') {
+                            if (obj.width) converted.width = Math.round(obj.width);
+                            if (obj.height) converted.height = Math.round(obj.height);
+                        }
+                        return converted;
+                    })
+                });
             }
-        }
-        
-        // Cliff ledges
-        for (let x = 25; x < 30; x++) data[18 * width + x] = 4;
-        for (let x = 40; x < 46; x++) data[15 * width + x] = 4;
-        for (let x = 55; x < 62; x++) data[13 * width + x] = 4;
-        for (let x = 70; x < 76; x++) data[11 * width + x] = 4;
-        for (let x = 85; x < 95; x++) data[9 * width + x] = 4;
+        });
         
         return {
-            name: 'Mountain Clearing',
-            tilemap: {
-                width: width,
-                height: height,
-                tileSize: ts,
-                data: data
-            },
-            playerSpawn: { x: 64, y: 24 * ts - 64 },
-            sheep: [
-                { x: 8 * ts, y: 24 * ts - 32 },      // Start (groundY=24)
-                { x: 15 * ts, y: 23 * ts - 32 },    // First slope (groundY=23)
-                { x: 28 * ts, y: 21 * ts - 32 },    // Second tier (groundY=21)
-                { x: 45 * ts, y: 19 * ts - 32 },    // Third tier (groundY=19)
-                { x: 60 * ts, y: 17 * ts - 32 },    // Fourth tier (groundY=17)
-                { x: 85 * ts, y: 13 * ts - 32 }     // Peak (groundY=13)
-            ],
-            enemies: [
-                { type: 'wolf', x: 12 * ts, y: 24 * ts - 48, patrolRange: 200 },
-                { type: 'wolf', x: 35 * ts, y: 21 * ts - 48, patrolRange: 180 },
-                { type: 'boar', x: 55 * ts, y: 19 * ts - 48, patrolRange: 200 },
-                { type: 'wolf', x: 75 * ts, y: 15 * ts - 48, patrolRange: 150 }
-            ],
-            collectibles: [
-                { x: 5 * ts, y: 24 * ts - 48, type: 'berry' },
-                { x: 18 * ts, y: 23 * ts - 48, type: 'herb' },
-                { x: 27 * ts, y: 18 * ts - 48, type: 'berry' },   // On ledge
-                { x: 42 * ts, y: 15 * ts - 48, type: 'herb' },    // On ledge
-                { x: 58 * ts, y: 13 * ts - 48, type: 'berry' },   // On ledge
-                { x: 72 * ts, y: 11 * ts - 48, type: 'herb' },    // On ledge
-                { x: 50 * ts, y: 19 * ts - 48, type: 'golden-wool' },
-                { x: 70 * ts, y: 15 * ts - 48, type: 'golden-wool' },
-                { x: 90 * ts, y: 9 * ts - 48, type: 'golden-wool' },  // On peak ledge
-                { x: 30 * ts, y: 21 * ts - 48, type: 'heart' },
-                { x: 80 * ts, y: 13 * ts - 48, type: 'heart' }
-            ],
+            format: LEVEL_FORMAT,
+            version: LEVEL_FORMAT_VERSION,
+            name: props.name || source,
+            width: map.width,
+            height: map.height,
+            tileSize: map.tilewidth,
+            ...(props.tileset ? { tileset: props.tileset } : {}),
             background: {
-                type: 'mountain',
-                timeOfDay: 'sunset'
-            }
+                type: props.background || 'forest',
+                timeOfDay: props.timeOfDay || 'day'
+            },
+            ...(props.requiredAbilities || props.recommendedAbilities ? {
+                abilities: {
+                    required: abilityList(props.requiredAbilities),
+                    recommended: abilityList(props.recommendedAbilities)
+                }
+            } : {}),
+            layers
         };
     }
+    
+    /**
+     * Platform fields of a Tiled object (rectangle, or polyline for its path)
+     */
+    readTiledPlatform(obj, objProps) {
+        const platform = {};
+        const width = objProps.width ?? obj.width;
+        if (width) platform.width = Math.round(width);
+        if (objProps.speed !== undefined) platform.speed = objProps.speed;
+        if (objProps.wait !== undefined) platform.wait = objProps.wait;
+        
+        if (Array.isArray(obj.polyline) && obj.polyline.length > 0) {
+            const [start, ...path] = obj.polyline.map(point => ({
+                x: Math.round(obj.x + point.x),
+                y: Math.round(obj.y + point.y)
+            }));
+            platform.x = start.x;
+            platform.y = start.y;
+            if (path.length > 0) platform.path = path;
+        }
+        
+        return platform;
+    }
+    
+    /**
+     * Convert a Tiled properties array into a plain object
+     */
+    readTiledProperties(properties = []) {
+        const result = {};
+        properties.forEach(prop => {
+            result[prop.name] = prop.value;
+        });
+        return result;
+    }
 }
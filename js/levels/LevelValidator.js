@@ -0,0 +1,93 @@
+/**
+ * Level Validator
+ * ================
+ * Checks that levels can actually be played through: every sheep and
+ * collectible has to be clear of solid tiles and reachable from the player
+ * spawn with the real jump arc (see Reachability), using only the abilities
+ * the level lists as required.
+ *
+ * A level is complete once every sheep is brought into the pen, so a level
+ * is solvable when all of its sheep and the pen can be reached.
+ */
+
+import { LevelLoader } from './LevelLoader.js';
+import { Reachability } from './Reachability.js';
+
+export class LevelValidator {
+    /**
+     * @param {LevelLoader} loader - Loader for the level files to check
+     */
+    constructor(loader = new LevelLoader()) {
+        this.loader = loader;
+    }
+    
+    /**
+     * Check every level file known to the loader
+     * @returns {Promise<Object[]>} one report per level (see validateFile)
+     */
+    async validateAll() {
+        const reports = [];
+        for (const levelNum of Object.keys(this.loader.levelFiles).map(Number)) {
+            reports.push(await this.validateFile(levelNum));
+        }
+        return reports;
+    }
+    
+    /**
+     * Load and check one level file
+     * @returns {Promise<Object>} { levelNum, source, name, solvable, problems: string[] }
+     */
+    async validateFile(levelNum) {
+        const source = this.loader.levelFiles[levelNum];
+        if (!source) {
+            return { levelNum, source: null, name: null, solvable: false, problems: [`there is no level ${levelNum}`] };
+        }
+        
+        let level;
+        try {
+            level = await this.loader.getLevel(levelNum);
+        } catch (error) {
+            return { levelNum, source, name: null, solvable: false, problems: [error.message] };
+        }
+        
+        return { levelNum, source, name: level.name, ...this.validate(level) };
+    }
+    
+    /**
+     * Check a runtime level object
+     * @returns {Object} { solvable, problems: string[] }
+     */
+    validate(level) {
+        const { width, height, tileSize, data } = level.tilemap;
+        const problems = [];
+        
+        const targets = Reachability.targetsFromLevel(level);
+        new Reachability(level.tilemap, {
+            platforms: level.platforms || [],
+            abilities: level.abilities?.required || []
+        }).analyze(level.playerSpawn, targets);
+        
+        targets.forEach(target => {
+            const label = target.kind === 'sheep'
+                ? `sheep #${target.index + 1} at (${target.x}, ${target.y})`
+                : target.kind === 'pen'
+                    ? `pen at (${target.x}, ${target.y})`
+                    : `${target.kind} (collectible #${target.index + 1}) at (${target.x}, ${target.y})`;
+            
+            const solid = this.loader.findSolidTile(data, width, height, tileSize, target.bounds);
+            if (solid) {
+                problems.push(`${label} overlaps solid tile ${solid.tileId} at column ${solid.col}, row ${solid.row}`);
+            }
+            if (!target.reached) {
+                problems.push(`${label} can't be reached from the player spawn`);
+            }
+        });
+        
+        const solvable = targets.every(target => (target.kind !== 'sheep' && target.kind !== 'pen') || target.reached);
+        if (!solvable) {
+            problems.push('level can\'t be completed: not every sheep, or the pen, can be reached');
+        }
+        
+        return { solvable, problems };
+    }
+}
@@ -0,0 +1,360 @@
+/**
+ * Navigation Graph
+ * =================
+ * Where an enemy can get to in a level, and how: a graph of standing spots
+ * (the top of a tile with head room above it) joined by walk, fall, drop
+ * and jump edges, so enemies can follow the player up and down platforms
+ * (see Enemy.followPath).
+ *
+ * The edges come from an enemy's movement limits: its hitbox, how fast it
+ * runs and how hard it jumps. Jumps and falls are flown as arcs under
+ * Physics.gravity, at a few running speeds, and land wherever they first
+ * come down on top of a tile. Moving platforms aren't part of the graph
+ * (enemies can still ride one they happen to land on), and neither is
+ * water. Build a graph once per level and kind of enemy, and again whenever
+ * tiles change (GameScene.setTile marks them stale).
+ */
+
+import { Physics } from '../engine/Physics.js';
+
+// Time step the arcs are flown at (seconds)
+const ARC_STEP = 1 / 60;
+
+// Longest arc, in steps
+const MAX_ARC_STEPS = 180;
+
+// Running speeds (share of the enemy's full speed) jumps and falls are tried at
+const JUMP_SPEEDS = [1, 0.6, 0.3, 0];
+const FALL_SPEEDS = [1, 0.5, 0.25];
+
+// Moves cost the tiles they cover when finding a path, and jumps this much more
+// (so enemies walk where they can)
+const JUMP_COST = 2;
+
+// How far below a jumping or falling target to look for the spot it'll land on (rows)
+const TARGET_SEARCH_ROWS = 6;
+
+export class NavGraph {
+    /**
+     * @param {Object} tilemap - Runtime tilemap ({ width, height, tileSize, data })
+     * @param {Object} limits - { width, height (hitbox), speed (px/s), jumpSpeed (px/s, 0 if it can't jump) }
+     * @param {Physics} physics - Gravity and tile types
+     */
+    constructor(tilemap, limits, physics = new Physics()) {
+        this.tilemap = tilemap;
+        this.limits = limits;
+        this.physics = physics;
+        this.tiles = physics.tiles;
+        
+        this.nodes = new Map(); // key -> { key, col, row, x (middle), y (top of the tile) }
+        this.edges = new Map(); // key -> [{ from, to, kind, vx, cost }]
+        this.isStale = true;
+    }
+    
+    /**
+     * Key for a set of movement limits (enemies with the same limits share a graph)
+     */
+    static keyFor(limits) {
+        return `${limits.width}x${limits.height}:${limits.speed}:${limits.jumpSpeed}`;
+    }
+    
+    /**
+     * The tiles have changed: rebuild before the next path is found
+     */
+    invalidate() {
+        this.isStale = true;
+    }
+    
+    /**
+     * Work out every standing spot and the moves between them
+     */
+    build() {
+        const { width, height } = this.tilemap;
+        this.nodes = new Map();
+        this.edges = new Map();
+        
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (this.isStandable(col, row)) {
+                    const node = this.createNode(col, row);
+                    this.nodes.set(node.key, node);
+                    this.edges.set(node.key, []);
+                }
+            }
+        }
+        
+        this.nodes.forEach(node => {
+            this.addWalks(node);
+            this.addFalls(node);
+            this.addDrop(node);
+            this.addJumps(node);
+        });
+        
+        this.isStale = false;
+    }
+    
+    /**
+     * Cheapest way from where an entity stands to where a target is (or is about to land)
+     * @returns {Object[]|null} edges to follow in order (empty if already there), or null if there's no way
+     */
+    findPath(entity, target) {
+        if (this.isStale) this.build();
+        
+        const start = this.nodeAt(entity);
+        const goal = this.nodeAt(target) || this.nodeBelow(target);
+        if (!start || !goal) return null;
+        
+        // Dijkstra (graphs are a few hundred nodes, so a plain open list will do)
+        const cost = new Map([[start.key, 0]]);
+        const via = new Map();
+        const open = new Set([start.key]);
+        const done = new Set();
+        
+        while (open.size > 0) {
+            let key = null;
+            open.forEach(k => {
+                if (key === null || cost.get(k) < cost.get(key)) key = k;
+            });
+            open.delete(key);
+            done.add(key);
+            
+            if (key === goal.key) {
+                const path = [];
+                for (let k = key; k !== start.key; k = via.get(k).from) {
+                    path.unshift(via.get(k));
+                }
+                return path;
+            }
+            
+            this.edges.get(key).forEach(edge => {
+                if (done.has(edge.to)) return;
+                const total = cost.get(key) + edge.cost;
+                if (!cost.has(edge.to) || total < cost.get(edge.to)) {
+                    cost.set(edge.to, total);
+                    via.set(edge.to, edge);
+                    open.add(edge.to);
+                }
+            });
+        }
+        return null;
+    }
+    
+    /**
+     * Node an entity is standing on (null if it's in the air or somewhere off the graph)
+     */
+    nodeAt(entity) {
+        if (!entity.isGrounded) return null;
+        
+        const tileSize = this.tilemap.tileSize;
+        const bounds = entity.bounds;
+        const row = Math.round((bounds.y + bounds.height) / tileSize);
+        
+        // Prefer the tile under the middle, then under either foot
+        const cols = [
+            Math.floor((bounds.x + bounds.width / 2) / tileSize),
+            Math.floor(bounds.x / tileSize),
+            Math.floor((bounds.x + bounds.width - 1) / tileSize)
+        ];
+        for (const col of cols) {
+            const node = this.nodes.get(`${col},${row}`);
+            if (node) return node;
+        }
+        return null;
+    }
+    
+    /**
+     * First node under an entity's middle (where something in the air comes down)
+     */
+    nodeBelow(entity) {
+        const tileSize = this.tilemap.tileSize;
+        const bounds = entity.bounds;
+        const col = Math.floor((bounds.x + bounds.width / 2) / tileSize);
+        const feetRow = Math.ceil((bounds.y + bounds.height) / tileSize);
+        
+        for (let row = feetRow; row < feetRow + TARGET_SEARCH_ROWS; row++) {
+            const node = this.nodes.get(`${col},${row}`);
+            if (node) return node;
+        }
+        return null;
+    }
+    
+    /**
+     * Walk to the next tile along (up or down a slope too)
+     */
+    addWalks(node) {
+        [-1, 1].forEach(dir => {
+            const col = node.col + dir;
+            const slope = this.tiles.isSlope(this.getTile(node.col, node.row));
+            const rows = slope || this.tiles.isSlope(this.getTile(col, node.row)) || this.tiles.isSlope(this.getTile(col, node.row - 1))
+                ? [node.row, node.row - 1, node.row + 1]
+                : [node.row];
+            const row = rows.find(r => this.nodes.has(`${col},${r}`));
+            if (row !== undefined) {
+                this.addEdge(node, this.nodes.get(`${col},${row}`), 'walk', dir * this.limits.speed);
+            }
+        });
+    }
+    
+    /**
+     * Walk off the end of a ledge and fall to whatever's below
+     */
+    addFalls(node) {
+        const { width, height } = this.limits;
+        const tileSize = this.tilemap.tileSize;
+        
+        [-1, 1].forEach(dir => {
+            if (this.nodes.has(`${node.col + dir},${node.row}`)) return;
+            
+            // Start just past the edge of the tile
+            const x = dir > 0 ? (node.col + 1) * tileSize : node.col * tileSize - width;
+            FALL_SPEEDS.forEach(share => {
+                const vx = dir * this.limits.speed * share;
+                const landing = this.flyArc(x, node.y - height, vx, 0);
+                if (landing && landing.row > node.row) {
+                    this.addEdge(node, landing, 'fall', vx);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Drop through a one-way platform to whatever's below
+     */
+    addDrop(node) {
+        if (!this.tiles.isOneWay(this.getTile(node.col, node.row))) return;
+        
+        const { width, height } = this.limits;
+        const x = node.x - width / 2;
+        
+        // Fly from just below the platform's top, so the arc doesn't land straight back on it
+        const landing = this.flyArc(x, node.y - height + 1, 0, 0, node.row);
+        if (landing) {
+            this.addEdge(node, landing, 'drop', 0);
+        }
+    }
+    
+    /**
+     * Jump up, across or down from the middle of the tile
+     */
+    addJumps(node) {
+        if (this.limits.jumpSpeed <= 0) return;
+        
+        const { width, height } = this.limits;
+        [-1, 1].forEach(dir => {
+            JUMP_SPEEDS.forEach(share => {
+                if (share === 0 && dir < 0) return;
+                
+                const vx = dir * this.limits.speed * share;
+                const landing = this.flyArc(node.x - width / 2, node.y - height, vx, -this.limits.jumpSpeed);
+                if (landing) {
+                    this.addEdge(node, landing, 'jump', vx);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Record a move (only the first way found between two nodes is kept)
+     */
+    addEdge(from, to, kind, vx) {
+        if (from.key === to.key) return;
+        
+        const edges = this.edges.get(from.key);
+        if (edges.some(edge => edge.to === to.key)) return;
+        const cost = Math.abs(to.col - from.col) + Math.abs(to.row - from.row) + (kind === 'jump' ? JUMP_COST : 0);
+        edges.push({ from: from.key, to: to.key, kind, vx, cost });
+    }
+    
+    /**
+     * Fly a hitbox from (x, y) at a steady running speed, under gravity,
+     * until it comes down on top of a tile
+     * @param {number} ignoreRow - A one-way row not to land on (the one being dropped through)
+     * @returns {Object|null} node landed on, or null if it hit something, left the map or fell in water
+     */
+    flyArc(x, y, vx, vy, ignoreRow = -1) {
+        const { width, height } = this.limits;
+        const physics = this.physics;
+        const tileSize = this.tilemap.tileSize;
+        const worldWidth = this.tilemap.width * tileSize;
+        const worldHeight = this.tilemap.height * tileSize;
+        
+        for (let step = 0; step < MAX_ARC_STEPS; step++) {
+            const feet = y + height;
+            vy = Math.min(vy + physics.gravity * (vy > 0 ? physics.fallGravityMultiplier : 1) * ARC_STEP, physics.maxFallSpeed);
+            x += vx * ARC_STEP;
+            y += vy * ARC_STEP;
+            
+            if (x < 0 || x + width > worldWidth || y > worldHeight) return null;
+            
+            // Came down through the top of a row: land if there's ground under the middle
+            if (vy > 0) {
+                const row = Math.floor((y + height) / tileSize);
+                if (row * tileSize >= feet && row !== ignoreRow) {
+                    const node = this.nodes.get(`${Math.floor((x + width / 2) / tileSize)},${row}`);
+                    if (node) return node;
+                }
+            }
+            
+            if (this.overlaps(x, y, width, height)) return null;
+        }
+        return null;
+    }
+    
+    /**
+     * Does a box overlap a solid, hazard or liquid tile?
+     */
+    overlaps(x, y, width, height) {
+        const tileSize = this.tilemap.tileSize;
+        const left = Math.floor(x / tileSize);
+        const right = Math.floor((x + width - 1) / tileSize);
+        const top = Math.floor(y / tileSize);
+        const bottom = Math.floor((y + height - 1) / tileSize);
+        
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                const tile = this.getTile(col, row);
+                if (this.tiles.isSolid(tile) || this.tiles.isHazard(tile) || this.tiles.isLiquid(tile)) return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Node standing on top of tile (col, row)
+     */
+    createNode(col, row) {
+        const tileSize = this.tilemap.tileSize;
+        return {
+            key: `${col},${row}`,
+            col,
+            row,
+            x: col * tileSize + tileSize / 2,
+            y: row * tileSize
+        };
+    }
+    
+    /**
+     * Can the enemy stand on top of tile (col, row)? (Needs head room, and
+     * not to be standing in a hazard or water.)
+     */
+    isStandable(col, row) {
+        const ground = this.getTile(col, row);
+        if (!this.tiles.isSolid(ground) && !this.tiles.isOneWay(ground) && !this.tiles.isSlope(ground)) return false;
+        
+        const headRows = Math.ceil(this.limits.height / this.tilemap.tileSize);
+        for (let r = row - headRows; r < row; r++) {
+            const tile = this.getTile(col, r);
+            if (this.tiles.isSolid(tile) || this.tiles.isHazard(tile) || this.tiles.isLiquid(tile)) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Tile id at a cell (0 outside the map)
+     */
+    getTile(col, row) {
+        const { width, height, data } = this.tilemap;
+        if (col < 0 || col >= width || row < 0 || row >= height) return 0;
+        return data[row * width + col];
+    }
+}
@@ -0,0 +1,534 @@
+/**
+ * Reachability
+ * =============
+ * Works out where the shepherd can actually get to in a level.
+ *
+ * Instead of estimating jump distances, a probe Player is driven through the
+ * real Physics step (same order as GameScene.fixedUpdate), so jump arcs come
+ * straight from Player.jumpForce, Player.moveSpeed and Physics.gravity.
+ * Starting at the spawn, every standing spot reached by walking, falling or
+ * jumping becomes a node, and the moves between them become edges.
+ *
+ * Moving and crumbling platforms count as a one-way platform at each
+ * waypoint, where they stop (the player can always wait for one to come
+ * round or grow back), and riding one takes the player from a waypoint to
+ * the next. Jumping off part-way between waypoints isn't tried.
+ * The probe can be given abilities (see Abilities.js); of those, only the
+ * double jump is tried. Walks that end up in deep water swim on, stroking
+ * every so often (or first diving for as long as half a breath lasts),
+ * until they reach ground again.
+ */
+
+import { Physics } from '../engine/Physics.js';
+import { Player } from '../entities/Player.js';
+import { ScriptedInput } from '../headless/ScriptedInput.js';
+
+// Same as GameScene: sheep can be rescued within this distance, edge margin of the world
+const RESCUE_DISTANCE = 60;
+const WORLD_MARGIN = 32;
+
+// Entity sizes used to test targets (see Sheep and Collectible)
+const SHEEP_SIZE = { width: 40, height: 32 };
+const COLLECTIBLE_HITBOX = { offsetX: 4, offsetY: 4, width: 16, height: 16 };
+
+// Longest simulated move, in fixed steps
+const MAX_MOVE_STEPS = 180;
+
+// Tile that stands in for moving platforms at their waypoints (one-way)
+const TILE_PLATFORM = 5;
+
+// Jump variations tried from every standing spot:
+// how long jump is held, and when the direction is held ([from, to) in steps)
+const JUMP_HOLDS = [Infinity, 6];
+const STEER_WINDOWS = [[0, Infinity], [0, 12], [15, Infinity]];
+
+// Step of a full jump at which the double jump is pressed (near the top of the arc)
+const AIR_JUMP_STEP = 30;
+
+// Steps between swim strokes on a walk through deep water, and how long each is held
+const SWIM_STROKE_STEPS = 30;
+const SWIM_STROKE_HOLD = 15;
+
+export class Reachability {
+    /**
+     * @param {Object} tilemap - Runtime tilemap ({ width, height, tileSize, data })
+     * @param {Object} options - { physics, dt, platforms, abilities } (tile types come from physics.tiles;
+     *   platforms are the runtime level's moving/crumbling platforms, abilities the player's ability ids)
+     */
+    constructor(tilemap, { physics = new Physics(), dt = 1 / 60, platforms = [], abilities = [] } = {}) {
+        this.tilemap = platforms.length > 0 ? Reachability.withPlatforms(tilemap, platforms) : tilemap;
+        this.platforms = platforms;
+        this.physics = physics;
+        this.tiles = physics.tiles;
+        this.dt = dt;
+        
+        this.hasWater = this.tilemap.data.some(id => this.tiles.isLiquid(id));
+        
+        this.probe = new Player(0, 0);
+        this.probe.setAbilities(abilities);
+        this.input = new ScriptedInput();
+    }
+    
+    /**
+     * Targets (sheep, collectibles and the pen) of a runtime level, for analyze()
+     * @returns {Object[]} { kind, index, x, y, bounds } (sheep also have centerX/centerY)
+     */
+    static targetsFromLevel(level) {
+        const sheep = level.sheep.map((s, index) => ({
+            kind: 'sheep',
+            index,
+            x: s.x,
+            y: s.y,
+            centerX: s.x + SHEEP_SIZE.width / 2,
+            centerY: s.y + SHEEP_SIZE.height / 2,
+            bounds: { x: s.x, y: s.y, width: SHEEP_SIZE.width, height: SHEEP_SIZE.height }
+        }));
+        const collectibles = (level.collectibles || []).map((c, index) => ({
+            kind: c.type,
+            index,
+            x: c.x,
+            y: c.y,
+            bounds: {
+                x: c.x + COLLECTIBLE_HITBOX.offsetX,
+                y: c.y + COLLECTIBLE_HITBOX.offsetY,
+                width: COLLECTIBLE_HITBOX.width,
+                height: COLLECTIBLE_HITBOX.height
+            }
+        }));
+        const pen = level.pen ? [{
+            kind: 'pen',
+            index: 0,
+            x: level.pen.x,
+            y: level.pen.y,
+            bounds: { x: level.pen.x, y: level.pen.y, width: level.pen.width, height: level.pen.height }
+        }] : [];
+        return [...sheep, ...collectibles, ...pen];
+    }
+    
+    /**
+     * Tiles a platform covers while stopped at each of its waypoints, in path order
+     * @returns {Object[]} { row, left, right } (columns)
+     */
+    static platformStops(tilemap, platform) {
+        const { width, tileSize } = tilemap;
+        return [{ x: platform.x, y: platform.y }, ...(platform.path || [])].map(point => ({
+            row: Math.round(point.y / tileSize),
+            left: Math.max(0, Math.floor(point.x / tileSize)),
+            right: Math.min(width - 1, Math.floor((point.x + platform.width - 1) / tileSize))
+        }));
+    }
+    
+    /**
+     * Copy of a tilemap with one-way tiles wherever a platform stops
+     */
+    static withPlatforms(tilemap, platforms) {
+        const { width, height, tileSize } = tilemap;
+        const data = [...tilemap.data];
+        
+        platforms.forEach(platform => {
+            Reachability.platformStops(tilemap, platform).forEach(({ row, left, right }) => {
+                if (row < 0 || row >= height) return;
+                for (let col = left; col <= right; col++) {
+                    if (data[row * width + col] === 0) data[row * width + col] = TILE_PLATFORM;
+                }
+            });
+        });
+        
+        return { width, height, tileSize, data };
+    }
+    
+    /**
+     * Spots a platform carries the player to from a standing spot: standing on
+     * one of its waypoints, the player rides it to the next (keeping their
+     * place on the plank)
+     * @returns {Object[]} nodes
+     */
+    getRides(node) {
+        const rides = [];
+        this.platforms.forEach(platform => {
+            const stops = Reachability.platformStops(this.tilemap, platform);
+            stops.forEach((stop, i) => {
+                if (node.row !== stop.row || node.col < stop.left || node.col > stop.right) return;
+                
+                const next = stops[(i + 1) % stops.length];
+                const col = Math.min(next.right, next.left + node.col - stop.left);
+                if (next !== stop && this.isStandable(col, next.row)) {
+                    rides.push(this.createNode(col, next.row));
+                }
+            });
+        });
+        return rides;
+    }
+    
+    /**
+     * Explore the level from a spawn point
+     * @param {Object} spawn - Player spawn ({ x, y })
+     * @param {Object[]} targets - From targetsFromLevel(); each gets `reached` set
+     * @returns {Object} { start: key, nodes: Map<key, node>, edges: [], covered: Set<tile index>, targets }
+     */
+    analyze(spawn, targets = []) {
+        const result = {
+            start: null,
+            nodes: new Map(),
+            edges: [],
+            covered: new Set(),
+            targets
+        };
+        targets.forEach(target => {
+            target.reached = false;
+        });
+        
+        // Let the player drop from the spawn point onto the ground
+        const start = this.settle(spawn, result);
+        if (!start) return result;
+        
+        result.start = start.key;
+        const queue = [start];
+        result.nodes.set(start.key, start);
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            
+            this.getMoves(node).forEach(move => {
+                const landing = this.simulate(node, move, result);
+                if (!landing || landing.key === node.key) return;
+                
+                result.edges.push({ from: node.key, to: landing.key, kind: move.kind === 'walk' && landing.row > node.row ? 'fall' : move.kind, move });
+                
+                if (!result.nodes.has(landing.key)) {
+                    result.nodes.set(landing.key, landing);
+                    queue.push(landing);
+                }
+            });
+            
+            this.getRides(node).forEach(stop => {
+                result.edges.push({ from: node.key, to: stop.key, kind: 'ride' });
+                
+                if (!result.nodes.has(stop.key)) {
+                    result.nodes.set(stop.key, stop);
+                    queue.push(stop);
+                }
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Nodes from which the player can make it back to the start
+     * (and so to every other such node) - spots that can't get the player stuck
+     * @returns {Set<string>} node keys
+     */
+    findReturnable(result) {
+        const incoming = new Map();
+        result.edges.forEach(edge => {
+            if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+            incoming.get(edge.to).push(edge.from);
+        });
+        
+        const returnable = new Set();
+        if (!result.start) return returnable;
+        
+        const queue = [result.start];
+        returnable.add(result.start);
+        while (queue.length > 0) {
+            (incoming.get(queue.shift()) || []).forEach(from => {
+                if (!returnable.has(from)) {
+                    returnable.add(from);
+                    queue.push(from);
+                }
+            });
+        }
+        return returnable;
+    }
+    
+    /**
+     * Moves tried from a standing spot
+     */
+    getMoves(node) {
+        const moves = [];
+        
+        // Walk (or step off a ledge, then let go or use the air jump)
+        [-1, 1].forEach(dir => {
+            moves.push({ kind: 'walk', dir, releaseInAir: false, jumpInAir: false });
+            moves.push({ kind: 'walk', dir, releaseInAir: true, jumpInAir: false });
+            moves.push({ kind: 'walk', dir, releaseInAir: false, jumpInAir: true });
+            if (this.hasWater) {
+                moves.push({ kind: 'walk', dir, releaseInAir: false, jumpInAir: false, dive: true });
+            }
+        });
+        
+        // Drop through a one-way platform (down + jump)
+        if (this.tiles.isOneWay(this.getTile(node.col, node.row))) {
+            moves.push({ kind: 'drop', dir: 0 });
+        }
+        
+        JUMP_HOLDS.forEach(jumpSteps => {
+            moves.push({ kind: 'jump', dir: 0, jumpSteps, steer: [0, 0], running: false });
+            
+            [-1, 1].forEach(dir => {
+                // A running start needs a tile of ground behind the player
+                const runway = this.isStandable(node.col - dir, node.row);
+                STEER_WINDOWS.forEach(steer => {
+                    moves.push({ kind: 'jump', dir, jumpSteps, steer, running: false });
+                    if (runway) {
+                        moves.push({ kind: 'jump', dir, jumpSteps, steer, running: true });
+                    }
+                });
+            });
+        });
+        
+        // Jump again at the top of a full jump (double jump ability)
+        if (this.probe.maxJumps > 1) {
+            [-1, 0, 1].forEach(dir => {
+                moves.push({ kind: 'jump', dir, jumpSteps: Infinity, steer: [0, Infinity], running: false, airJumpStep: AIR_JUMP_STEP });
+            });
+        }
+        
+        return moves;
+    }
+    
+    /**
+     * Actions held on a given step of a move
+     */
+    getActions(move, step, probe) {
+        const actions = [];
+        const dirAction = move.dir < 0 ? 'left' : 'right';
+        
+        if (move.kind === 'walk') {
+            if (probe.isSwimming) {
+                actions.push(dirAction);
+                if (move.dive && probe.breath > probe.maxBreath / 2) {
+                    actions.push('crouch');
+                } else if (step % SWIM_STROKE_STEPS < SWIM_STROKE_HOLD) {
+                    actions.push('jump');
+                }
+                return actions;
+            }
+            if (!(move.releaseInAir && !probe.isGrounded)) {
+                actions.push(dirAction);
+            }
+            if (move.jumpInAir && !probe.isGrounded) {
+                actions.push('jump');
+            }
+            return actions;
+        }
+        
+        if (move.kind === 'drop') {
+            // Crouch for a step first, so the player knows what it's standing on
+            if (step === 0) return ['crouch'];
+            return step === 1 ? ['crouch', 'jump'] : [];
+        }
+        
+        if (move.airJumpStep !== undefined) {
+            // Let go of jump for a step, then press it again
+            if (step !== move.airJumpStep - 1) actions.push('jump');
+        } else if (step < move.jumpSteps) {
+            actions.push('jump');
+        }
+        if (move.dir !== 0 && step >= move.steer[0] && step < move.steer[1]) {
+            actions.push(dirAction);
+        }
+        return actions;
+    }
+    
+    /**
+     * Drop the probe from a point until it stands somewhere
+     */
+    settle(spawn, result) {
+        const probe = this.resetProbe(spawn.x, spawn.y, 0);
+        probe.isGrounded = false;
+        
+        for (let step = 0; step < MAX_MOVE_STEPS; step++) {
+            if (!this.step([], result)) return null;
+            if (probe.isGrounded) return this.nodeAt(probe);
+        }
+        return null;
+    }
+    
+    /**
+     * Run one move from a standing spot
+     * @returns {Object|null} node the probe ended up standing on
+     */
+    simulate(node, move, result) {
+        const probe = this.resetProbe(node.x, node.y, move.running ? move.dir * this.probe.moveSpeed : 0);
+        let blockedSteps = 0;
+        
+        for (let step = 0; step < MAX_MOVE_STEPS; step++) {
+            if (!this.step(this.getActions(move, step, probe), result)) return null;
+            
+            if (!probe.isGrounded) continue;
+            
+            if (move.kind === 'walk') {
+                // Arrived in the next column (or walked off a ledge and landed)
+                const landing = this.nodeAt(probe);
+                if (landing && landing.key !== node.key) return landing;
+                
+                // Walking into a wall
+                blockedSteps = probe.velocityX === 0 ? blockedSteps + 1 : 0;
+                if (blockedSteps > 3) return null;
+            } else if (step > 0) {
+                return this.nodeAt(probe);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Put the probe at a position with fresh movement state
+     */
+    resetProbe(x, y, velocityX) {
+        const probe = this.probe;
+        probe.x = x;
+        probe.y = y;
+        probe.velocityX = velocityX;
+        probe.velocityY = 0;
+        probe.isGrounded = true;
+        probe.isJumping = false;
+        probe.isCrouching = false;
+        probe.jumpBufferTimer = 0;
+        probe.coyoteTimer = 0;
+        probe.jumpsRemaining = probe.maxJumps;
+        probe.wallJumpTimer = 0;
+        probe.dropThroughTimer = 0;
+        probe.groundTile = null;
+        probe.submersion = 0;
+        probe.breath = probe.maxBreath;
+        probe.energy = probe.maxEnergy;
+        
+        this.input.releaseAll();
+        this.input.update();
+        return probe;
+    }
+    
+    /**
+     * One fixed step, in GameScene.fixedUpdate order
+     * @returns {boolean} false if the player got hurt (hazard tile, out of breath, fell out of the world)
+     */
+    step(actions, result) {
+        const probe = this.probe;
+        const tilemap = this.tilemap;
+        const dt = this.dt;
+        
+        this.input.setActions(actions);
+        probe.handleInput(this.input, dt);
+        this.physics.applyGravity(probe, dt);
+        probe.fixedUpdate(dt);
+        this.physics.updatePosition(probe, dt);
+        this.physics.resolveTilemapCollision(probe, tilemap);
+        probe.submersion = this.physics.getSubmersion(probe, tilemap);
+        this.input.update();
+        
+        // World edges
+        const worldWidth = tilemap.width * tilemap.tileSize;
+        if (probe.x < WORLD_MARGIN) {
+            probe.x = WORLD_MARGIN;
+            probe.velocityX = 0;
+        }
+        if (probe.x + probe.width > worldWidth - WORLD_MARGIN) {
+            probe.x = worldWidth - WORLD_MARGIN - probe.width;
+            probe.velocityX = 0;
+        }
+        
+        // Hazards
+        if (probe.y > tilemap.height * tilemap.tileSize) return false;
+        if (this.tiles.isHazard(this.getTile(Math.floor(probe.centerX / tilemap.tileSize),
+            Math.floor((probe.y + probe.height) / tilemap.tileSize)))) {
+            return false;
+        }
+        if (probe.breath <= 0) return false;
+        
+        this.visit(result);
+        return true;
+    }
+    
+    /**
+     * Record the tiles the player's hitbox overlaps and any targets it touches
+     */
+    visit(result) {
+        const probe = this.probe;
+        const bounds = probe.bounds;
+        const tileSize = this.tilemap.tileSize;
+        
+        const left = Math.max(0, Math.floor(bounds.x / tileSize));
+        const right = Math.min(this.tilemap.width - 1, Math.floor((bounds.x + bounds.width - 1) / tileSize));
+        const top = Math.max(0, Math.floor(bounds.y / tileSize));
+        const bottom = Math.min(this.tilemap.height - 1, Math.floor((bounds.y + bounds.height - 1) / tileSize));
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                result.covered.add(row * this.tilemap.width + col);
+            }
+        }
+        
+        result.targets.forEach(target => {
+            if (target.reached) return;
+            target.reached = target.kind === 'sheep'
+                ? probe.distanceTo(target) < RESCUE_DISTANCE
+                : probe.collidesWith(target);
+        });
+    }
+    
+    /**
+     * Standing spot the probe is on (column of the tile under its feet)
+     */
+    nodeAt(probe) {
+        const tileSize = this.tilemap.tileSize;
+        const bounds = probe.bounds;
+        const row = Math.round((bounds.y + bounds.height) / tileSize);
+        
+        // Prefer the tile under the player's middle, then under either foot
+        const cols = [
+            Math.floor((bounds.x + bounds.width / 2) / tileSize),
+            Math.floor(bounds.x / tileSize),
+            Math.floor((bounds.x + bounds.width - 1) / tileSize)
+        ];
+        const col = cols.find(c => this.isStandable(c, row));
+        if (col === undefined) return null;
+        
+        return this.createNode(col, row);
+    }
+    
+    /**
+     * Node standing on top of tile (col, row), with the player centred on it
+     */
+    createNode(col, row) {
+        const tileSize = this.tilemap.tileSize;
+        const probe = this.probe;
+        return {
+            key: `${col},${row}`,
+            col,
+            row,
+            x: col * tileSize + tileSize / 2 - probe.hitboxOffsetX - probe.hitboxWidth / 2,
+            y: row * tileSize - probe.hitboxOffsetY - probe.hitboxHeight
+        };
+    }
+    
+    /**
+     * Can the player stand on top of tile (col, row)? (On a slope tile the
+     * probe starts at its top and settles onto the slope. The bed of deep
+     * water isn't stood on: the player floats up off it.)
+     */
+    isStandable(col, row) {
+        const ground = this.getTile(col, row);
+        if (!this.tiles.isSolid(ground) && !this.tiles.isOneWay(ground) && !this.tiles.isSlope(ground)) return false;
+        
+        // Needs head room above the tile
+        const headRows = Math.ceil((this.probe.hitboxOffsetY + this.probe.hitboxHeight) / this.tilemap.tileSize);
+        let liquidRows = 0;
+        for (let r = row - headRows; r < row; r++) {
+            const tile = this.getTile(col, r);
+            if (this.tiles.isSolid(tile) || this.tiles.isHazard(tile)) return false;
+            if (this.tiles.isLiquid(tile)) liquidRows++;
+        }
+        return liquidRows < headRows;
+    }
+    
+    /**
+     * Tile id at a cell (0 outside the map)
+     */
+    getTile(col, row) {
+        const { width, height, data } = this.tilemap;
+        if (col < 0 || col >= width || row < 0 || row >= height) return 0;
+        return data[row * width + col];
+    }
+}
@@ -0,0 +1,714 @@
+/**
+ * Editor Scene
+ * =============
+ * In-browser level editor: paint tiles, place sheep/enemies/collectibles and
+ * platforms, drag the player spawn and the sheep pen, and play-test the result
+ * in GameScene.
+ * A new moving platform shuttles four tiles to the right; longer paths are
+ * edited in the level file.
+ */
+
+import { Sheep } from '../entities/Sheep.js';
+import { Collectible } from '../entities/Collectible.js';
+import { enemies } from '../entities/Enemy.js';
+import { MovingPlatform, CrumblingPlatform } from '../entities/MovingPlatform.js';
+import { Pen } from '../entities/Pen.js';
+import { LevelLoader } from '../levels/LevelLoader.js';
+
+// Object tools and how they map onto level data (one per registered enemy
+// species, the size of the enemy)
+const OBJECT_TOOLS = {
+    sheep: { list: 'sheep', width: 40, height: 32 },
+    ...Object.fromEntries(enemies.kinds.map(kind => {
+        const { width, height } = enemies.create({ type: kind, x: 0, y: 0 });
+        return [kind, { list: 'enemies', type: kind, width, height }];
+    })),
+    berry: { list: 'collectibles', type: 'berry', width: 24, height: 24 },
+    herb: { list: 'collectibles', type: 'herb', width: 24, height: 24 },
+    'golden-wool': { list: 'collectibles', type: 'golden-wool', width: 24, height: 24 },
+    heart: { list: 'collectibles', type: 'heart', width: 24, height: 24 },
+    'moving-platform': { list: 'platforms', type: 'moving', width: 96, height: 16 },
+    'crumbling-platform': { list: 'platforms', type: 'crumbling', width: 96, height: 16 }
+};
+
+// Tile shortcut keys (Digit0 = eraser)
+const TILE_KEYS = ['Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7'];
+
+export class EditorScene {
+    constructor(game) {
+        this.game = game;
+        this.name = 'editor';
+        
+        // Level being edited (runtime level object, same shape as LevelLoader.getLevel)
+        this.levelLoader = new LevelLoader();
+        this.level = null;
+        this.storageKey = 'shepherd-forest-rescue-editor';
+        
+        // Current tool: { kind: 'tile', tile } | { kind: 'object', object } | { kind: 'spawn' } | { kind: 'pen' }
+        this.tool = { kind: 'tile', tile: 3 };
+        
+        // Mouse state
+        this.hoverCol = -1;
+        this.hoverRow = -1;
+        this.isDraggingSpawn = false;
+        this.isDraggingPen = false;
+        
+        // Camera panning speed (pixels per second)
+        this.panSpeed = 600;
+        
+        // Entity instances used to preview placed objects
+        this.previews = [];
+        
+        // Status line shown at the bottom of the canvas
+        this.message = '';
+        this.messageTime = 0;
+    }
+    
+    /**
+     * Enter scene
+     * @param {Object} data - { level } to edit a runtime level object (e.g. returning from play-test)
+     */
+    async enter(data = {}) {
+        if (data.level) {
+            this.setLevel(data.level);
+        } else if (!this.level) {
+            // Resume the last draft, or start from scratch
+            if (!this.loadLocal()) {
+                this.newLevel();
+            }
+        }
+        
+        this.game.camera.follow(null);
+        this.updateCameraBounds();
+        
+        document.getElementById('game-screen').classList.add('editing');
+        document.getElementById('editor-toolbar').classList.add('active');
+        this.syncToolbar();
+        
+        console.log('🛠️ Level editor opened');
+    }
+    
+    /**
+     * Exit scene
+     */
+    async exit() {
+        this.isDraggingSpawn = false;
+        this.isDraggingPen = false;
+        document.getElementById('game-screen').classList.remove('editing');
+        document.getElementById('editor-toolbar').classList.remove('active');
+    }
+    
+    /**
+     * Start a blank level with a strip of ground
+     */
+    newLevel(width = 60, height = 20) {
+        const ts = this.levelLoader.tileSize;
+        const data = new Array(width * height).fill(0);
+        
+        for (let x = 0; x < width; x++) {
+            data[(height - 4) * width + x] = 3;
+            for (let y = height - 3; y < height; y++) {
+                data[y * width + x] = 2;
+            }
+        }
+        
+        this.setLevel({
+            name: 'Untitled Pasture',
+            tilemap: { width, height, tileSize: ts, data },
+            tileset: 'forest',
+            playerSpawn: { x: 64, y: (height - 4) * ts - 64 },
+            pen: { x: (width - 6) * ts, y: (height - 4) * ts - 96, width: 128, height: 96 },
+            sheep: [],
+            enemies: [],
+            collectibles: [],
+            platforms: [],
+            background: { type: 'forest', timeOfDay: 'day' },
+            abilities: { required: [], recommended: [] }
+        });
+        this.showMessage('New level');
+    }
+    
+    /**
+     * Open one of the built-in levels for editing
+     */
+    async openLevel(levelNum) {
+        try {
+            this.setLevel(await this.levelLoader.getLevel(levelNum));
+            this.showMessage(`Opened level ${levelNum}`);
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+    
+    /**
+     * Replace the level being edited
+     */
+    setLevel(level) {
+        // Work on a copy so play-test and saved drafts never share arrays
+        this.level = JSON.parse(JSON.stringify(level));
+        this.rebuildPreviews();
+        this.updateCameraBounds();
+        this.syncToolbar();
+    }
+    
+    /**
+     * Select the active tool
+     */
+    selectTool(tool) {
+        this.tool = tool;
+        this.syncToolbar();
+    }
+    
+    /**
+     * Rename the level
+     */
+    setName(name) {
+        this.level.name = name.trim() || 'Untitled Pasture';
+    }
+    
+    /**
+     * Resize the tilemap (keeps the bottom rows, where the ground is)
+     */
+    resize(width, height) {
+        width = Math.max(20, Math.min(400, Math.floor(width) || 0));
+        height = Math.max(12, Math.min(100, Math.floor(height) || 0));
+        
+        const map = this.level.tilemap;
+        const ts = map.tileSize;
+        const rowShift = height - map.height;
+        const data = new Array(width * height).fill(0);
+        
+        for (let row = 0; row < map.height; row++) {
+            const newRow = row + rowShift;
+            if (newRow < 0 || newRow >= height) continue;
+            for (let col = 0; col < Math.min(width, map.width); col++) {
+                data[newRow * width + col] = map.data[row * map.width + col];
+            }
+        }
+        
+        // Move objects with the ground and drop the ones that no longer fit
+        const shift = obj => ({ ...obj, y: obj.y + rowShift * ts });
+        const inside = obj => obj.x >= 0 && obj.y >= 0 && obj.x < width * ts && obj.y < height * ts;
+        
+        this.level.tilemap = { width, height, tileSize: ts, data };
+        this.level.sheep = this.level.sheep.map(shift).filter(inside);
+        this.level.enemies = this.level.enemies.map(shift).filter(inside);
+        this.level.collectibles = this.level.collectibles.map(shift).filter(inside);
+        this.level.platforms = this.level.platforms.map(p => ({ ...shift(p), path: p.path.map(shift) })).filter(inside);
+        this.level.playerSpawn = shift(this.level.playerSpawn);
+        this.level.pen = inside(shift(this.level.pen)) ? shift(this.level.pen) : this.levelLoader.getSpawnPen(this.level.playerSpawn);
+        
+        this.rebuildPreviews();
+        this.updateCameraBounds();
+        this.syncToolbar();
+    }
+    
+    /**
+     * Fixed update (nothing simulates in the editor)
+     */
+    fixedUpdate(dt) {}
+    
+    /**
+     * Variable update (mouse painting, shortcuts, camera)
+     */
+    update(dt, alpha) {
+        if (!this.level) return;
+        
+        const input = this.game.input;
+        
+        // Play-test toggle
+        if (input.isPressed('playtest')) {
+            this.playTest();
+            return;
+        }
+        
+        // Tile shortcuts
+        TILE_KEYS.forEach((code, tile) => {
+            if (input.isKeyPressed(code)) {
+                this.selectTool({ kind: 'tile', tile });
+            }
+        });
+        
+        // Pan camera with arrow keys
+        const camera = this.game.camera;
+        if (input.isKeyDown('ArrowLeft')) camera.x -= this.panSpeed * dt;
+        if (input.isKeyDown('ArrowRight')) camera.x += this.panSpeed * dt;
+        if (input.isKeyDown('ArrowUp')) camera.y -= this.panSpeed * dt;
+        if (input.isKeyDown('ArrowDown')) camera.y += this.panSpeed * dt;
+        camera.clampToBounds();
+        
+        this.handleMouse(input);
+        
+        if (this.messageTime > 0) {
+            this.messageTime -= dt;
+        }
+    }
+    
+    /**
+     * Paint, place, erase and drag with the mouse
+     */
+    handleMouse(input) {
+        const mouse = input.mouse;
+        const map = this.level.tilemap;
+        const ts = map.tileSize;
+        const world = this.game.camera.screenToWorld(mouse.x, mouse.y);
+        
+        const col = Math.floor(world.x / ts);
+        const row = Math.floor(world.y / ts);
+        const inBounds = mouse.overCanvas && col >= 0 && col < map.width && row >= 0 && row < map.height;
+        
+        this.hoverCol = inBounds ? col : -1;
+        this.hoverRow = inBounds ? row : -1;
+        
+        // Finish dragging the spawn (even if released off the map)
+        if (this.isDraggingSpawn) {
+            if (inBounds) {
+                this.level.playerSpawn = { x: col * ts, y: (row + 1) * ts - 64 };
+            }
+            if (!mouse.buttons[0]) {
+                this.isDraggingSpawn = false;
+            }
+            return;
+        }
+        if (this.isDraggingPen) {
+            if (inBounds) {
+                this.movePen(col, row);
+            }
+            if (!mouse.buttons[0]) {
+                this.isDraggingPen = false;
+            }
+            return;
+        }
+        
+        if (!inBounds) return;
+        
+        // Right button erases objects first, then tiles
+        if (mouse.buttons[2]) {
+            if (!this.removeObjectAt(world.x, world.y)) {
+                this.setTile(col, row, 0);
+            }
+            return;
+        }
+        
+        if (!mouse.buttons[0]) return;
+        
+        // Grab the spawn marker with any tool
+        const spawn = this.level.playerSpawn;
+        if (mouse.buttonsPressed[0] &&
+            world.x >= spawn.x && world.x < spawn.x + 48 &&
+            world.y >= spawn.y && world.y < spawn.y + 64) {
+            this.isDraggingSpawn = true;
+            return;
+        }
+        
+        // ...or the pen
+        const pen = this.level.pen;
+        if (mouse.buttonsPressed[0] &&
+            world.x >= pen.x && world.x < pen.x + pen.width &&
+            world.y >= pen.y && world.y < pen.y + pen.height) {
+            this.isDraggingPen = true;
+            return;
+        }
+        
+        switch (this.tool.kind) {
+            case 'tile':
+                this.setTile(col, row, this.tool.tile);
+                break;
+            case 'object':
+                if (mouse.buttonsPressed[0]) {
+                    this.placeObject(this.tool.object, col, row);
+                }
+                break;
+            case 'spawn':
+                this.level.playerSpawn = { x: col * ts, y: (row + 1) * ts - 64 };
+                this.isDraggingSpawn = true;
+                break;
+            case 'pen':
+                this.movePen(col, row);
+                this.isDraggingPen = true;
+                break;
+        }
+    }
+    
+    /**
+     * Move the pen so its left end stands on the bottom of a cell
+     */
+    movePen(col, row) {
+        const ts = this.level.tilemap.tileSize;
+        this.level.pen = { ...this.level.pen, x: col * ts, y: (row + 1) * ts - this.level.pen.height };
+    }
+    
+    /**
+     * Set a tile
+     */
+    setTile(col, row, tileId) {
+        const map = this.level.tilemap;
+        map.data[row * map.width + col] = tileId;
+    }
+    
+    /**
+     * Place an object so it stands on the bottom of the clicked cell
+     */
+    placeObject(name, col, row) {
+        const def = OBJECT_TOOLS[name];
+        const ts = this.level.tilemap.tileSize;
+        const x = col * ts;
+        
+        switch (def.list) {
+            case 'sheep':
+                this.level.sheep.push({ x, y: (row + 1) * ts - def.height });
+                break;
+            case 'enemies':
+                this.level.enemies.push({ type: def.type, x, y: (row + 1) * ts - def.height, patrolRange: 150 });
+                break;
+            case 'collectibles':
+                this.level.collectibles.push({ x: x + 4, y: row * ts + 4, type: def.type });
+                break;
+            case 'platforms':
+                // Top at the top of the clicked cell, like a platform tile
+                this.level.platforms.push({
+                    type: def.type,
+                    x,
+                    y: row * ts,
+                    width: def.width,
+                    path: def.type === 'moving' ? [{ x: x + 4 * ts, y: row * ts }] : []
+                });
+                break;
+        }
+        
+        this.rebuildPreviews();
+    }
+    
+    /**
+     * Remove the topmost object under a world position
+     * @returns {boolean} true if something was removed
+     */
+    removeObjectAt(x, y) {
+        for (const list of ['collectibles', 'enemies', 'sheep', 'platforms']) {
+            const items = this.level[list];
+            for (let i = items.length - 1; i >= 0; i--) {
+                const size = this.getObjectSize(list, items[i]);
+                if (x >= items[i].x && x < items[i].x + size.width &&
+                    y >= items[i].y && y < items[i].y + size.height) {
+                    items.splice(i, 1);
+                    this.rebuildPreviews();
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Get the editor footprint of a placed object
+     */
+    getObjectSize(list, obj) {
+        if (list === 'sheep') return OBJECT_TOOLS.sheep;
+        if (list === 'platforms') return { width: obj.width, height: 16 };
+        return OBJECT_TOOLS[obj.type] || { width: 32, height: 32 };
+    }
+    
+    /**
+     * Rebuild preview entities after objects change
+     */
+    rebuildPreviews() {
+        this.previews = [
+            ...this.level.sheep.map(s => new Sheep(s.x, s.y, this.game.assets)),
+            ...this.level.enemies.map(e => enemies.create(e, this.game.assets)),
+            ...this.level.collectibles.map(c => new Collectible(c.x, c.y, c.type)),
+            ...this.level.platforms.map(p => p.type === 'crumbling'
+                ? new CrumblingPlatform(p.x, p.y, p)
+                : new MovingPlatform(p.x, p.y, p))
+        ];
+    }
+    
+    /**
+     * Validate the level and hand it to GameScene
+     */
+    playTest() {
+        const level = this.validateLevel();
+        if (!level) return;
+        
+        this.saveLocal(false);
+        this.game.scenes.switchTo('game', { customLevel: level });
+    }
+    
+    /**
+     * Round-trip the level through the file format to validate it
+     * @returns {Object|null} a fresh runtime level, or null if invalid
+     */
+    validateLevel() {
+        try {
+            return this.levelLoader.parseLevel(this.levelLoader.toJSON(this.level), this.level.name);
+        } catch (error) {
+            this.showMessage(error.errors ? error.errors[0] : error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Save the level to localStorage
+     */
+    saveLocal(announce = true) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.levelLoader.toJSON(this.level)));
+            if (announce) this.showMessage('Saved to this browser');
+            return true;
+        } catch (e) {
+            this.showMessage('Failed to save level');
+            return false;
+        }
+    }
+    
+    /**
+     * Load the level saved in localStorage
+     * @returns {boolean} true if a saved level was loaded
+     */
+    loadLocal() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                this.showMessage('No saved level');
+                return false;
+            }
+            this.setLevel(this.levelLoader.parseLevel(JSON.parse(saved), 'saved level'));
+            this.showMessage('Loaded saved level');
+            return true;
+        } catch (error) {
+            this.showMessage(error.errors ? error.errors[0] : 'Failed to load saved level');
+            return false;
+        }
+    }
+    
+    /**
+     * Export the level as a level file
+     * @returns {{ filename: string, text: string }}
+     */
+    exportLevel() {
+        const slug = this.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+        return {
+            filename: `${slug}.json`,
+            text: this.levelLoader.stringify(this.levelLoader.toJSON(this.level))
+        };
+    }
+    
+    /**
+     * Import a level file (native JSON or Tiled .tmj)
+     */
+    importLevel(text, filename = 'imported level') {
+        try {
+            this.setLevel(this.levelLoader.parseLevel(JSON.parse(text), filename));
+            this.showMessage(`Imported ${filename}`);
+        } catch (error) {
+            this.showMessage(error.errors ? error.errors[0] : `Failed to import ${filename}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show a status message
+     */
+    showMessage(message) {
+        this.message = message;
+        this.messageTime = 4;
+        console.log(`🛠️ ${message}`);
+    }
+    
+    /**
+     * Keep camera bounds in sync with the tilemap size
+     */
+    updateCameraBounds() {
+        if (!this.level) return;
+        const map = this.level.tilemap;
+        this.game.camera.setWorldBounds(map.width * map.tileSize, map.height * map.tileSize);
+        this.game.camera.clampToBounds();
+    }
+    
+    /**
+     * Reflect the current tool and level settings in the toolbar
+     */
+    syncToolbar() {
+        const toolbar = document.getElementById('editor-toolbar');
+        if (!toolbar || !this.level) return;
+        
+        toolbar.querySelectorAll('[data-tool]').forEach(btn => {
+            const active = btn.dataset.tool === this.tool.kind &&
+                (this.tool.kind !== 'tile' || parseInt(btn.dataset.tile) === this.tool.tile) &&
+                (this.tool.kind !== 'object' || btn.dataset.object === this.tool.object);
+            btn.classList.toggle('active', active);
+        });
+        
+        document.getElementById('editor-name').value = this.level.name;
+        document.getElementById('editor-width').value = this.level.tilemap.width;
+        document.getElementById('editor-height').value = this.level.tilemap.height;
+    }
+    
+    /**
+     * Render scene
+     */
+    render(ctx, camera) {
+        if (!this.level) return;
+        
+        const map = this.level.tilemap;
+        const ts = map.tileSize;
+        const worldWidth = map.width * ts;
+        const worldHeight = map.height * ts;
+        
+        // Background
+        ctx.fillStyle = '#B0E0E6';
+        ctx.fillRect(0, 0, worldWidth, worldHeight);
+        
+        // Tiles (autotiled as they're painted)
+        const tileset = (this.level.tileset && this.game.assets?.getTileset(this.level.tileset)) || null;
+        this.game.renderer.renderTilemap(ctx, map, tileset, camera);
+        
+        // Grid
+        this.renderGrid(ctx, camera, map);
+        
+        // Objects
+        this.renderPlatformPaths(ctx);
+        this.renderPen(ctx);
+        this.previews.forEach(entity => entity.render(ctx, 1));
+        this.renderSpawn(ctx);
+        
+        // Hover cursor
+        if (this.hoverCol >= 0) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.hoverCol * ts, this.hoverRow * ts, ts, ts);
+        }
+        
+        this.renderStatus(ctx, camera);
+    }
+    
+    /**
+     * Render tile grid over the visible area
+     */
+    renderGrid(ctx, camera, map) {
+        const ts = map.tileSize;
+        const startCol = Math.max(0, Math.floor(camera.x / ts));
+        const endCol = Math.min(map.width, Math.ceil((camera.x + this.game.width) / ts));
+        const startRow = Math.max(0, Math.floor(camera.y / ts));
+        const endRow = Math.min(map.height, Math.ceil((camera.y + this.game.height) / ts));
+        
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let col = startCol; col <= endCol; col++) {
+            ctx.moveTo(col * ts + 0.5, startRow * ts);
+            ctx.lineTo(col * ts + 0.5, endRow * ts);
+        }
+        for (let row = startRow; row <= endRow; row++) {
+            ctx.moveTo(startCol * ts, row * ts + 0.5);
+            ctx.lineTo(endCol * ts, row * ts + 0.5);
+        }
+        ctx.stroke();
+    }
+    
+    /**
+     * Render moving platforms' paths (dashed, back to where they start)
+     */
+    renderPlatformPaths(ctx) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        
+        this.level.platforms.forEach(platform => {
+            if (platform.path.length === 0) return;
+            
+            const points = [{ x: platform.x, y: platform.y }, ...platform.path];
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const x = point.x + platform.width / 2;
+                const y = point.y + 8;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.stroke();
+            
+            // Ghost of the platform at each waypoint
+            platform.path.forEach(point => ctx.strokeRect(point.x, point.y, platform.width, 16));
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the player spawn marker
+     */
+    renderSpawn(ctx) {
+        const spawn = this.level.playerSpawn;
+        
+        ctx.save();
+        ctx.fillStyle = this.isDraggingSpawn ? 'rgba(255, 215, 0, 0.6)' : 'rgba(139, 69, 19, 0.5)';
+        ctx.fillRect(spawn.x, spawn.y, 48, 64);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(spawn.x, spawn.y, 48, 64);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('START', spawn.x + 24, spawn.y + 36);
+        ctx.restore();
+    }
+    
+    /**
+     * Render the sheep pen and the area sheep are delivered in
+     */
+    renderPen(ctx) {
+        const { x, y, width, height } = this.level.pen;
+        new Pen(x, y, width, height).render(ctx);
+        
+        ctx.save();
+        ctx.strokeStyle = this.isDraggingPen ? '#FFD700' : 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(x, y, width, height);
+        ctx.restore();
+    }
+    
+    /**
+     * Render status line (screen space)
+     */
+    renderStatus(ctx, camera) {
+        const x = camera.getX();
+        const y = camera.getY() + this.game.height - 28;
+        
+        let text = `Tool: ${this.describeTool()}`;
+        if (this.hoverCol >= 0) {
+            text += `   Tile: ${this.hoverCol}, ${this.hoverRow}`;
+        }
+        text += '   [T] play-test   [←↑→↓] pan   [right-click] erase';
+        if (this.messageTime > 0) {
+            text += `   —   ${this.message}`;
+        }
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, this.game.width, 28);
+        ctx.fillStyle = '#fff';
+        ctx.font = '13px monospace';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + 10, y + 14);
+        ctx.restore();
+    }
+    
+    /**
+     * Describe the active tool
+     */
+    describeTool() {
+        switch (this.tool.kind) {
+            case 'tile':
+                return this.tool.tile === 0 ? 'erase tiles' : `tile ${this.tool.tile}`;
+            case 'object':
+                return this.tool.object;
+            case 'spawn':
+                return 'player spawn';
+            case 'pen':
+                return 'sheep pen';
+        }
+        return '';
+    }
+}
@@ -6,9 +6,38 @@
 
 import { Player } from '../entities/Player.js';
 import { Sheep } from '../entities/Sheep.js';
+import { Flock } from '../entities/Flock.js';
+import { Pen } from '../entities/Pen.js';
 import { Collectible } from '../entities/Collectible.js';
-import { Wolf, Boar } from '../entities/Enemy.js';
+import { enemies } from '../entities/Enemy.js';
+import { Perception } from '../entities/Perception.js';
+import { MovingPlatform, CrumblingPlatform } from '../entities/MovingPlatform.js';
+import { Ghost } from '../entities/Ghost.js';
+import { Splash } from '../entities/Splash.js';
 import { LevelLoader } from '../levels/LevelLoader.js';
+import { LevelGenerator } from '../levels/LevelGenerator.js';
+import { NavGraph } from '../levels/NavGraph.js';
+import { Random, random } from '../engine/Random.js';
+import { InputRecorder, InputPlayback } from '../engine/Replay.js';
+
+// Record the player's position for the ghost every this many physics steps
+const GHOST_SAMPLE_STEPS = 2;
+
+// Entities crossing the water surface faster than this splash (pixels per second)
+const SPLASH_SPEED = 150;
+
+// Sheep panic when a hunting wolf comes this close (pixels)
+const SHEEP_PANIC_RANGE = 160;
+
+// Landing on an enemy stomps it if the player's feet were no lower than this
+// below its top a step before (pixels)
+const STOMP_MARGIN = 12;
+
+// Speed the crook sends an enemy off at (pixels per second)
+const CROOK_KNOCKBACK = 400;
+
+// The action freezes this long (seconds) when a blow lands
+const HIT_PAUSE = 0.08;
 
 export class GameScene {
     constructor(game) {
@@ -19,36 +48,102 @@ export class GameScene {
         this.player = null;
         this.entities = [];
         this.sheep = [];
+        this.flock = null; // Leads rescued sheep along the player's trail
+        this.pen = null; // Where the flock is brought to complete the level
         this.enemies = [];
+        this.navGraphs = null; // Enemy navigation graphs by movement limits (see NavGraph.js)
+        this.perception = null; // What enemies can see and hear of the player
         this.collectibles = [];
+        this.platforms = []; // Moving/crumbling platforms (not in entities: they move themselves)
+        this.splashes = []; // Splash effects (only for show)
         
         // Level
         this.levelLoader = new LevelLoader();
         this.currentLevel = null;
+        this.levelName = '';
         this.tilemap = null;
+        this.tileset = null;
+        this.tileTime = 0; // Clock for animated tiles (stops while paused)
+        
+        // Play-testing a level from the editor
+        this.isPlayTest = false;
+        this.returnToEditorPending = false;
+        
+        // Endless Pasture: { seed, difficulty, number } of the generated level being played
+        this.pasture = null;
+        
+        // Replays: the seed of this attempt, and its input being recorded or played back
+        this.seed = 0;
+        this.recorder = null;
+        this.playback = null;
+        
+        // Abilities the player has in this attempt (see Abilities.js)
+        this.abilities = [];
+        
+        // Energy last shown on the HUD (whole points)
+        this.hudEnergy = null;
+        
+        // Race timer, this run's position trace and the best run's ghost
+        this.levelTime = 0;
+        this.stepCount = 0;
+        this.trace = null;
+        this.ghost = null;
         
         // Parallax backgrounds
         this.backgrounds = [];
         
-        // Game state
-        this.sheepRescued = 0;
+        // Game state: sheep found (at least once), and brought into the pen
+        this.sheepFound = 0;
+        this.sheepDelivered = 0;
         this.totalSheep = 0;
         this.collectiblesGathered = 0;
         this.goldenWoolFound = 0;
         
-        // Solid tile IDs
-        this.solidTiles = [1, 2, 3, 4, 5, 7]; // Added 7 for rock barriers
+        // How the current attempt ended: null while playing, 'complete' or 'game-over'
+        this.outcome = null;
+        
+        // Hit-pause: seconds the action stays frozen after a blow lands
+        this.hitPauseTime = 0;
     }
     
     /**
      * Enter scene
      */
     async enter(data = {}) {
-        const levelNum = data.level || 1;
-        console.log(`🎮 Entering level ${levelNum}`);
+        // Levels handed over by the editor are played without saving progress
+        this.isPlayTest = !!data.customLevel;
+        this.returnToEditorPending = false;
+        
+        // Endless Pasture levels are generated from a seed, and don't save progress either
+        this.pasture = data.endless || null;
+        
+        // Replays restart their level with the recorded seed and feed back the recorded input
+        this.playback = data.replay ? new InputPlayback(data.replay) : null;
+        this.seed = data.replay ? data.replay.seed : (data.seed ?? Random.createSeed());
+        random.setSeed(this.seed);
+        this.abilities = data.replay ? data.replay.abilities : this.game.state.getUnlockedAbilities();
+        
+        // Scripts (see SimulationHarness) can hand over a parsed level without play-testing it
+        let levelData = data.customLevel || data.levelData || null;
+        let levelNum = levelData || this.pasture ? null : (data.level || 1);
+        if (this.playback) {
+            levelNum = data.replay.level;
+            console.log(`🎞️ Playing replay of level ${levelNum} (${this.playback.frames} frames, seed ${this.seed})`);
+        } else if (this.pasture) {
+            const { seed, difficulty, number } = this.pasture;
+            console.log(`🎲 Entering Endless Pasture #${number} (seed ${seed}, difficulty ${difficulty.toFixed(1)})`);
+            levelData = new LevelGenerator(seed, difficulty).generate(`Endless Pasture #${number}`);
+        } else if (this.isPlayTest) {
+            console.log('🎮 Play-testing edited level');
+        } else {
+            console.log(levelNum ? `🎮 Entering level ${levelNum}` : `🎮 Entering ${levelData.name}`);
+        }
         
         // Load level
-        await this.loadLevel(levelNum);
+        await this.loadLevel(levelNum, levelData);
+        
+        // Record live attempts at level files so they can be replayed
+        this.recorder = this.playback || !levelNum ? null : new InputRecorder(this.game.input);
         
         // Setup camera
         this.game.camera.setWorldBounds(
@@ -68,20 +163,34 @@ export class GameScene {
         // Clean up
         this.entities = [];
         this.sheep = [];
+        this.flock = null;
+        this.pen = null;
         this.enemies = [];
+        this.navGraphs = null;
+        this.perception = null;
         this.collectibles = [];
+        this.platforms = [];
+        this.splashes = [];
         this.player = null;
+        this.ghost = null;
+        this.recorder = null;
+        this.playback = null;
     }
     
     /**
      * Load a level
+     * @param {number} levelNum - Level number to load from the level files
+     * @param {Object} levelData - Optional runtime level object to use instead (e.g. from the editor)
      */
-    async loadLevel(levelNum) {
+    async loadLevel(levelNum, levelData = null) {
         this.currentLevel = levelNum;
-        const levelData = this.levelLoader.getLevel(levelNum);
+        levelData = levelData || await this.levelLoader.getLevel(levelNum);
+        this.levelName = levelData.name;
         
-        // Create tilemap
+        // Create tilemap, drawn with the level's tileset if it's loaded
         this.tilemap = levelData.tilemap;
+        this.tileset = (levelData.tileset && this.game.assets?.getTileset(levelData.tileset)) || null;
+        this.tileTime = 0;
         
         // Store player spawn position for respawning
         this.playerSpawn = levelData.playerSpawn;
@@ -94,37 +203,51 @@ export class GameScene {
         
         // Spawn player with assets reference
         this.player = new Player(levelData.playerSpawn.x, levelData.playerSpawn.y, this.game.assets);
+        this.player.setAbilities(this.abilities);
         this.entities.push(this.player);
         
-        // Spawn sheep
+        // Race against the best completed run (not an entity: it doesn't collide)
+        const ghostTrace = levelNum ? this.game.state.getGhost(levelNum) : null;
+        this.ghost = ghostTrace ? new Ghost(ghostTrace, this.player) : null;
+        
+        // Spawn sheep, to be led along the player's trail once rescued and into the pen
+        this.flock = new Flock(this.player, this.game.physics);
+        this.pen = new Pen(levelData.pen.x, levelData.pen.y, levelData.pen.width, levelData.pen.height);
         this.sheep = [];
         this.totalSheep = levelData.sheep.length;
         levelData.sheep.forEach(pos => {
-            const sheep = new Sheep(pos.x, pos.y);
+            const sheep = new Sheep(pos.x, pos.y, this.game.assets);
             this.sheep.push(sheep);
             this.entities.push(sheep);
         });
         
-        // Spawn enemies
+        // Spawn enemies, each with its species' stats and the level's overrides
         this.enemies = [];
-        if (levelData.enemies) {
-            levelData.enemies.forEach(enemy => {
-                let e;
-                switch (enemy.type) {
-                    case 'wolf':
-                        e = new Wolf(enemy.x, enemy.y);
-                        break;
-                    case 'boar':
-                        e = new Boar(enemy.x, enemy.y);
-                        break;
-                }
-                if (e) {
-                    if (enemy.patrolRange) e.patrolRange = enemy.patrolRange;
-                    this.enemies.push(e);
-                    this.entities.push(e);
-                }
-            });
-        }
+        (levelData.enemies || []).forEach(entry => {
+            const enemy = enemies.create(entry, this.game.assets);
+            this.enemies.push(enemy);
+            this.entities.push(enemy);
+        });
+        
+        // Navigation graphs for enemies to path across platforms, one for each set of movement limits
+        // (flyers go straight for their target)
+        this.navGraphs = new Map();
+        this.enemies.filter(enemy => !enemy.isFlying).forEach(enemy => {
+            const limits = enemy.getMovementLimits();
+            const key = NavGraph.keyFor(limits);
+            if (!this.navGraphs.has(key)) {
+                const graph = new NavGraph(this.tilemap, limits, this.game.physics);
+                graph.build();
+                this.navGraphs.set(key, graph);
+            }
+            enemy.nav = this.navGraphs.get(key);
+        });
+        
+        // Enemies see less of the player the darker the level is
+        this.perception = new Perception(this.tilemap, this.game.physics, Perception.darknessFor(levelData.background?.timeOfDay));
+        this.enemies.forEach(enemy => {
+            enemy.senses = this.perception;
+        });
         
         // Spawn collectibles
         this.collectibles = [];
@@ -136,10 +259,25 @@ export class GameScene {
             });
         }
         
+        // Spawn moving and crumbling platforms
+        this.platforms = (levelData.platforms || []).map(platform => platform.type === 'crumbling'
+            ? new CrumblingPlatform(platform.x, platform.y, platform)
+            : new MovingPlatform(platform.x, platform.y, platform));
+        this.splashes = [];
+        
         // Reset stats
-        this.sheepRescued = 0;
+        this.sheepFound = 0;
+        this.sheepDelivered = 0;
         this.collectiblesGathered = 0;
         this.goldenWoolFound = 0;
+        this.outcome = null;
+        this.hitPauseTime = 0;
+        this.levelTime = 0;
+        this.stepCount = 0;
+        this.trace = {
+            interval: GHOST_SAMPLE_STEPS * this.game.fixedTimeStep / 1000,
+            samples: [Ghost.sample(this.player)]
+        };
     }
     
     /**
@@ -158,23 +296,34 @@ export class GameScene {
      * Fixed update (physics)
      */
     fixedUpdate(dt) {
-        if (!this.player) return;
+        // Nothing moves once the attempt has ended
+        if (!this.player || this.returnToEditorPending || this.outcome) return;
+        
+        // Hold everything still for a moment when a blow lands
+        if (this.hitPauseTime > 0) {
+            this.hitPauseTime -= dt;
+            return;
+        }
         
         // Handle player input
-        this.player.handleInput(this.game.input, dt);
+        this.player.handleInput(this.getPlayerInput(), dt);
+        
+        // Crouching in cover hides the player from enemies
+        this.player.isHidden = this.perception.isHidden(this.player);
         
         // Update enemy behavior BEFORE position updates (so velocityX is set)
         this.enemies.forEach(enemy => {
-            enemy.updateWithPlayer(dt, this.player);
+            enemy.updateWithPlayer(dt, this.player, this.sheep);
         });
         
-        // Apply gravity to all entities (except non-rescued sheep)
+        // Move platforms, carrying whatever stands on them
+        this.updatePlatforms(dt);
+        
+        // Apply gravity to all entities (except non-rescued sheep and flyers)
         this.entities.forEach(entity => {
-            if (entity.type !== 'collectible') {
-                // Don't apply gravity to sheep that haven't been rescued yet
-                if (entity.type === 'sheep' && !entity.isRescued) {
-                    return;
-                }
+            // Don't apply gravity to sheep that haven't been rescued yet (or are being carried)
+            const floats = entity.type === 'collectible' || entity.isFlying || (entity.type === 'sheep' && !entity.isSimulated);
+            if (!floats) {
                 this.game.physics.applyGravity(entity, dt);
             }
             entity.fixedUpdate(dt);
@@ -183,7 +332,7 @@ export class GameScene {
         // Update positions
         this.entities.forEach(entity => {
             // Don't move sheep that haven't been rescued
-            if (entity.type === 'sheep' && !entity.isRescued) {
+            if (entity.type === 'sheep' && !entity.isSimulated) {
                 return;
             }
             this.game.physics.updatePosition(entity, dt);
@@ -192,19 +341,152 @@ export class GameScene {
         // Resolve tilemap collisions
         this.entities.forEach(entity => {
             if (entity.type === 'player' || entity.type === 'enemy') {
-                this.game.physics.resolveTilemapCollision(entity, this.tilemap, this.solidTiles);
+                this.game.physics.resolveTilemapCollision(entity, this.tilemap);
             }
-            // Only resolve collisions for rescued sheep
-            if (entity.type === 'sheep' && entity.isRescued) {
-                this.game.physics.resolveTilemapCollision(entity, this.tilemap, this.solidTiles);
+            // Only resolve collisions for rescued (or bolted) sheep
+            if (entity.type === 'sheep' && entity.isSimulated) {
+                this.game.physics.resolveTilemapCollision(entity, this.tilemap);
             }
         });
         
+        // Note who's in water (for buoyancy and breath next step)
+        this.updateSubmersion();
+        
+        // Land on platforms
+        this.resolvePlatformCollisions();
+        
+        // Catch and hold ledges
+        this.updateLedgeGrab();
+        
+        // Lead the flock, and pen the sheep that made it
+        this.updateFlock();
+        
+        // Carry off caught sheep, and panic the rest near a hunting wolf
+        this.updateHunts();
+        
         // Enforce world boundaries (prevent falling off edges)
         this.enforceWorldBoundaries();
         
+        // Knock back enemies the crook's swung at
+        this.updateCrook();
+        
         // Check entity collisions
         this.checkCollisions();
+        
+        // Check for nearby interactables
+        this.checkInteractables();
+        
+        // Work out what the shepherd's doing now everything has moved (on the
+        // fixed step, so ghost traces don't depend on the frame rate)
+        this.player.updateState();
+        
+        // Advance the race timer and ghost
+        this.updateRace(dt);
+        
+        // Check win/lose conditions
+        this.checkGameState();
+    }
+    
+    /**
+     * Move platforms along their paths and carry their riders with them, before
+     * anything else moves (so riders walk and jump relative to the platform)
+     */
+    updatePlatforms(dt) {
+        this.platforms.forEach(platform => {
+            platform.fixedUpdate(dt);
+            if (!platform.isSolid) return;
+            
+            platform.riders.forEach(rider => {
+                rider.x += platform.deltaX;
+                rider.y += platform.deltaY;
+            });
+        });
+    }
+    
+    /**
+     * Measure how deep the player, enemies and rescued sheep are in water,
+     * splashing where they fall in or jump out
+     */
+    updateSubmersion() {
+        this.entities.forEach(entity => {
+            if (entity.type === 'collectible' || (entity.type === 'sheep' && !entity.isSimulated)) return;
+            
+            const submersion = this.game.physics.getSubmersion(entity, this.tilemap);
+            const crossed = (submersion > 0) !== (entity.submersion > 0);
+            if (crossed && Math.abs(entity.velocityY) > SPLASH_SPEED) {
+                const bounds = entity.bounds;
+                const strength = Math.min(1.5, Math.abs(entity.velocityY) / this.game.physics.maxFallSpeed + 0.5);
+                this.splashes.push(new Splash(bounds.x + bounds.width / 2, bounds.y + bounds.height, strength));
+                if (entity === this.player) {
+                    this.game.audio.playSplash();
+                }
+            }
+            entity.submersion = submersion;
+        });
+    }
+    
+    /**
+     * Land the player, enemies and rescued sheep on platforms, and note who rides which
+     */
+    resolvePlatformCollisions() {
+        this.platforms.forEach(platform => {
+            platform.riders = [];
+        });
+        
+        this.entities.forEach(entity => {
+            if (entity.type === 'collectible' || (entity.type === 'sheep' && !entity.isSimulated)) return;
+            
+            const platform = this.game.physics.resolvePlatformCollision(entity, this.platforms);
+            if (platform) {
+                platform.riders.push(entity);
+            }
+        });
+    }
+    
+    /**
+     * Catch the ledge the player is falling just short of, and keep a hanging
+     * player's hands on their ledge while they shimmy along it
+     */
+    updateLedgeGrab() {
+        const player = this.player;
+        const physics = this.game.physics;
+        
+        if (!player.ledge) {
+            if (!player.canGrabLedge) return;
+            
+            const ledge = physics.findLedge(player, this.tilemap, player.facingRight ? 1 : -1, player.ledgeReach);
+            if (ledge) {
+                player.grabLedge(ledge);
+            }
+            return;
+        }
+        
+        if (player.isClimbing) return;
+        
+        // Shimmied to the end of the ledge: stay at the last handhold
+        const ledge = physics.findLedge(player, this.tilemap, player.ledge.dir, player.ledgeReach);
+        if (ledge && ledge.y === player.ledge.y) {
+            player.ledge = ledge;
+        } else {
+            player.x = player.prevX;
+            player.velocityX = 0;
+        }
+    }
+    
+    /**
+     * Advance the level timer, sample this run for the ghost and move the best run's ghost
+     */
+    updateRace(dt) {
+        this.stepCount++;
+        this.levelTime += dt;
+        
+        if (this.stepCount % GHOST_SAMPLE_STEPS === 0) {
+            this.trace.samples.push(Ghost.sample(this.player));
+        }
+        
+        if (this.ghost) {
+            this.ghost.seek(this.levelTime);
+        }
     }
     
     /**
@@ -214,17 +496,32 @@ export class GameScene {
         if (!this.player) return;
         
         // Update all entities (animations, etc)
+        // Gameplay checks run in fixedUpdate so replays reproduce them step for step
         this.entities.forEach(entity => {
             entity.update(dt);
         });
+        this.tileTime += dt;
         
-        // Check for nearby interactables
-        this.checkInteractables();
+        this.splashes.forEach(splash => splash.update(dt));
+        this.splashes = this.splashes.filter(splash => !splash.isFinished);
+        
+        this.game.hud.updateTimer(this.levelTime);
+        
+        // Energy changes step by step: refresh the HUD whenever the bar would move
+        if (Math.ceil(this.player.energy) !== this.hudEnergy) {
+            this.updateHUD();
+        }
+        
+        // Back to the editor
+        if (this.isPlayTest && (this.returnToEditorPending || this.game.input.isPressed('playtest'))) {
+            this.game.scenes.switchTo('editor');
+            return;
+        }
         
         // Handle pause
         if (this.game.input.isPressed('pause')) {
             this.game.pause();
-            document.getElementById('pause-menu').classList.add('active');
+            this.game.hud.showPause();
         }
         
         // Debug toggle
@@ -232,8 +529,201 @@ export class GameScene {
             this.game.toggleDebug();
         }
         
-        // Check win/lose conditions
-        this.checkGameState();
+        // Replay shortcuts (debug mode only)
+        if (this.game.debug) {
+            this.handleReplayKeys();
+        }
+    }
+    
+    /**
+     * Input the player reads this step: the replay being played back,
+     * otherwise live input (recorded when a recorder is running)
+     */
+    getPlayerInput() {
+        if (this.playback) return this.playback.next();
+        if (this.recorder) return this.recorder.sample();
+        return this.game.input;
+    }
+    
+    /**
+     * Debug shortcuts: save (and download) the attempt so far, or watch the saved replay
+     */
+    handleReplayKeys() {
+        const input = this.game.input;
+        
+        if (input.isPressed('replaySave') && this.recorder) {
+            const replay = this.saveReplay();
+            this.game.hud.downloadFile(`replay-level-${replay.level}-${replay.seed}.json`, JSON.stringify(replay));
+        }
+        
+        if (input.isPressed('replayPlay') && this.currentLevel) {
+            const replay = this.game.state.getReplay(this.currentLevel);
+            if (replay) {
+                this.game.scenes.switchTo('game', { replay });
+            } else {
+                console.log(`🎞️ No saved replay for level ${this.currentLevel}`);
+            }
+        }
+    }
+    
+    /**
+     * Save the recorded input of this attempt as the level's replay
+     */
+    saveReplay() {
+        const replay = this.recorder.toReplay(this.currentLevel, this.seed, this.abilities);
+        this.game.state.saveReplay(replay);
+        return replay;
+    }
+    
+    /**
+     * Replay status for the debug overlay
+     */
+    getReplayStatus() {
+        if (this.playback) {
+            const frame = Math.min(this.playback.frame, this.playback.frames);
+            return `PLAY ${frame}/${this.playback.frames} (seed ${this.seed})`;
+        }
+        if (this.recorder) {
+            return `REC ${this.recorder.frames} (seed ${this.seed})`;
+        }
+        return null;
+    }
+    
+    /**
+     * Leave a breadcrumb for the flock, then take in the sheep that reached the
+     * pen and let go of the ones that strayed or fell out of the world
+     */
+    updateFlock() {
+        this.flock.update();
+        
+        const worldHeight = this.tilemap.height * this.tilemap.tileSize;
+        
+        this.flock.sheep.filter(sheep => this.pen.contains(sheep)).forEach(sheep => {
+            this.releaseSheep(sheep);
+            sheep.deliver(this.pen.admit());
+            this.sheepDelivered++;
+            this.game.audio.playRescue();
+            this.game.hud.showSheepDelivered();
+        });
+        
+        this.flock.getStrays().forEach(sheep => {
+            this.releaseSheep(sheep);
+            sheep.stray();
+        });
+        
+        // Sheep that fell out of the world (following or not) are lost for good
+        this.sheep.forEach(sheep => {
+            if (sheep.isSimulated && !sheep.isLost && sheep.y > worldHeight) {
+                this.loseSheep(sheep);
+            }
+        });
+    }
+    
+    /**
+     * Carry caught sheep along with the hunters that caught them (lost once
+     * one gets away with it), and panic sheep near a hunter that's on the hunt
+     */
+    updateHunts() {
+        const hunters = this.enemies.filter(enemy => enemy.huntsSheep);
+        
+        hunters.filter(enemy => enemy.prey).forEach(enemy => {
+            const sheep = enemy.prey;
+            if (sheep.flock) this.releaseSheep(sheep);
+            
+            if (enemy.hasEscaped) {
+                enemy.dropPrey();
+                this.loseSheep(sheep);
+                return;
+            }
+            
+            const carried = enemy.getCarryPosition(sheep);
+            sheep.x = carried.x;
+            sheep.y = carried.y;
+            sheep.facingRight = enemy.facingRight;
+        });
+        
+        // Sheep safe in the pen don't mind wolves
+        this.sheep.forEach(sheep => {
+            sheep.threat = sheep.isDelivered || sheep.carrier ? null : hunters.find(enemy => {
+                return enemy.isAlerted && !enemy.prey &&
+                    sheep.distanceTo(enemy) < SHEEP_PANIC_RANGE &&
+                    Math.abs(sheep.y - enemy.y) < 64;
+            }) || null;
+        });
+    }
+    
+    /**
+     * Take a sheep out of the flock following the player
+     */
+    releaseSheep(sheep) {
+        this.flock.remove(sheep);
+        this.player.rescuedSheep = this.player.rescuedSheep.filter(s => s !== sheep);
+        this.updateHUD();
+    }
+    
+    /**
+     * A sheep is gone for the rest of the run (fell out of the world, or a wolf got away with it)
+     */
+    loseSheep(sheep) {
+        if (sheep.flock) this.releaseSheep(sheep);
+        sheep.isLost = true;
+        sheep.isActive = false;
+        this.entities = this.entities.filter(entity => entity !== sheep);
+        this.game.hud.showSheepLost();
+        this.updateHUD();
+    }
+    
+    /**
+     * Is the player coming down on top of an enemy they're touching (and
+     * one that isn't already out cold)?
+     */
+    isStomping(enemy) {
+        if (enemy.state === 'stunned' || this.player.y <= this.player.prevY) return false;
+        
+        const player = this.player;
+        const feet = player.prevY + player.hitboxOffsetY + player.hitboxHeight;
+        return feet <= enemy.prevY + enemy.hitboxOffsetY + STOMP_MARGIN;
+    }
+    
+    /**
+     * Knock back every enemy the crook sweeps through (each once a swing)
+     */
+    updateCrook() {
+        const player = this.player;
+        if (!player.isSwinging) return;
+        
+        const reach = player.crookBounds;
+        this.enemies.forEach(enemy => {
+            if (player.crookHits.has(enemy) || !enemy.overlaps(reach)) return;
+            
+            player.crookHits.add(enemy);
+            this.hitEnemy(enemy);
+            enemy.knockBack(player, CROOK_KNOCKBACK);
+            this.game.audio.playHit();
+        });
+    }
+    
+    /**
+     * A blow lands on an enemy: it lets go of any sheep it's carrying, and
+     * the action freezes for a moment with a jolt of the camera
+     */
+    hitEnemy(enemy) {
+        if (enemy.prey) {
+            this.freePrey(enemy);
+        }
+        this.hitPauseTime = HIT_PAUSE;
+        this.game.camera.shake(4, 0.15);
+    }
+    
+    /**
+     * Make a hunter drop the sheep it's carrying off: the sheep runs loose
+     * until the player finds it again
+     */
+    freePrey(enemy) {
+        const sheep = enemy.dropPrey();
+        sheep.hasBolted = true;
+        if (sheep.isRescued) sheep.stray();
+        this.game.audio.playRescue();
     }
     
     /**
@@ -244,21 +734,13 @@ export class GameScene {
         this.sheep.forEach(sheep => {
             const distance = this.player.distanceTo(sheep);
             
-            if (!sheep.isRescued && distance < 60) {
+            if (sheep.needsRescue && distance < 60) {
                 sheep.showInteractionHint = true;
                 this.player.nearbyInteractable = sheep;
                 this.player.canInteract = true;
             } else {
                 sheep.showInteractionHint = false;
             }
-            
-            // Prevent rescued sheep from overlapping with player
-            if (sheep.isRescued && this.player.collidesWith(sheep)) {
-                // Push sheep away from player
-                const dx = sheep.centerX - this.player.centerX;
-                const pushDir = dx >= 0 ? 1 : -1;
-                sheep.x += pushDir * 5; // Gentle push
-            }
         });
         
         // Player vs Collectibles
@@ -276,8 +758,25 @@ export class GameScene {
         
         // Player vs Enemies
         this.enemies.forEach(enemy => {
-            if (this.player.collidesWith(enemy) && !this.player.isInvulnerable) {
-                this.player.takeDamage(1, enemy); // 1 heart damage, pass enemy for knockback
+            if (!this.player.collidesWith(enemy)) return;
+            
+            // Landing on an enemy stomps it, bouncing the player off
+            if (this.isStomping(enemy)) {
+                this.hitEnemy(enemy);
+                enemy.stomp(this.player);
+                this.player.bounce();
+                this.game.audio.playStomp();
+                return;
+            }
+            
+            // Catching up with a wolf carrying a sheep off makes it drop the sheep
+            if (enemy.prey) {
+                this.freePrey(enemy);
+                return;
+            }
+            
+            if (enemy.canHurt && !this.player.isInvulnerable) {
+                this.player.takeDamage(enemy.damage, enemy); // Pass enemy for knockback
                 this.game.audio.playHurt();
                 this.game.camera.shake(8, 0.3);
                 this.updateHUD();
@@ -289,8 +788,8 @@ export class GameScene {
             }
         });
         
-        // Check water hazards (tile 6 = water)
-        this.checkWaterHazard();
+        // Check hazard tiles and drowning
+        this.checkTileHazards();
     }
     
     /**
@@ -332,7 +831,7 @@ export class GameScene {
         
         // Enemies and sheep boundaries
         this.entities.forEach(entity => {
-            if (entity.type === 'enemy' || (entity.type === 'sheep' && entity.isRescued)) {
+            if (entity.type === 'enemy' || (entity.type === 'sheep' && entity.isSimulated)) {
                 // Left edge
                 if (entity.x < margin) {
                     entity.x = margin;
@@ -348,52 +847,73 @@ export class GameScene {
     }
     
     /**
-     * Check if player or sheep fell in water
+     * Change a tile during play (enemies' navigation graphs are rebuilt to match)
      */
-    checkWaterHazard() {
+    setTile(col, row, tileId) {
+        const map = this.tilemap;
+        map.data[row * map.width + col] = tileId;
+        this.navGraphs.forEach(graph => graph.invalidate());
+    }
+    
+    /**
+     * Get the properties of the tile at an entity's feet (see TileRegistry)
+     */
+    getTileAtFeet(entity) {
+        const tileTypes = this.game.physics.tiles;
         const tileSize = this.tilemap.tileSize;
+        const col = Math.floor(entity.centerX / tileSize);
+        const row = Math.floor((entity.y + entity.height) / tileSize);
         
+        if (row < 0 || row >= this.tilemap.height || col < 0 || col >= this.tilemap.width) {
+            return tileTypes.get(0);
+        }
+        return tileTypes.get(this.tilemap.data[row * this.tilemap.width + col]);
+    }
+    
+    /**
+     * Check if player or sheep fell into a hazard tile, and if the player ran
+     * out of breath under water
+     */
+    checkTileHazards() {
         // Check player
-        const playerTileX = Math.floor(this.player.centerX / tileSize);
-        const playerTileY = Math.floor((this.player.y + this.player.height) / tileSize);
-        
-        if (playerTileY >= 0 && playerTileY < this.tilemap.height && 
-            playerTileX >= 0 && playerTileX < this.tilemap.width) {
-            const tileId = this.tilemap.data[playerTileY * this.tilemap.width + playerTileX];
-            if (tileId === 6) { // Water tile
-                // Player fell in water - take damage and respawn at last safe position
-                if (!this.player.isInvulnerable) {
-                    this.player.takeDamage(1);
-                    this.player.velocityY = -400; // Bounce out
-                    this.player.velocityX = this.player.facingRight ? -200 : 200; // Push back
-                    this.game.audio.playHurt();
-                    this.game.camera.shake(10, 0.3);
-                    this.updateHUD();
-                    
-                    if (this.player.health <= 0) {
-                        this.gameOver();
-                    }
+        const playerTile = this.getTileAtFeet(this.player);
+        if (playerTile.hazard) {
+            // Player fell in - take damage and get bounced back out
+            if (!this.player.isInvulnerable) {
+                this.player.takeDamage(playerTile.damage);
+                this.player.velocityY = -400; // Bounce out
+                this.player.velocityX = this.player.facingRight ? -200 : 200; // Push back
+                this.game.audio.playHurt();
+                this.game.camera.shake(10, 0.3);
+                this.updateHUD();
+                
+                if (this.player.health <= 0) {
+                    this.gameOver();
                 }
             }
         }
         
-        // Check rescued sheep
+        // Check rescued (and bolted) sheep
         this.sheep.forEach(sheep => {
-            if (!sheep.isRescued) return;
-            
-            const sheepTileX = Math.floor(sheep.centerX / tileSize);
-            const sheepTileY = Math.floor((sheep.y + sheep.height) / tileSize);
+            if (!sheep.isSimulated) return;
             
-            if (sheepTileY >= 0 && sheepTileY < this.tilemap.height && 
-                sheepTileX >= 0 && sheepTileX < this.tilemap.width) {
-                const tileId = this.tilemap.data[sheepTileY * this.tilemap.width + sheepTileX];
-                if (tileId === 6) { // Water tile
-                    // Sheep fell in water - bounce it out
-                    sheep.velocityY = -350;
-                    sheep.velocityX = sheep.facingRight ? -150 : 150;
-                }
+            if (this.getTileAtFeet(sheep).hazard) {
+                // Sheep fell in - bounce it out
+                sheep.velocityY = -350;
+                sheep.velocityX = sheep.facingRight ? -150 : 150;
             }
         });
+        
+        // Out of breath: a heart at a time until the player comes up for air
+        if (this.player.breath <= 0 && !this.player.isInvulnerable) {
+            this.player.takeDamage(1);
+            this.game.audio.playHurt();
+            this.updateHUD();
+            
+            if (this.player.health <= 0) {
+                this.gameOver();
+            }
+        }
     }
     
     /**
@@ -403,7 +923,7 @@ export class GameScene {
         let foundInteractable = false;
         
         this.sheep.forEach(sheep => {
-            if (!sheep.isRescued && this.player.distanceTo(sheep) < 60) {
+            if (sheep.needsRescue && this.player.distanceTo(sheep) < 60) {
                 sheep.showInteractionHint = true;
                 this.player.nearbyInteractable = sheep;
                 foundInteractable = true;
@@ -416,10 +936,18 @@ export class GameScene {
             this.player.nearbyInteractable = null;
         }
         
-        // Check if player rescued a sheep
-        const newRescued = this.sheep.filter(s => s.isRescued).length;
-        if (newRescued > this.sheepRescued) {
-            this.sheepRescued = newRescued;
+        // Newly rescued (or strayed and found again) sheep join the back of the flock
+        this.player.rescuedSheep.forEach(sheep => {
+            if (!sheep.flock) {
+                this.flock.add(sheep);
+                this.updateHUD();
+            }
+        });
+        
+        // Check if player found a sheep
+        const newFound = this.sheep.filter(s => s.isRescued).length;
+        if (newFound > this.sheepFound) {
+            this.sheepFound = newFound;
             this.game.audio.playRescue();
             this.updateHUD();
             this.showSheepPopup();
@@ -443,9 +971,14 @@ export class GameScene {
             return;
         }
         
-        // Check level complete
-        if (this.sheepRescued >= this.totalSheep) {
-            this.levelComplete();
+        // No sheep left to bring into the pen: complete if any made it (or
+        // the level has none), lost if predators got every last one
+        if (this.sheep.every(sheep => sheep.isDelivered || sheep.isLost)) {
+            if (this.sheepDelivered > 0 || this.totalSheep === 0) {
+                this.levelComplete();
+            } else {
+                this.gameOver();
+            }
         }
     }
     
@@ -453,84 +986,105 @@ export class GameScene {
      * Show sheep rescued popup
      */
     showSheepPopup() {
-        const popup = document.createElement('div');
-        popup.className = 'sheep-popup';
-        popup.innerHTML = `
-            <span class="icon">🐑</span>
-            <span class="message">Sheep Rescued!</span>
-        `;
-        document.getElementById('game-screen').appendChild(popup);
-        
-        setTimeout(() => popup.remove(), 2000);
+        this.game.hud.showSheepRescued();
     }
     
     /**
      * Update HUD
      */
     updateHUD() {
-        document.getElementById('sheep-count').textContent = `${this.sheepRescued}/${this.totalSheep}`;
-        document.getElementById('collectible-count').textContent = this.collectiblesGathered;
-        document.getElementById('level-name').textContent = `Level ${this.currentLevel}: ${this.getLevelName()}`;
-        
-        // Update health hearts
-        if (this.player) {
-            const heartsEl = document.getElementById('health-hearts');
-            const fullHearts = this.player.health;
-            const emptyHearts = this.player.maxHealth - this.player.health;
-            heartsEl.textContent = '❤️'.repeat(fullHearts) + '🖤'.repeat(emptyHearts);
-        }
-    }
-    
-    /**
-     * Get level name
-     */
-    getLevelName() {
-        const names = {
-            1: 'Forest Entrance',
-            2: 'River Crossing',
-            3: 'Hazard Path',
-            4: 'Deep Woods',
-            5: 'Mountain Clearing'
-        };
-        return names[this.currentLevel] || 'Unknown';
+        this.game.hud.update({
+            levelLabel: this.isPlayTest
+                ? `Play-test: ${this.levelName}`
+                : !this.currentLevel
+                    ? this.levelName
+                    : `${this.playback ? 'Replay · ' : ''}Level ${this.currentLevel}: ${this.levelName}`,
+            sheepDelivered: this.sheepDelivered,
+            sheepFollowing: this.flock ? this.flock.sheep.length : 0,
+            totalSheep: this.totalSheep,
+            collectibles: this.collectiblesGathered,
+            health: this.player?.health,
+            maxHealth: this.player?.maxHealth,
+            energy: this.player?.energy,
+            maxEnergy: this.player?.maxEnergy,
+            isTired: this.player?.isTired
+        });
+        this.hudEnergy = this.player ? Math.ceil(this.player.energy) : null;
     }
     
     /**
      * Level complete
      */
     levelComplete() {
+        if (this.outcome) return;
+        this.outcome = 'complete';
+        
+        if (this.isPlayTest) {
+            console.log('🎉 Play-test complete');
+            this.returnToEditor();
+            return;
+        }
+        
         this.game.pause();
         
-        // Save progress
-        this.game.state.completeLevel(
-            this.currentLevel,
-            this.sheepRescued,
-            this.collectiblesGathered,
-            this.goldenWoolFound
-        );
+        // Save progress and best time (only for level files: watching a replay doesn't count)
+        let isNewBest = false;
+        if (!this.playback && this.currentLevel) {
+            this.game.state.completeLevel(
+                this.currentLevel,
+                this.sheepDelivered,
+                this.collectiblesGathered,
+                this.goldenWoolFound
+            );
+            isNewBest = this.game.state.recordRun(this.currentLevel, this.levelTime, this.trace);
+        }
+        
+        // Keep the attempt for replays
+        if (this.recorder) {
+            this.saveReplay();
+        }
         
         // Show complete screen
-        document.getElementById('stat-sheep').textContent = `${this.sheepRescued}/${this.totalSheep}`;
-        document.getElementById('stat-collectibles').textContent = this.collectiblesGathered;
-        document.getElementById('stat-golden').textContent = '⭐'.repeat(this.goldenWoolFound);
-        document.getElementById('level-complete').classList.add('active');
+        this.game.hud.showLevelComplete({
+            sheepFound: this.sheepFound,
+            sheepDelivered: this.sheepDelivered,
+            totalSheep: this.totalSheep,
+            collectibles: this.collectiblesGathered,
+            goldenWool: this.goldenWoolFound,
+            time: this.levelTime,
+            bestTime: this.game.state.getLevelData(this.currentLevel)?.bestTime ?? null,
+            isNewBest
+        });
     }
     
     /**
      * Game over
      */
     gameOver() {
+        if (this.outcome) return;
+        this.outcome = 'game-over';
+        
+        if (this.isPlayTest) {
+            console.log('😢 Play-test failed');
+            this.returnToEditor();
+            return;
+        }
+        
         this.game.pause();
-        const gameOverOverlay = document.getElementById('game-over');
-        gameOverOverlay.classList.add('active');
-        
-        // Auto-focus the retry button after overlay is fully visible
-        setTimeout(() => {
-            const retryBtn = document.getElementById('btn-retry');
-            if (retryBtn) {
-                retryBtn.focus();
-            }
-        }, 200);
+        
+        // Keep the attempt for replays (e.g. to reproduce what went wrong)
+        if (this.recorder) {
+            this.saveReplay();
+        }
+        
+        this.game.hud.showGameOver();
+    }
+    
+    /**
+     * Return from a play-test to the editor (on the next update, outside the physics step)
+     */
+    returnToEditor() {
+        this.returnToEditorPending = true;
     }
     
     /**
@@ -546,7 +1100,32 @@ export class GameScene {
         
         // Render tilemap
         if (this.tilemap) {
-            this.game.renderer.renderTilemap(ctx, this.tilemap, null, camera);
+            this.game.renderer.renderTilemap(ctx, this.tilemap, this.tileset, camera, this.tileTime);
+        }
+        
+        // Render the pen behind the sheep in it
+        if (this.pen && camera.isVisible(this.pen.x, this.pen.y, this.pen.width, this.pen.height)) {
+            this.pen.render(ctx);
+            
+            if (this.game.debug) {
+                this.pen.renderDebug(ctx);
+            }
+        }
+        
+        // Render platforms under whatever stands on them
+        this.platforms.forEach(platform => {
+            if (platform.isVisible && camera.isVisible(platform.x, platform.y, platform.width, platform.height)) {
+                platform.render(ctx, 1);
+                
+                if (this.game.debug) {
+                    platform.renderDebug(ctx);
+                }
+            }
+        });
+        
+        // Render the best run's ghost behind everything else
+        if (this.ghost && camera.isVisible(this.ghost.x, this.ghost.y, this.ghost.width, this.ghost.height)) {
+            this.ghost.render(ctx, 1);
         }
         
         // Render entities (sorted by Y for depth)
@@ -560,6 +1139,14 @@ export class GameScene {
                 }
             }
         });
+        
+        this.splashes.forEach(splash => splash.render(ctx));
+        
+        // Darken the view for dusk and night
+        if (this.perception && this.perception.darkness > 0) {
+            ctx.fillStyle = `rgba(10, 10, 40, ${this.perception.darkness * 0.45})`;
+            ctx.fillRect(camX, camY, this.game.width, this.game.height);
+        }
     }
     
     /**
@@ -0,0 +1,173 @@
+/**
+ * DOM HUD
+ * ========
+ * Writes gameplay HUD values and overlays into the page.
+ * Scenes talk to this through game.hud so they can run without a DOM.
+ */
+
+/**
+ * Format seconds as m:ss.cc (digits = decimals shown)
+ */
+export function formatTime(seconds, digits = 2) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(digits).padStart(digits + 3, '0');
+    return `${minutes}:${rest}`;
+}
+
+export class DomHud {
+    constructor() {
+        // Last timer text, to only touch the DOM when it changes
+        this.timerText = '';
+    }
+    
+    /**
+     * Update the in-game HUD
+     * @param {Object} stats - { levelLabel, sheepDelivered, sheepFollowing, totalSheep, collectibles,
+     *   health, maxHealth, energy, maxEnergy, isTired }
+     */
+    update(stats) {
+        // Sheep in the pen (and how many are following on the way there)
+        const following = stats.sheepFollowing > 0 ? ` (+${stats.sheepFollowing})` : '';
+        document.getElementById('sheep-count').textContent = `${stats.sheepDelivered}/${stats.totalSheep}${following}`;
+        document.getElementById('collectible-count').textContent = stats.collectibles;
+        document.getElementById('level-name').textContent = stats.levelLabel;
+        
+        // Update health hearts
+        if (stats.health !== undefined) {
+            const heartsEl = document.getElementById('health-hearts');
+            const emptyHearts = stats.maxHealth - stats.health;
+            heartsEl.textContent = '❤️'.repeat(stats.health) + '🖤'.repeat(emptyHearts);
+        }
+        
+        if (stats.energy !== undefined) {
+            this.updateEnergyBar(stats.energy, stats.maxEnergy, stats.isTired);
+        }
+    }
+    
+    /**
+     * Update energy bar
+     */
+    updateEnergyBar(current, max, isTired = false) {
+        let bar = document.querySelector('.energy-bar');
+        
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'energy-bar';
+            bar.innerHTML = `
+                <div class="label">Energy</div>
+                <div class="bar"><div class="fill"></div></div>
+            `;
+            document.getElementById('game-screen').appendChild(bar);
+        }
+        
+        const fill = bar.querySelector('.fill');
+        fill.style.width = (current / max * 100) + '%';
+        bar.classList.toggle('tired', isTired);
+    }
+    
+    /**
+     * Update the level timer (called every frame)
+     */
+    updateTimer(seconds) {
+        const text = formatTime(seconds, 1);
+        if (text !== this.timerText) {
+            this.timerText = text;
+            document.getElementById('level-timer').textContent = text;
+        }
+    }
+    
+    /**
+     * Show sheep rescued popup
+     */
+    showSheepRescued() {
+        this.showSheepPopup('Sheep Rescued!');
+    }
+    
+    /**
+     * Show sheep delivered (into the pen) popup
+     */
+    showSheepDelivered() {
+        this.showSheepPopup('Sheep Home Safe!');
+    }
+    
+    /**
+     * Show sheep lost (carried off by a wolf, or fell out of the world) popup
+     */
+    showSheepLost() {
+        this.showSheepPopup('A Sheep Was Lost!');
+    }
+    
+    /**
+     * Show a popup message with a sheep
+     */
+    showSheepPopup(message) {
+        const popup = document.createElement('div');
+        popup.className = 'sheep-popup';
+        popup.innerHTML = `
+            <span class="icon">🐑</span>
+            <span class="message">${message}</span>
+        `;
+        document.getElementById('game-screen').appendChild(popup);
+        
+        setTimeout(() => popup.remove(), 2000);
+    }
+    
+    /**
+     * Show the pause menu
+     */
+    showPause() {
+        document.getElementById('pause-menu').classList.add('active');
+    }
+    
+    /**
+     * Show the level complete overlay
+     * @param {Object} stats - { sheepFound, sheepDelivered, totalSheep, collectibles, goldenWool, time, bestTime,
+     *   isNewBest }
+     */
+    showLevelComplete(stats) {
+        document.getElementById('stat-sheep-found').textContent = `${stats.sheepFound}/${stats.totalSheep}`;
+        document.getElementById('stat-sheep').textContent = `${stats.sheepDelivered}/${stats.totalSheep}`;
+        document.getElementById('stat-collectibles').textContent = stats.collectibles;
+        document.getElementById('stat-golden').textContent = '⭐'.repeat(stats.goldenWool);
+        document.getElementById('stat-time').textContent = formatTime(stats.time);
+        document.getElementById('stat-best').textContent = stats.isNewBest
+            ? `${formatTime(stats.bestTime)} 🏆 New best!`
+            : (stats.bestTime !== null ? formatTime(stats.bestTime) : '-');
+        document.getElementById('level-complete').classList.add('active');
+    }
+    
+    /**
+     * Show the game over overlay
+     */
+    showGameOver() {
+        document.getElementById('game-over').classList.add('active');
+        
+        // Auto-focus the retry button after overlay is fully visible
+        setTimeout(() => {
+            const retryBtn = document.getElementById('btn-retry');
+            if (retryBtn) {
+                retryBtn.focus();
+            }
+        }, 200);
+    }
+    
+    /**
+     * Show the overlay for a scene that failed to load (e.g. an invalid level file)
+     */
+    showError(message) {
+        document.getElementById('load-error-message').textContent = message;
+        document.getElementById('load-error').classList.add('active');
+    }
+    
+    /**
+     * Offer text as a file download
+     */
+    downloadFile(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
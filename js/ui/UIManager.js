@@ -4,12 +4,19 @@
  * Handles all UI interactions and screen management
  */
 
+import { InputPlayback } from '../engine/Replay.js';
+import { ABILITIES } from '../engine/Abilities.js';
+import { Random } from '../engine/Random.js';
+import { formatTime } from './DomHud.js';
+
 export class UIManager {
     constructor(game) {
         this.game = game;
         this.currentScreen = 'main-menu';
         // Load selected level from game state if available
         this.selectedLevel = game.state?.data?.currentLevel || 1;
+        // Endless Pasture being played ({ seed, difficulty, number }), null for level files
+        this.pasture = null;
     }
     
     /**
@@ -21,6 +28,7 @@ export class UIManager {
         this.bindOptions();
         this.bindCredits();
         this.bindGameUI();
+        this.bindEditor();
         this.bindOverlays();
         this.bindKeyboardNavigation();
         
@@ -65,6 +73,11 @@ export class UIManager {
             this.startLevel(lastLevel);
         });
         
+        // Level editor button
+        document.getElementById('btn-editor').addEventListener('click', () => {
+            this.openEditor();
+        });
+        
         // Options button
         document.getElementById('btn-options').addEventListener('click', () => {
             this.showScreen('options-screen');
@@ -81,7 +94,7 @@ export class UIManager {
      */
     bindLevelSelect() {
         // Level buttons
-        document.querySelectorAll('.level-btn').forEach(btn => {
+        document.querySelectorAll('.level-btn[data-level]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const level = parseInt(btn.dataset.level);
                 if (this.game.state.isLevelUnlocked(level)) {
@@ -90,6 +103,21 @@ export class UIManager {
             });
         });
         
+        // Abilities, bought with golden wool
+        document.querySelectorAll('.ability-btn[data-ability]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.game.state.unlockAbility(btn.dataset.ability)) {
+                    this.updateAbilityButtons();
+                    this.updateLevelButtons();
+                }
+            });
+        });
+        
+        // Endless Pasture (a new generated level every time)
+        document.getElementById('btn-endless').addEventListener('click', () => {
+            this.startPasture();
+        });
+        
         // Back button
         document.getElementById('btn-back-menu').addEventListener('click', () => {
             this.showScreen('main-menu');
@@ -147,6 +175,108 @@ export class UIManager {
             this.game.pause();
             this.showOverlay('pause-menu');
         });
+        
+        // Dropping a replay file on the game screen plays it back (e.g. from a bug report)
+        const gameScreen = document.getElementById('game-screen');
+        gameScreen.addEventListener('dragover', (e) => e.preventDefault());
+        gameScreen.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            
+            try {
+                this.playReplay(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('Failed to read replay file', error);
+                this.showToast('❌ Not a replay file');
+            }
+        });
+    }
+    
+    /**
+     * Bind level editor toolbar
+     */
+    bindEditor() {
+        const editor = this.game.scenes.scenes.get('editor');
+        const toolbar = document.getElementById('editor-toolbar');
+        
+        // Tool buttons
+        toolbar.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const kind = btn.dataset.tool;
+                if (kind === 'tile') {
+                    editor.selectTool({ kind, tile: parseInt(btn.dataset.tile) });
+                } else if (kind === 'object') {
+                    editor.selectTool({ kind, object: btn.dataset.object });
+                } else {
+                    editor.selectTool({ kind });
+                }
+                btn.blur(); // Keep keyboard shortcuts working
+            });
+        });
+        
+        // Level settings
+        document.getElementById('editor-name').addEventListener('change', (e) => {
+            editor.setName(e.target.value);
+        });
+        
+        ['editor-width', 'editor-height'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                editor.resize(
+                    parseInt(document.getElementById('editor-width').value),
+                    parseInt(document.getElementById('editor-height').value)
+                );
+            });
+        });
+        
+        document.getElementById('editor-open').addEventListener('change', (e) => {
+            const value = e.target.value;
+            e.target.value = '';
+            e.target.blur();
+            if (value === 'new') {
+                editor.newLevel();
+            } else if (value) {
+                editor.openLevel(parseInt(value));
+            }
+        });
+        
+        // Import file picker
+        const fileInput = document.getElementById('editor-import-file');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => editor.importLevel(text, file.name));
+            fileInput.value = '';
+        });
+        
+        // Actions
+        toolbar.querySelectorAll('[data-editor-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                btn.blur();
+                switch (btn.dataset.editorAction) {
+                    case 'save':
+                        editor.saveLocal();
+                        break;
+                    case 'load':
+                        editor.loadLocal();
+                        break;
+                    case 'export': {
+                        const { filename, text } = editor.exportLevel();
+                        this.game.hud.downloadFile(filename, text);
+                        break;
+                    }
+                    case 'import':
+                        fileInput.click();
+                        break;
+                    case 'playtest':
+                        editor.playTest();
+                        break;
+                    case 'exit':
+                        this.quitToMenu();
+                        break;
+                }
+            });
+        });
     }
     
     /**
@@ -172,6 +302,10 @@ export class UIManager {
         // Level complete
         document.getElementById('btn-next-level').addEventListener('click', () => {
             this.hideOverlay('level-complete');
+            if (this.pasture) {
+                this.startPasture(this.pasture.number + 1, this.pasture.difficulty + 0.1);
+                return;
+            }
             const nextLevel = this.selectedLevel + 1;
             if (nextLevel <= 5) {
                 this.startLevel(nextLevel);
@@ -191,6 +325,12 @@ export class UIManager {
             this.quitToMenu();
         });
         
+        // Load error
+        document.getElementById('btn-error-menu').addEventListener('click', () => {
+            this.hideOverlay('load-error');
+            this.quitToMenu();
+        });
+        
         // Game over
         document.getElementById('btn-retry').addEventListener('click', () => {
             this.hideOverlay('game-over');
@@ -216,9 +356,10 @@ export class UIManager {
         document.getElementById(screenId).classList.add('active');
         this.currentScreen = screenId;
         
-        // Update level buttons when showing level select
+        // Update level and ability buttons when showing level select
         if (screenId === 'level-select') {
             this.updateLevelButtons();
+            this.updateAbilityButtons();
         }
     }
     
@@ -241,9 +382,29 @@ export class UIManager {
      */
     startLevel(levelNum) {
         this.selectedLevel = levelNum;
+        this.pasture = null;
         this.game.state.data.currentLevel = levelNum;
         this.game.state.save(); // Save current level to localStorage
         
+        this.launchGame({ level: levelNum });
+    }
+    
+    /**
+     * Start an Endless Pasture
+     * @param {number} number - How many pastures into the run this is
+     * @param {number} difficulty - 0 (gentle) to 1 (hard)
+     * @param {number} seed - Seed of the level (a new one by default)
+     */
+    startPasture(number = 1, difficulty = 0, seed = Random.createSeed()) {
+        this.pasture = { seed, difficulty: Math.min(1, difficulty), number };
+        this.launchGame({ endless: this.pasture });
+    }
+    
+    /**
+     * Show the loading screen, then switch to the game scene
+     * @param {Object} sceneData - Data for GameScene.enter
+     */
+    launchGame(sceneData) {
         // Show game screen
         this.showScreen('game-screen');
         
@@ -263,7 +424,7 @@ export class UIManager {
                 // Start the game
                 setTimeout(() => {
                     this.hideOverlay('loading-screen');
-                    this.game.scenes.switchTo('game', { level: levelNum });
+                    this.game.scenes.switchTo('game', sceneData);
                     this.game.start();
                     
                     // Show touch controls if on touch device
@@ -274,6 +435,33 @@ export class UIManager {
         }, 100);
     }
     
+    /**
+     * Watch a recorded replay
+     */
+    playReplay(replay) {
+        const errors = InputPlayback.validate(replay);
+        if (errors.length > 0) {
+            console.error(`Invalid replay:\n  - ${errors.join('\n  - ')}`);
+            this.showToast('❌ Invalid replay file');
+            return;
+        }
+        
+        ['pause-menu', 'level-complete', 'game-over'].forEach(id => this.hideOverlay(id));
+        this.selectedLevel = replay.level;
+        this.pasture = null;
+        this.game.scenes.switchTo('game', { replay });
+        this.game.start();
+    }
+    
+    /**
+     * Open the level editor
+     */
+    openEditor() {
+        this.showScreen('game-screen');
+        this.game.scenes.switchTo('editor');
+        this.game.start();
+    }
+    
     /**
      * Show touch controls for mobile devices
      */
@@ -301,6 +489,14 @@ export class UIManager {
      * Restart current level
      */
     restartLevel() {
+        // Endless Pastures restart the same generated level
+        if (this.pasture) {
+            this.game.stop();
+            const { number, difficulty, seed } = this.pasture;
+            this.startPasture(number, difficulty, seed);
+            return;
+        }
+        
         // Ensure we have the correct level (from game state if needed)
         const levelToRestart = this.selectedLevel || this.game.state.data.currentLevel || 1;
         console.log(`🔄 Restarting level ${levelToRestart}`);
@@ -332,7 +528,7 @@ export class UIManager {
      * Update level select buttons
      */
     updateLevelButtons() {
-        document.querySelectorAll('.level-btn').forEach(btn => {
+        document.querySelectorAll('.level-btn[data-level]').forEach(btn => {
             const level = parseInt(btn.dataset.level);
             const isUnlocked = this.game.state.isLevelUnlocked(level);
             const levelData = this.game.state.getLevelData(level);
@@ -347,11 +543,67 @@ export class UIManager {
             } else {
                 sheepSpan.textContent = '🔒';
             }
+            
+            // Best time to beat
+            const timeSpan = btn.querySelector('.level-time');
+            timeSpan.textContent = isUnlocked && levelData.bestTime !== null ? `⏱️ ${formatTime(levelData.bestTime)}` : '';
         });
         
+        this.updateLevelAbilities();
+        
         console.log('📋 Level buttons updated. Unlocked levels:', this.game.state.data.unlockedLevels);
     }
     
+    /**
+     * Show the abilities each level needs (required) or is easier with (recommended),
+     * dimmed while they're still locked
+     */
+    async updateLevelAbilities() {
+        const loader = this.game.scenes.scenes.get('game').levelLoader;
+        
+        for (const btn of document.querySelectorAll('.level-btn[data-level]')) {
+            let abilities;
+            try {
+                abilities = (await loader.getLevel(parseInt(btn.dataset.level))).abilities;
+            } catch (error) {
+                continue;
+            }
+            
+            const badges = [
+                ...abilities.required.map(id => ({ id, need: 'required' })),
+                ...abilities.recommended.map(id => ({ id, need: 'recommended' }))
+            ].map(({ id, need }) => {
+                const badge = document.createElement('span');
+                badge.className = `ability-badge ${need}`;
+                badge.classList.toggle('missing', !this.game.state.hasAbility(id));
+                badge.textContent = ABILITIES[id].icon;
+                badge.title = `${ABILITIES[id].name} (${need})`;
+                return badge;
+            });
+            btn.querySelector('.level-abilities').replaceChildren(...badges);
+        }
+    }
+    
+    /**
+     * Update the ability buttons: golden wool to spend, and what's learned or affordable
+     */
+    updateAbilityButtons() {
+        const balance = this.game.state.getGoldenWoolBalance();
+        document.getElementById('golden-wool-balance').textContent = `⭐ ${balance}`;
+        
+        document.querySelectorAll('.ability-btn[data-ability]').forEach(btn => {
+            const ability = ABILITIES[btn.dataset.ability];
+            const isUnlocked = this.game.state.hasAbility(btn.dataset.ability);
+            
+            btn.classList.toggle('unlocked', isUnlocked);
+            btn.disabled = isUnlocked || balance < ability.cost;
+            btn.title = ability.description;
+            btn.querySelector('.ability-icon').textContent = ability.icon;
+            btn.querySelector('.ability-name').textContent = ability.name;
+            btn.querySelector('.ability-cost').textContent = isUnlocked ? '✅ Learned' : `⭐ ${ability.cost}`;
+        });
+    }
+    
     /**
      * Load settings from game state
      */
@@ -402,24 +654,4 @@ export class UIManager {
             prompt.remove();
         }
     }
-    
-    /**
-     * Update energy bar
-     */
-    updateEnergyBar(current, max) {
-        let bar = document.querySelector('.energy-bar');
-        
-        if (!bar) {
-            bar = document.createElement('div');
-            bar.className = 'energy-bar';
-            bar.innerHTML = `
-                <div class="label">Energy</div>
-                <div class="bar"><div class="fill"></div></div>
-            `;
-            document.getElementById('game-screen').appendChild(bar);
-        }
-        
-        const fill = bar.querySelector('.fill');
-        fill.style.width = (current / max * 100) + '%';
-    }
 }
@@ -0,0 +1,45 @@
+/**
+ * How an attempt ends: bringing sheep into the pen completes a level, losing
+ * the whole flock doesn't
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness } from '../js/headless/SimulationHarness.js';
+import { muteLogs } from './helpers.mjs';
+
+muteLogs();
+
+test('losing every sheep is game over, not a completed level', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(1);
+    const scene = sim.scene;
+    
+    sim.wait(1);
+    [...scene.sheep].forEach(sheep => scene.loseSheep(sheep));
+    sim.wait(1);
+    
+    assert.equal(scene.outcome, 'game-over');
+    assert.equal(scene.sheepDelivered, 0);
+    assert.deepEqual(sim.game.state.data.unlockedLevels, [1]);
+    assert.equal(sim.game.state.getLevelData(1)?.bestTime ?? null, null);
+});
+
+test('a level with sheep delivered and the rest lost is complete', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(1);
+    const scene = sim.scene;
+    
+    sim.wait(1);
+    const [first, ...rest] = scene.sheep;
+    first.rescue(scene.player);
+    first.deliver(scene.pen.admit());
+    scene.sheepDelivered++;
+    rest.forEach(sheep => scene.loseSheep(sheep));
+    sim.wait(1);
+    
+    assert.equal(scene.outcome, 'complete');
+    assert.ok(sim.game.state.data.unlockedLevels.includes(2));
+});
@@ -0,0 +1,49 @@
+/**
+ * Ghost traces are sampled on the fixed step, so the same run records the
+ * same trace however many frames are drawn in between
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness } from '../js/headless/SimulationHarness.js';
+import { muteLogs } from './helpers.mjs';
+
+muteLogs();
+
+/**
+ * Run right across level 1, with a frame update every `stepsPerFrame` physics steps
+ */
+async function traceRun(stepsPerFrame) {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(1);
+    const game = sim.game;
+    const dt = game.fixedTimeStep / 1000;
+    
+    for (let step = 1; step <= 120; step++) {
+        game.input.setActions(step > 60 && step < 64 ? ['right', 'jump'] : ['right']);
+        game.scenes.fixedUpdate(dt);
+        if (step % stepsPerFrame === 0) {
+            game.scenes.update(dt * stepsPerFrame, 0);
+        }
+        game.input.update();
+    }
+    return sim.scene.trace.samples;
+}
+
+test('the ghost trace does not depend on the frame rate', async () => {
+    const everyStep = await traceRun(1);
+    const everyFourthStep = await traceRun(4);
+    
+    assert.deepEqual(everyFourthStep, everyStep);
+});
+
+test('trace samples record what the shepherd was doing on that step', async () => {
+    const samples = await traceRun(1);
+    const states = new Set(samples.map(sample => sample[2] >> 1));
+    
+    // Indices into GHOST_STATES (see Ghost.js): run, then jump or fall
+    assert.ok(states.has(1), 'running');
+    assert.ok(states.has(2) || states.has(3), 'in the air');
+});
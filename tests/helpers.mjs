@@ -0,0 +1,47 @@
+/**
+ * Shared test helpers: a flat test level, and quiet game logs
+ */
+
+import { before, after } from 'node:test';
+import { readProjectJSON } from '../js/headless/SimulationHarness.js';
+
+export const TILE_SIZE = 32;
+export const GROUND_ROW = 14;
+export const MEADOW_HEIGHT = 16;
+
+/**
+ * Level JSON for a flat meadow: solid ground from GROUND_ROW down, across the
+ * whole width, holding the given objects (player spawn included)
+ * @param {number} width - In tiles
+ */
+export async function meadow(objects, width = 40) {
+    const base = await readProjectJSON('assets/levels/level-1.json');
+    const data = new Array(width * MEADOW_HEIGHT).fill(0);
+    for (let row = GROUND_ROW; row < MEADOW_HEIGHT; row++) {
+        for (let col = 0; col < width; col++) data[row * width + col] = 2;
+    }
+    
+    return {
+        ...base,
+        width,
+        height: MEADOW_HEIGHT,
+        layers: [
+            { type: 'tiles', name: 'terrain', data },
+            { type: 'objects', name: 'entities', objects }
+        ]
+    };
+}
+
+/**
+ * Silence the game's console.log chatter for the tests in a file (Node 20's
+ * test runner can choke on a lot of output from a test file)
+ */
+export function muteLogs() {
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = log;
+    });
+}
@@ -0,0 +1,22 @@
+/**
+ * Generated levels pass the same checks as level files
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelGenerator } from '../js/levels/LevelGenerator.js';
+import { LevelValidator } from '../js/levels/LevelValidator.js';
+
+const validator = new LevelValidator();
+
+// Seeds 1 and 4 used to put sheep inside rocks
+[1, 2, 3, 4, 5].forEach(seed => {
+    test(`levels from seed ${seed} are valid at every difficulty`, () => {
+        [0, 0.5, 1].forEach(difficulty => {
+            const level = new LevelGenerator(seed, difficulty).generate();
+            assert.deepEqual(validator.validate(level).problems, [], `seed ${seed}, difficulty ${difficulty}`);
+        });
+    });
+});
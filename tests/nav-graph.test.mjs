@@ -0,0 +1,53 @@
+/**
+ * Enemy navigation graphs follow tile changes made during play
+ * (GameScene.setTile)
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness } from '../js/headless/SimulationHarness.js';
+import { meadow, muteLogs, GROUND_ROW, MEADOW_HEIGHT, TILE_SIZE } from './helpers.mjs';
+
+muteLogs();
+
+// Columns of the pit dug between the wolf and the player (too wide to jump)
+const PIT = { from: 12, to: 28 };
+
+/**
+ * Flat ground with a wolf at the left end and the player at the right
+ */
+function flatLevel() {
+    return meadow([
+        { type: 'player-spawn', x: 35 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 64 },
+        { type: 'pen', x: 32 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 96, width: 96, height: 96 },
+        { type: 'sheep', x: 30 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 32 },
+        { type: 'enemy', kind: 'wolf', x: 4 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 40, patrolRange: 0 }
+    ]);
+}
+
+/**
+ * Set every ground tile of the pit's columns
+ */
+function fillPit(scene, tileId) {
+    for (let col = PIT.from; col < PIT.to; col++) {
+        for (let row = GROUND_ROW; row < MEADOW_HEIGHT; row++) scene.setTile(col, row, tileId);
+    }
+}
+
+test('a path disappears when the ground under it is dug away, and comes back when it\'s filled in', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(await flatLevel());
+    sim.wait(10);
+    const { scene, player } = sim;
+    const wolf = scene.enemies[0];
+    
+    assert.ok(wolf.nav.findPath(wolf, player), 'path over flat ground');
+    
+    fillPit(scene, 0);
+    assert.equal(wolf.nav.findPath(wolf, player), null, 'no path across the pit');
+    
+    fillPit(scene, 2);
+    assert.ok(wolf.nav.findPath(wolf, player), 'path once the pit is filled in');
+});
@@ -0,0 +1,41 @@
+/**
+ * Jumps cost energy: a running jump costs more than a standing one, at
+ * whatever speed the shepherd can run right now
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness } from '../js/headless/SimulationHarness.js';
+import { meadow, muteLogs, GROUND_ROW, TILE_SIZE } from './helpers.mjs';
+
+muteLogs();
+
+/**
+ * Energy a jump costs after running (or standing) for a second with the given energy
+ */
+async function jumpCost(energy, actions) {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(await meadow([
+        { type: 'player-spawn', x: 64, y: GROUND_ROW * TILE_SIZE - 64 },
+        { type: 'pen', x: 55 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 96, width: 96, height: 96 },
+        { type: 'sheep', x: 50 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 32 }
+    ], 60));
+    sim.wait(10);
+    
+    sim.player.energy = energy;
+    sim.hold(actions, 60);
+    sim.hold([...actions, 'jump'], 1);
+    return energy - sim.player.energy;
+}
+
+test('a running jump costs the long-jump energy', async () => {
+    assert.equal(await jumpCost(100, ['right']), 3);
+    assert.equal(await jumpCost(100, []), 1);
+});
+
+test('a tired shepherd still pays for running jumps', async () => {
+    assert.equal(await jumpCost(10, ['right']), 3);
+    assert.equal(await jumpCost(10, []), 1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Moving platforms in reachability checks: somewhere to stand where they
+ * stop, and a ride from each waypoint to the next
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Reachability } from '../js/levels/Reachability.js';
+
+const TILE_SIZE = 32;
+const GROUND_ROW = 14;
+
+/**
+ * 40 columns of ground with a bottomless gap over columns 10-29
+ */
+function gapTilemap() {
+    const width = 40;
+    const height = 16;
+    const data = new Array(width * height).fill(0);
+    for (let row = GROUND_ROW; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (col < 10 || col >= 30) data[row * width + col] = 1;
+        }
+    }
+    return { width, height, tileSize: TILE_SIZE, data };
+}
+
+// Ferries the player across the gap, stopping at either edge
+const FERRY = {
+    type: 'moving',
+    x: 10 * TILE_SIZE,
+    y: GROUND_ROW * TILE_SIZE,
+    width: 96,
+    path: [{ x: 27 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE }]
+};
+
+const spawn = { x: 64, y: GROUND_ROW * TILE_SIZE - 64 };
+const farSheep = () => Reachability.targetsFromLevel({ sheep: [{ x: 34 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 32 }] });
+
+test('a platform stands in for tiles only where it stops', () => {
+    const tilemap = gapTilemap();
+    const stamped = Reachability.withPlatforms(tilemap, [FERRY]);
+    const groundRow = stamped.data.slice(GROUND_ROW * tilemap.width, (GROUND_ROW + 1) * tilemap.width);
+    const platformCols = groundRow.flatMap((id, col) => (id === 5 ? [col] : []));
+    
+    assert.deepEqual(platformCols, [10, 11, 12, 27, 28, 29]);
+});
+
+test('riding a platform crosses a gap too wide to jump', () => {
+    const tilemap = gapTilemap();
+    
+    const walking = farSheep();
+    new Reachability(tilemap).analyze(spawn, walking);
+    assert.equal(walking[0].reached, false);
+    
+    const riding = farSheep();
+    const result = new Reachability(tilemap, { platforms: [FERRY] }).analyze(spawn, riding);
+    assert.equal(riding[0].reached, true);
+    
+    const rides = result.edges.filter(edge => edge.kind === 'ride').map(edge => `${edge.from} -> ${edge.to}`);
+    assert.ok(rides.includes('10,14 -> 27,14'));
+    assert.ok(rides.includes('27,14 -> 10,14'));
+});
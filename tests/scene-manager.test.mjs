@@ -0,0 +1,50 @@
+/**
+ * A scene that fails to load doesn't become current, and the error reaches
+ * the HUD instead of leaving the last level on screen
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness, readProjectJSON } from '../js/headless/SimulationHarness.js';
+import { muteLogs } from './helpers.mjs';
+
+muteLogs();
+
+test('a level that fails to load leaves no scene current and shows the error', async () => {
+    const sim = new SimulationHarness({
+        fetchJSON: async () => ({ format: 'shepherd-level', version: 1, name: 'Broken' })
+    });
+    const errors = [];
+    const original = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    
+    try {
+        const entered = await sim.game.scenes.switchTo('game', { level: 1 });
+        
+        assert.equal(entered, false);
+        assert.equal(sim.game.scenes.current, null);
+        assert.ok(sim.game.hud.events.includes('error'));
+        assert.match(sim.game.hud.error, /^Invalid level "assets\/levels\/level-1\.json"/);
+        assert.ok(errors.length > 0);
+    } finally {
+        console.error = original;
+    }
+});
+
+test('a level that fails after another was played doesn\'t stay on the old one', async () => {
+    const sim = new SimulationHarness({
+        fetchJSON: async (src) => (src.includes('level-2') ? { name: 'Broken' } : readProjectJSON(src))
+    });
+    await sim.loadLevel(1);
+    
+    const original = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(sim.loadLevel(2), /Failed to load level: Invalid level "assets\/levels\/level-2\.json"/);
+    } finally {
+        console.error = original;
+    }
+    assert.equal(sim.game.scenes.current, null);
+});
@@ -0,0 +1,132 @@
+/**
+ * Scripted runs through the simulation harness: moving, getting hurt,
+ * rescuing a sheep and finishing a level. Levels handed to the harness as
+ * JSON are played like level files, not as editor play-tests
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationHarness, readProjectJSON } from '../js/headless/SimulationHarness.js';
+import { meadow, muteLogs, GROUND_ROW, TILE_SIZE } from './helpers.mjs';
+
+muteLogs();
+
+// Ground level of the meadow (the player's y when standing on it)
+const STANDING_Y = GROUND_ROW * TILE_SIZE - 64;
+
+const spawn = { type: 'player-spawn', x: 64, y: STANDING_Y };
+const sheepAt = col => ({ type: 'sheep', x: col * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 32 });
+const penAt = col => ({ type: 'pen', x: col * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 96, width: 128, height: 96 });
+
+test('running and jumping move the player, and they land again', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(await meadow([spawn, sheepAt(30), penAt(34)]));
+    assert.ok(sim.runUntil(s => s.player.isGrounded, { maxSteps: 60 }));
+    
+    const start = sim.snapshot().player;
+    sim.hold(['right'], 30);
+    const running = sim.snapshot().player;
+    assert.ok(running.x > start.x + 100, `ran from ${start.x} to ${running.x}`);
+    assert.equal(running.state, 'run');
+    
+    sim.tap('jump');
+    assert.equal(sim.player.isGrounded, false);
+    assert.ok(sim.player.y < STANDING_Y);
+    assert.ok(sim.runUntil(s => s.player.isGrounded, { maxSteps: 120 }));
+    assert.equal(sim.player.y, STANDING_Y);
+});
+
+test('running into an enemy costs a heart and knocks the player back', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(await meadow([
+        spawn,
+        sheepAt(36),
+        penAt(30),
+        { type: 'enemy', kind: 'boar', x: 10 * TILE_SIZE, y: GROUND_ROW * TILE_SIZE - 40, patrolRange: 0 }
+    ]));
+    
+    assert.ok(sim.runUntil(s => s.player.health < 3, { actions: ['right'], maxSteps: 300 }));
+    const { player } = sim.snapshot();
+    assert.equal(player.health, 2);
+    assert.ok(player.velocityX < 0, 'knocked back to the left');
+    assert.equal(sim.player.isInvulnerable, true);
+    assert.equal(sim.isFinished, false);
+});
+
+test('rescuing a sheep and leading it into the pen completes the level', async () => {
+    const sim = new SimulationHarness();
+    await sim.loadLevel(await meadow([spawn, sheepAt(8), penAt(24)]));
+    
+    assert.ok(sim.runUntil(s => s.player.nearbyInteractable, { actions: ['right'], maxSteps: 300 }));
+    sim.tap('action');
+    assert.equal(sim.snapshot().sheepFound, 1);
+    assert.equal(sim.player.rescuedSheep.length, 1);
+    
+    assert.ok(sim.runUntil(s => s.isComplete, { actions: ['right'], maxSteps: 900 }));
+    const snapshot = sim.snapshot();
+    assert.equal(snapshot.sheepDelivered, 1);
+    assert.equal(snapshot.outcome, 'complete');
+    assert.deepEqual(sim.game.hud.events, ['sheep-rescued', 'sheep-delivered', 'level-complete']);
+    
+    // The run stops once the level has ended
+    assert.equal(sim.step(['right']), false);
+});
+
+/**
+ * Run a test body with console.error captured
+ */
+async function withErrors(body) {
+    const errors = [];
+    const original = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+        await body();
+    } finally {
+        console.error = original;
+    }
+    return errors;
+}
+
+test('a level object completes in the game scene without saving progress', async () => {
+    const sim = new SimulationHarness();
+    const errors = await withErrors(async () => {
+        await sim.loadLevel(await readProjectJSON('assets/levels/level-1.json'));
+        const scene = sim.scene;
+        
+        assert.equal(scene.isPlayTest, false);
+        sim.wait(1);
+        for (const sheep of scene.sheep) {
+            sheep.rescue(scene.player);
+            sheep.deliver(scene.pen.admit());
+            scene.sheepDelivered++;
+        }
+        sim.wait(2);
+    });
+    
+    assert.deepEqual(errors, []);
+    assert.equal(sim.scene.outcome, 'complete');
+    assert.equal(sim.game.scenes.current, sim.scene);
+    assert.equal(sim.game.isPaused, true);
+    assert.deepEqual(sim.game.state.data.unlockedLevels, [1]);
+    assert.equal(sim.game.state.getLevelData(1)?.bestTime ?? null, null);
+    assert.equal(sim.getReplay(), null);
+});
+
+test('a level object ends in game over without leaving the game scene', async () => {
+    const sim = new SimulationHarness();
+    const errors = await withErrors(async () => {
+        await sim.loadLevel(await readProjectJSON('assets/levels/level-1.json'));
+        const scene = sim.scene;
+        
+        sim.wait(1);
+        [...scene.sheep].forEach(sheep => scene.loseSheep(sheep));
+        sim.wait(2);
+    });
+    
+    assert.deepEqual(errors, []);
+    assert.equal(sim.scene.outcome, 'game-over');
+    assert.equal(sim.game.scenes.current, sim.scene);
+    assert.equal(sim.game.isPaused, true);
+});
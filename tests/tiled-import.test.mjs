@@ -0,0 +1,48 @@
+/**
+ * Tiled maps: tile layers are read from CSV data, and encoded layers are
+ * turned away with an error naming the layer
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelLoader } from '../js/levels/LevelLoader.js';
+
+/**
+ * A 3x3 Tiled map with one tile layer
+ */
+function tiledMap(tileLayer) {
+    return {
+        type: 'map',
+        orientation: 'orthogonal',
+        width: 3,
+        height: 3,
+        tilewidth: 32,
+        tileheight: 32,
+        infinite: false,
+        tilesets: [{ firstgid: 1, source: 'forest.tsj' }],
+        layers: [{ type: 'tilelayer', name: 'ground', width: 3, height: 3, ...tileLayer }]
+    };
+}
+
+test('CSV tile layers are imported', () => {
+    const level = new LevelLoader().importTiled(tiledMap({ data: [0, 0, 0, 0, 0, 0, 3, 3, 3] }), 'tiny.tmj');
+    
+    assert.deepEqual(level.layers[0].data, [0, 0, 0, 0, 0, 0, 3, 3, 3]);
+});
+
+test('base64 tile layers are rejected with the layer and encoding named', () => {
+    const map = tiledMap({ encoding: 'base64', data: 'AAAAAAAAAAAAAAAAAAAAAAAAAAADAAAAAwAAAAMAAAA=' });
+    
+    assert.throws(
+        () => new LevelLoader().importTiled(map, 'tiny.tmj'),
+        { message: 'Tiled map "tiny.tmj" layer "ground" is base64-encoded; save the map with tile layer format CSV' }
+    );
+});
+
+test('compressed tile layers are rejected with the compression named', () => {
+    const map = tiledMap({ encoding: 'base64', compression: 'zlib', data: 'eJxjYGBgYAQAAA0AAg==' });
+    
+    assert.throws(() => new LevelLoader().importTiled(map, 'tiny.tmj'), /layer "ground" is base64\/zlib-encoded/);
+});
@@ -0,0 +1,36 @@
+/**
+ * Validate Levels
+ * ================
+ * Checks the shipped level files under Node (18+) and exits with status 1 if
+ * any of them has problems, so it can gate level changes (CI, pre-commit hook).
+ *
+ *   node tools/validate-levels.mjs        # every level
+ *   node tools/validate-levels.mjs 2 3    # only levels 2 and 3
+ */
+
+import { readProjectJSON } from '../js/headless/SimulationHarness.js';
+import { LevelLoader } from '../js/levels/LevelLoader.js';
+import { LevelValidator } from '../js/levels/LevelValidator.js';
+
+const validator = new LevelValidator(new LevelLoader(readProjectJSON));
+
+const levelNums = process.argv.slice(2).map(Number);
+const reports = levelNums.length > 0
+    ? await Promise.all(levelNums.map(levelNum => validator.validateFile(levelNum)))
+    : await validator.validateAll();
+
+let failed = 0;
+reports.forEach(report => {
+    const title = `Level ${report.levelNum}${report.name ? ` (${report.name})` : ''}${report.source ? ` - ${report.source}` : ''}`;
+    if (report.problems.length === 0) {
+        console.log(`✅ ${title}`);
+        return;
+    }
+    
+    failed++;
+    console.log(`❌ ${title}`);
+    report.problems.forEach(problem => console.log(`   - ${problem}`));
+});
+
+console.log(failed === 0 ? '\nAll levels OK' : `\n${failed} of ${reports.length} levels have problems`);
+process.exitCode = failed === 0 ? 0 : 1;